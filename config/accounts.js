@@ -0,0 +1,51 @@
+/**
+ * Chart of accounts
+ *
+ * The books are kept on a cash basis: interest, penal interest and fees are
+ * income when they are received, not as they accrue. Interest capitalised on a
+ * restructure is held as unearned until the principal it was added to is repaid.
+ * The accounts below are posted to automatically and are created on first use;
+ * others (expenses, capital) can be added through the ledger API.
+ */
+
+const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'income', 'expense'];
+
+// Types whose balance is normally a debit; the rest are normally credits
+const DEBIT_TYPES = ['asset', 'expense'];
+
+// What a journal entry was posted for; everything but 'manual' is posted automatically
+const JOURNAL_SOURCES = ['disbursement', 'repayment', 'recovery', 'capitalisation', 'write-off', 'credit-refund', 'manual'];
+
+const SYSTEM_ACCOUNTS = {
+    cash: { code: '1000', name: 'Cash in hand', type: 'asset' },
+    bank: { code: '1010', name: 'Bank', type: 'asset' },
+    loansReceivable: { code: '1100', name: 'Loans receivable', type: 'asset' },
+    customerCredit: { code: '2000', name: 'Customer credit balances', type: 'liability' },
+    deferredInterest: { code: '2100', name: 'Capitalised interest not yet received', type: 'liability' },
+    suspense: { code: '2900', name: 'Suspense (unallocated receipts)', type: 'liability' },
+    capital: { code: '3000', name: "Owner's capital", type: 'equity' },
+    interestIncome: { code: '4000', name: 'Interest income', type: 'income' },
+    penaltyIncome: { code: '4010', name: 'Penal interest income', type: 'income' },
+    feeIncome: { code: '4020', name: 'Fee income', type: 'income' },
+    capitalisedInterest: { code: '4030', name: 'Capitalised interest received', type: 'income' },
+    recoveryIncome: { code: '4100', name: 'Bad debts recovered', type: 'income' },
+    badDebts: { code: '5000', name: 'Bad debts written off', type: 'expense' }
+};
+
+/**
+ * Account that money moves through for a payment or disbursement method:
+ * cash in hand for cash, the customer's credit for credit, the bank for everything else
+ */
+const getMethodAccount = (method = 'cash') => {
+    if (method === 'cash') return SYSTEM_ACCOUNTS.cash.code;
+    if (method === 'credit') return SYSTEM_ACCOUNTS.customerCredit.code;
+    return SYSTEM_ACCOUNTS.bank.code;
+};
+
+module.exports = {
+    ACCOUNT_TYPES,
+    DEBIT_TYPES,
+    JOURNAL_SOURCES,
+    SYSTEM_ACCOUNTS,
+    getMethodAccount
+};
@@ -0,0 +1,37 @@
+/**
+ * Payment allocation policies
+ *
+ * A policy is the order in which a payment settles what the borrower owes.
+ * Each loan product (daily or monthly loans) has a default policy, which a loan
+ * and then an individual payment can override.
+ */
+
+const ALLOCATION_POLICIES = {
+    'fees-first': ['fees', 'penalty', 'interest', 'principal'],
+    'interest-first': ['interest', 'principal', 'fees', 'penalty'],
+    'principal-first': ['principal', 'interest', 'penalty', 'fees']
+};
+
+const DEFAULT_POLICY = 'fees-first';
+
+/**
+ * Default policy for a loan product, e.g. ALLOCATION_POLICY_DAILY=interest-first
+ * Read lazily because dotenv is loaded after the models are required.
+ */
+const getProductAllocationPolicy = (interestType) => {
+    const policy = process.env[`ALLOCATION_POLICY_${String(interestType).toUpperCase()}`];
+    return ALLOCATION_POLICIES[policy] ? policy : DEFAULT_POLICY;
+};
+
+/**
+ * Policy that applies to a payment: the payment's override, then the loan's, then the product's
+ */
+const resolveAllocationPolicy = (loan, override) => {
+    return override || loan.allocationPolicy || getProductAllocationPolicy(loan.interestType);
+};
+
+module.exports = {
+    ALLOCATION_POLICIES,
+    getProductAllocationPolicy,
+    resolveAllocationPolicy
+};
@@ -0,0 +1,73 @@
+/**
+ * Lending defaults, read from the environment when a loan is created
+ *
+ * These are functions rather than constants because dotenv is loaded after the
+ * models are required (see server.js).
+ */
+
+const readNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Penal interest rate charged on overdue principal after the due date,
+ * in percent per period of the loan's interest type (per day or per month)
+ */
+const getDefaultPenalInterestRate = () => readNumber('PENAL_INTEREST_RATE', 0);
+
+/**
+ * Days after a due date before penal interest or a late fee applies
+ */
+const getDefaultGracePeriodDays = () => readNumber('GRACE_PERIOD_DAYS', 0);
+
+/**
+ * Fixed fee charged once for every installment missed beyond the grace period
+ */
+const getDefaultLateFeeAmount = () => readNumber('LATE_FEE_AMOUNT', 0);
+
+/**
+ * Charge for settling a loan before its due date, in percent of the principal outstanding
+ */
+const getDefaultPrepaymentChargeRate = () => readNumber('PREPAYMENT_CHARGE_RATE', 0);
+
+/**
+ * Payment methods recorded as pending until their funds clear, e.g. CLEARING_PAYMENT_METHODS=cheque,bank_transfer
+ */
+const getClearingPaymentMethods = () => (process.env.CLEARING_PAYMENT_METHODS || 'cheque,bank_transfer')
+    .split(',')
+    .map(method => method.trim())
+    .filter(Boolean);
+
+/**
+ * Charge added to the loan when a cheque or transfer bounces
+ */
+const getDefaultBounceCharge = () => readNumber('BOUNCE_CHARGE_AMOUNT', 0);
+
+/**
+ * Days past due after which an overdue loan is classified as defaulted
+ */
+const getDefaultThresholdDays = () => readNumber('DEFAULT_THRESHOLD_DAYS', 90);
+
+/**
+ * How often the overdue evaluation job runs, in minutes (0 disables it)
+ */
+const getOverdueJobIntervalMinutes = () => readNumber('OVERDUE_JOB_INTERVAL_MINUTES', 24 * 60);
+
+/**
+ * How many days a statement line's date may differ from a payment's when matching by amount
+ */
+const getReconciliationWindowDays = () => readNumber('RECONCILIATION_DATE_WINDOW_DAYS', 3);
+
+module.exports = {
+    readNumber,
+    getDefaultPenalInterestRate,
+    getDefaultGracePeriodDays,
+    getDefaultLateFeeAmount,
+    getDefaultPrepaymentChargeRate,
+    getClearingPaymentMethods,
+    getDefaultBounceCharge,
+    getDefaultThresholdDays,
+    getOverdueJobIntervalMinutes,
+    getReconciliationWindowDays
+};
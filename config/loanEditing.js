@@ -0,0 +1,44 @@
+/**
+ * Which loan fields may be edited, by loan status
+ *
+ * Balances (outstandingPrincipal, totalInterestEarned, ...), status and
+ * identifiers are never editable: they are derived from the loan's terms and
+ * payments, or changed through their own endpoints (close, reverse, ...).
+ */
+
+// Fields that change how much the borrower owes
+const TERM_FIELDS = [
+    'principalAmount',
+    'interestRate',
+    'interestType',
+    'interestMethod',
+    'repaymentPlan',
+    'penalInterestRate',
+    'gracePeriodDays',
+    'lateFeeAmount',
+    'prepaymentChargeRate',
+    'allocationPolicy',
+    'disbursementDate',
+    'dueDate'
+];
+
+const EDITABLE_FIELDS_BY_STATUS = {
+    active: ['notes', ...TERM_FIELDS],
+    defaulted: ['notes', ...TERM_FIELDS],
+    closed: ['notes'],
+    'written-off': ['notes']
+};
+
+/**
+ * Fields in `updates` that may not be edited on a loan with the given status
+ */
+const getForbiddenFields = (status, updates) => {
+    const editable = EDITABLE_FIELDS_BY_STATUS[status] || [];
+    return Object.keys(updates).filter(field => !editable.includes(field));
+};
+
+module.exports = {
+    TERM_FIELDS,
+    EDITABLE_FIELDS_BY_STATUS,
+    getForbiddenFields
+};
@@ -0,0 +1,31 @@
+/**
+ * Which payment fields may be edited, by payment status
+ *
+ * Amounts, the allocation split, dates, status and identifiers are never
+ * editable: a payment recorded wrongly is reversed and recorded again, and
+ * clearing, bouncing and reversal have their own endpoints.
+ */
+
+// Fields that only describe the payment
+const DETAIL_FIELDS = ['transactionReference', 'notes'];
+
+const EDITABLE_FIELDS_BY_STATUS = {
+    // The method picks the ledger account, so it is re-posted when it changes
+    completed: ['paymentMethod', ...DETAIL_FIELDS],
+    pending: DETAIL_FIELDS,
+    failed: DETAIL_FIELDS,
+    reversed: DETAIL_FIELDS
+};
+
+/**
+ * Fields in `updates` that may not be edited on a payment with the given status
+ */
+const getForbiddenFields = (status, updates) => {
+    const editable = EDITABLE_FIELDS_BY_STATUS[status] || [];
+    return Object.keys(updates).filter(field => !editable.includes(field));
+};
+
+module.exports = {
+    EDITABLE_FIELDS_BY_STATUS,
+    getForbiddenFields
+};
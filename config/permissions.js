@@ -0,0 +1,76 @@
+/**
+ * Role-based permission matrix
+ *
+ * collector - records payments and views the customers assigned to them
+ * manager   - runs the branch: onboards customers, creates and closes loans
+ * admin     - everything, including editing or deleting financial records
+ */
+const ROLES = ['collector', 'manager', 'admin'];
+
+const PERMISSIONS = {
+    // Customers
+    'customers:read': ['collector', 'manager', 'admin'],
+    'customers:create': ['manager', 'admin'],
+    'customers:update': ['manager', 'admin'],
+    'customers:update-financials': ['admin'],
+    'customers:delete': ['admin'],
+    'customers:stats': ['manager', 'admin'],
+    'customers:credit': ['manager', 'admin'],
+    'customers:export': ['manager', 'admin'],
+
+    // Loans
+    'loans:read': ['collector', 'manager', 'admin'],
+    'loans:create': ['manager', 'admin'],
+    'loans:update': ['admin'],
+    'loans:amend': ['admin'],
+    'loans:close': ['manager', 'admin'],
+    'loans:evaluate-overdue': ['manager', 'admin'],
+    'loans:write-off': ['manager', 'admin'],
+    'loans:approve-write-off': ['admin'],
+    'loans:restructure': ['manager', 'admin'],
+    'loans:disburse': ['manager', 'admin'],
+    'loans:stats': ['manager', 'admin'],
+    'loans:export': ['manager', 'admin'],
+
+    // Payments
+    'payments:read': ['collector', 'manager', 'admin'],
+    'payments:create': ['collector', 'manager', 'admin'],
+    'payments:update': ['admin'],
+    'payments:delete': ['admin'],
+    'payments:reverse': ['manager', 'admin'],
+    'payments:clear': ['manager', 'admin'],
+    'payments:import': ['manager', 'admin'],
+    'payments:stats': ['manager', 'admin'],
+    'payments:export': ['manager', 'admin'],
+
+    // Bank and UPI statement reconciliation
+    'reconciliation:read': ['manager', 'admin'],
+    'reconciliation:manage': ['manager', 'admin'],
+
+    // General ledger
+    'ledger:read': ['manager', 'admin'],
+    'ledger:manage': ['admin'],
+
+    // Reports
+    'reports:read': ['manager', 'admin'],
+
+    // Audit trail
+    'audit:read': ['manager', 'admin'],
+
+    // Users
+    'users:manage': ['admin']
+};
+
+/**
+ * Check whether a role holds a permission
+ */
+const hasPermission = (role, permission) => {
+    const roles = PERMISSIONS[permission];
+    return Array.isArray(roles) && roles.includes(role);
+};
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    hasPermission
+};
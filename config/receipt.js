@@ -0,0 +1,23 @@
+/**
+ * Payment receipt settings
+ * Read lazily because dotenv is loaded after the models are required.
+ */
+
+/**
+ * Business name and address printed at the top of every receipt
+ */
+const getReceiptHeader = () => ({
+    name: process.env.RECEIPT_BUSINESS_NAME || 'Finance Lending',
+    address: process.env.RECEIPT_BUSINESS_ADDRESS || ''
+});
+
+/**
+ * Optional TrueType font for PDF receipts, e.g. RECEIPT_FONT_PATH=/usr/share/fonts/truetype/noto/NotoSans-Regular.ttf
+ * The built-in PDF fonts have no rupee sign, so amounts are printed as "Rs." without one.
+ */
+const getReceiptFontPath = () => process.env.RECEIPT_FONT_PATH || '';
+
+module.exports = {
+    getReceiptHeader,
+    getReceiptFontPath
+};
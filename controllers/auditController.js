@@ -0,0 +1,161 @@
+const AuditLog = require('../models/AuditLog');
+const Customer = require('../models/Customer');
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const { canAccessCustomer } = require('../utils/access');
+
+/**
+ * Send the audit trail of one entity, oldest change first
+ * The entity may already be deleted, in which case only staff with audit access see it.
+ */
+const sendEntityHistory = async (req, res, entityType, Model) => {
+    const entity = await Model.findById(req.params.id);
+
+    if (!entity) {
+        const hasTrail = await AuditLog.exists({ entityType, entityId: req.params.id });
+        if (!hasTrail || req.user.role === 'collector') {
+            return res.status(404).json({
+                success: false,
+                message: `${entityType} not found`
+            });
+        }
+    } else {
+        const customer = entityType === 'Customer' ? entity : entity.customer;
+        if (!(await canAccessCustomer(req.user, customer))) {
+            return res.status(403).json({
+                success: false,
+                message: `Not authorized to access this ${entityType.toLowerCase()}`
+            });
+        }
+    }
+
+    const history = await AuditLog.find({ entityType, entityId: req.params.id })
+        .sort({ timestamp: 1 });
+
+    res.status(200).json({
+        success: true,
+        count: history.length,
+        data: history
+    });
+};
+
+/**
+ * @desc    Get audit log entries
+ * @route   GET /api/audit
+ * @access  Private (audit:read)
+ */
+const getAuditLogs = async (req, res) => {
+    try {
+        const { entityType, entityId, entityRef, actor, action, from, to, page = 1, limit = 10 } = req.query;
+
+        const query = {};
+
+        if (entityType) {
+            query.entityType = entityType;
+        }
+
+        if (entityId) {
+            query.entityId = entityId;
+        }
+
+        if (entityRef) {
+            query.entityRef = entityRef;
+        }
+
+        if (actor) {
+            query.actor = actor;
+        }
+
+        if (action) {
+            query.action = action;
+        }
+
+        if (from || to) {
+            query.timestamp = {};
+            if (from) query.timestamp.$gte = new Date(from);
+            if (to) query.timestamp.$lte = new Date(to);
+        }
+
+        const skip = (page - 1) * limit;
+
+        const logs = await AuditLog.find(query)
+            .sort({ timestamp: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await AuditLog.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: logs.length,
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / limit),
+            data: logs
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching audit logs',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get change history of a customer
+ * @route   GET /api/customers/:id/history
+ * @access  Private (customers:read)
+ */
+const getCustomerHistory = async (req, res) => {
+    try {
+        await sendEntityHistory(req, res, 'Customer', Customer);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching customer history',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get change history of a loan
+ * @route   GET /api/loans/:id/history
+ * @access  Private (loans:read)
+ */
+const getLoanHistory = async (req, res) => {
+    try {
+        await sendEntityHistory(req, res, 'Loan', Loan);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching loan history',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get change history of a payment
+ * @route   GET /api/payments/:id/history
+ * @access  Private (payments:read)
+ */
+const getPaymentHistory = async (req, res) => {
+    try {
+        await sendEntityHistory(req, res, 'Payment', Payment);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching payment history',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getAuditLogs,
+    getCustomerHistory,
+    getLoanHistory,
+    getPaymentHistory
+};
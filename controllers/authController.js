@@ -0,0 +1,234 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const { COUNTERS } = require('../utils/sequences');
+const { withTransaction } = require('../utils/transaction');
+const { httpError } = require('../utils/errors');
+const {
+    generateAccessToken,
+    generateRefreshToken,
+    verifyRefreshToken,
+    hashToken
+} = require('../utils/tokens');
+
+/**
+ * Issue a new access/refresh token pair and remember the refresh token
+ */
+const issueTokens = async (user) => {
+    const accessToken = generateAccessToken(user);
+    const refreshToken = generateRefreshToken(user);
+    const { exp } = jwt.decode(refreshToken);
+
+    // Drop expired refresh tokens while we are here
+    const now = new Date();
+    user.refreshTokens = (user.refreshTokens || []).filter(token => token.expiresAt > now);
+    user.refreshTokens.push({
+        tokenHash: hashToken(refreshToken),
+        expiresAt: new Date(exp * 1000)
+    });
+    await user.save();
+
+    return { accessToken, refreshToken };
+};
+
+/**
+ * @desc    Register a new user
+ * @route   POST /api/auth/register
+ * @access  Public for the first user, Admin afterwards
+ */
+const register = async (req, res) => {
+    try {
+        const { name, email, phone, password, role } = req.body;
+
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+            return res.status(400).json({
+                success: false,
+                message: 'User with this email already exists'
+            });
+        }
+
+        const user = await withTransaction(async (session) => {
+            // Only one of several concurrent first registrations wins the claim;
+            // if creating the user fails the claim is rolled back with it
+            if (req.isFirstUser && !(await Counter.claim(COUNTERS.firstUser, session))) {
+                throw httpError(401, 'Not authorized, no token provided');
+            }
+
+            // The bootstrap user always becomes the administrator
+            const [user] = await User.create([{
+                name,
+                email,
+                phone,
+                password,
+                role: req.isFirstUser ? 'admin' : role
+            }], { session });
+            return user;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'User registered successfully',
+            data: user
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        if (error.name === 'ValidationError' || error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: error.code === 11000 ? 'User with this email already exists' : error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error registering user',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Log in and receive access and refresh tokens
+ * @route   POST /api/auth/login
+ * @access  Public
+ */
+const login = async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        const user = await User.findOne({ email })
+            .select('+password +refreshTokens');
+
+        if (!user || !(await user.matchPassword(password))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password'
+            });
+        }
+
+        if (user.status !== 'active') {
+            return res.status(403).json({
+                success: false,
+                message: 'User account is disabled'
+            });
+        }
+
+        user.lastLoginAt = new Date();
+        const tokens = await issueTokens(user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged in successfully',
+            data: {
+                user,
+                ...tokens
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error logging in',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refresh = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        let decoded;
+        try {
+            decoded = verifyRefreshToken(refreshToken);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        const user = await User.findById(decoded.id).select('+refreshTokens');
+        const tokenHash = hashToken(refreshToken);
+        const storedToken = user && user.refreshTokens.find(token => token.tokenHash === tokenHash);
+
+        if (!storedToken || user.status !== 'active') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        // Rotate: the presented refresh token can only be used once
+        user.refreshTokens.pull(storedToken._id);
+        const tokens = await issueTokens(user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: tokens
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error refreshing token',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Revoke a refresh token
+ * @route   POST /api/auth/logout
+ * @access  Public
+ */
+const logout = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        await User.updateOne(
+            { 'refreshTokens.tokenHash': hashToken(refreshToken) },
+            { $pull: { refreshTokens: { tokenHash: hashToken(refreshToken) } } }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error logging out',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get the logged-in user
+ * @route   GET /api/auth/me
+ * @access  Private
+ */
+const getMe = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: req.user
+    });
+};
+
+module.exports = {
+    register,
+    login,
+    refresh,
+    logout,
+    getMe
+};
@@ -1,29 +1,93 @@
 const Customer = require('../models/Customer');
 const Loan = require('../models/Loan');
-const { generateCustomerId } = require('../utils/helpers');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { nextCustomerId } = require('../utils/sequences');
+const { isScopedToAssignedCustomers, canAccessCustomer } = require('../utils/access');
+const { hasPermission } = require('../config/permissions');
+const { toSnapshot, recordAudit } = require('../utils/audit');
+const { withTransaction } = require('../utils/transaction');
+const { httpError } = require('../utils/errors');
+const { adjustCredit } = require('../utils/customerCredit');
+const { postPayment } = require('../utils/paymentPosting');
+const { postCreditRefundEntry } = require('../utils/ledger');
+const { CUSTOMER_COLUMNS, toDateRange, streamExport } = require('../utils/export');
+const { toStatementPeriod, buildCustomerStatement, sendStatement } = require('../utils/statement');
+
+// Fields anyone allowed to update customers may edit
+const PROFILE_FIELDS = [
+    'name',
+    'phone',
+    'email',
+    'address',
+    'aadharNumber',
+    'panNumber',
+    'status',
+    'assignedCollector'
+];
+
+// Running totals maintained by the loan and payment flows; only admins may correct them
+const FINANCIAL_FIELDS = [
+    'customerId',
+    'totalLoans',
+    'activeLoans',
+    'totalAmountBorrowed',
+    'totalAmountRepaid'
+];
+
+// Customer credit is held in the general ledger (account 2000), so it only
+// moves through the refund and apply endpoints, which post to it
+const CREDIT_FIELDS = ['creditBalance', 'creditLedger'];
+
+/**
+ * Check that an assigned collector id points at an active collector
+ */
+const isValidCollector = async (userId) => {
+    if (!userId) return true;
+    return Boolean(await User.exists({ _id: userId, role: 'collector', status: 'active' }));
+};
+
+/**
+ * Customer filters shared by the list and the export
+ * `from`/`to` bound the date the customer was added.
+ */
+const buildCustomerQuery = ({ status, search, from, to }, user) => {
+    const query = {};
+
+    if (status) {
+        query.status = status;
+    }
+
+    if (isScopedToAssignedCustomers(user)) {
+        query.assignedCollector = user._id;
+    }
+
+    if (search) {
+        query.$or = [
+            { name: { $regex: search, $options: 'i' } },
+            { phone: { $regex: search, $options: 'i' } },
+            { customerId: { $regex: search, $options: 'i' } }
+        ];
+    }
+
+    const added = toDateRange(from, to);
+    if (added) {
+        query.createdAt = added;
+    }
+
+    return query;
+};
 
 /**
  * @desc    Get all customers
  * @route   GET /api/customers
- * @access  Public
+ * @access  Private (customers:read)
  */
 const getAllCustomers = async (req, res) => {
     try {
-        const { status, search, page = 1, limit = 10 } = req.query;
-
-        const query = {};
-
-        if (status) {
-            query.status = status;
-        }
+        const { page = 1, limit = 10 } = req.query;
 
-        if (search) {
-            query.$or = [
-                { name: { $regex: search, $options: 'i' } },
-                { phone: { $regex: search, $options: 'i' } },
-                { customerId: { $regex: search, $options: 'i' } }
-            ];
-        }
+        const query = buildCustomerQuery(req.query, req.user);
 
         const skip = (page - 1) * limit;
 
@@ -51,10 +115,40 @@ const getAllCustomers = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Export customers as CSV or NDJSON, with the list's filters
+ * @route   GET /api/customers/export
+ * @access  Private (customers:export)
+ */
+const exportCustomers = async (req, res) => {
+    try {
+        const cursor = Customer.find(buildCustomerQuery(req.query, req.user))
+            .select('-creditLedger')
+            .populate('assignedCollector', 'name')
+            .sort({ createdAt: -1 })
+            .lean()
+            .cursor();
+
+        await streamExport({
+            res,
+            cursor,
+            format: req.query.format || 'csv',
+            name: 'customers',
+            columns: CUSTOMER_COLUMNS
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error exporting customers',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @desc    Get single customer
  * @route   GET /api/customers/:id
- * @access  Public
+ * @access  Private (customers:read)
  */
 const getCustomer = async (req, res) => {
     try {
@@ -67,6 +161,13 @@ const getCustomer = async (req, res) => {
             });
         }
 
+        if (!(await canAccessCustomer(req.user, customer))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this customer'
+            });
+        }
+
         // Get customer's loans
         const loans = await Loan.find({ customer: customer._id }).sort({ createdAt: -1 });
 
@@ -89,11 +190,18 @@ const getCustomer = async (req, res) => {
 /**
  * @desc    Create new customer
  * @route   POST /api/customers
- * @access  Public
+ * @access  Private (customers:create)
  */
 const createCustomer = async (req, res) => {
     try {
-        const { name, phone, email, address, aadharNumber, panNumber } = req.body;
+        const { name, phone, email, address, aadharNumber, panNumber, assignedCollector } = req.body;
+
+        if (!(await isValidCollector(assignedCollector))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assigned collector must be an active collector'
+            });
+        }
 
         // Check if customer with same phone already exists
         const existingCustomer = await Customer.findOne({ phone });
@@ -105,9 +213,7 @@ const createCustomer = async (req, res) => {
         }
 
         // Generate customer ID
-        const lastCustomer = await Customer.findOne().sort({ createdAt: -1 });
-        const sequenceNumber = lastCustomer ? parseInt(lastCustomer.customerId.split('-')[1]) + 1 : 1;
-        const customerId = generateCustomerId(sequenceNumber);
+        const customerId = await nextCustomerId();
 
         const customer = await Customer.create({
             customerId,
@@ -116,7 +222,15 @@ const createCustomer = async (req, res) => {
             email,
             address,
             aadharNumber,
-            panNumber
+            panNumber,
+            assignedCollector
+        });
+
+        await recordAudit({
+            user: req.user,
+            action: 'create',
+            entityType: 'Customer',
+            after: customer
         });
 
         res.status(201).json({
@@ -136,7 +250,7 @@ const createCustomer = async (req, res) => {
 /**
  * @desc    Update customer
  * @route   PUT /api/customers/:id
- * @access  Public
+ * @access  Private (customers:update)
  */
 const updateCustomer = async (req, res) => {
     try {
@@ -149,16 +263,57 @@ const updateCustomer = async (req, res) => {
             });
         }
 
-        const updatedCustomer = await Customer.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true, runValidators: true }
-        );
+        const { reason, ...updates } = req.body;
+
+        const creditFields = CREDIT_FIELDS.filter(field => updates[field] !== undefined);
+        if (creditFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot edit ${creditFields.join(', ')}; use POST /api/customers/:id/credit/refund or /credit/apply`
+            });
+        }
+
+        const unknownFields = Object.keys(updates)
+            .filter(field => !PROFILE_FIELDS.includes(field) && !FINANCIAL_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot edit ${unknownFields.join(', ')} on a customer`
+            });
+        }
+
+        const touchesFinancials = FINANCIAL_FIELDS.some(field => updates[field] !== undefined);
+        if (touchesFinancials && !hasPermission(req.user.role, 'customers:update-financials')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only admins can edit customer financial records'
+            });
+        }
+
+        if (!(await isValidCollector(updates.assignedCollector))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assigned collector must be an active collector'
+            });
+        }
+
+        const before = toSnapshot(customer);
+        customer.set(updates);
+        await customer.save();
+
+        await recordAudit({
+            user: req.user,
+            action: 'update',
+            entityType: 'Customer',
+            before,
+            after: customer,
+            reason
+        });
 
         res.status(200).json({
             success: true,
             message: 'Customer updated successfully',
-            data: updatedCustomer
+            data: customer
         });
     } catch (error) {
         res.status(500).json({
@@ -172,7 +327,7 @@ const updateCustomer = async (req, res) => {
 /**
  * @desc    Delete customer
  * @route   DELETE /api/customers/:id
- * @access  Public
+ * @access  Private (customers:delete)
  */
 const deleteCustomer = async (req, res) => {
     try {
@@ -185,21 +340,36 @@ const deleteCustomer = async (req, res) => {
             });
         }
 
-        // Check if customer has active loans
-        const activeLoans = await Loan.countDocuments({
+        // Check if customer has open loans; defaulted loans are still being collected
+        const openLoans = await Loan.countDocuments({
             customer: customer._id,
-            status: 'active'
+            status: { $in: ['active', 'defaulted'] }
         });
 
-        if (activeLoans > 0) {
+        if (openLoans > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete customer with active or defaulted loans'
+            });
+        }
+
+        if (customer.creditBalance > 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Cannot delete customer with active loans'
+                message: 'Cannot delete customer with a credit balance; refund it first'
             });
         }
 
         await customer.deleteOne();
 
+        await recordAudit({
+            user: req.user,
+            action: 'delete',
+            entityType: 'Customer',
+            before: customer,
+            reason: req.body.reason
+        });
+
         res.status(200).json({
             success: true,
             message: 'Customer deleted successfully'
@@ -213,10 +383,238 @@ const deleteCustomer = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Statement across all of the customer's loans with running balances,
+ *          as JSON, CSV or PDF
+ * @route   GET /api/customers/:id/statement?from=&to=&format=
+ * @access  Private (customers:read)
+ */
+const getCustomerStatement = async (req, res) => {
+    try {
+        const period = toStatementPeriod(req.query.from, req.query.to);
+        const customer = await Customer.findById(req.params.id);
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        if (!(await canAccessCustomer(req.user, customer))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this customer'
+            });
+        }
+
+        const loans = await Loan.find({ customer: customer._id }).sort({ disbursementDate: 1 });
+        const payments = await Payment.find({
+            customer: customer._id,
+            status: { $in: ['completed', 'reversed'] }
+        });
+
+        sendStatement(res, buildCustomerStatement(customer, loans, payments, period), {
+            format: req.query.format,
+            name: customer.customerId
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error generating customer statement',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get customer credit balance and ledger
+ * @route   GET /api/customers/:id/credit
+ * @access  Private (customers:read)
+ */
+const getCustomerCredit = async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.id)
+            .select('customerId name assignedCollector creditBalance creditLedger')
+            .populate('creditLedger.recordedBy', 'name email role');
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        if (!(await canAccessCustomer(req.user, customer))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this customer'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                customerId: customer.customerId,
+                name: customer.name,
+                creditBalance: customer.creditBalance,
+                ledger: [...customer.creditLedger].reverse()
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching customer credit',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Refund part or all of a customer's credit balance
+ * @route   POST /api/customers/:id/credit/refund
+ * @access  Private (customers:credit)
+ */
+const refundCustomerCredit = async (req, res) => {
+    try {
+        const { amount, paymentMethod, reference, reason } = req.body;
+
+        const customer = await withTransaction(async (session) => {
+            const customer = await Customer.findById(req.params.id).session(session);
+
+            if (!customer) {
+                throw httpError(404, 'Customer not found');
+            }
+
+            const before = toSnapshot(customer);
+            const creditEntry = adjustCredit(customer, {
+                type: 'refund',
+                amount: -amount,
+                paymentMethod,
+                reference,
+                notes: reason,
+                user: req.user
+            });
+            await customer.save({ session });
+            await postCreditRefundEntry({ customer, creditEntry, user: req.user, session });
+
+            await recordAudit({
+                user: req.user,
+                action: 'update',
+                entityType: 'Customer',
+                before,
+                after: customer,
+                reason: `Credit refund of ${amount}: ${reason}`,
+                session
+            });
+
+            return customer;
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Credit refunded successfully',
+            data: {
+                customerId: customer.customerId,
+                creditBalance: customer.creditBalance,
+                entry: customer.creditLedger[customer.creditLedger.length - 1]
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error refunding credit',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Apply a customer's credit balance as a payment on one of their loans
+ * @route   POST /api/customers/:id/credit/apply
+ * @access  Private (customers:credit)
+ */
+const applyCustomerCredit = async (req, res) => {
+    try {
+        const { loanId, amount, allocationPolicy, notes } = req.body;
+
+        const { payment, loan } = await withTransaction(async (session) => {
+            const customer = await Customer.findById(req.params.id).session(session);
+            if (!customer) {
+                throw httpError(404, 'Customer not found');
+            }
+
+            const loan = await Loan.findOne({ loanId, customer: customer._id }).session(session);
+            if (!loan) {
+                throw httpError(404, 'Loan not found for this customer');
+            }
+
+            if (!['active', 'defaulted', 'written-off'].includes(loan.status)) {
+                throw httpError(400, `Credit cannot be applied to a ${loan.status} loan`);
+            }
+
+            const creditToApply = amount || customer.creditBalance;
+            if (creditToApply <= 0) {
+                throw httpError(400, 'Customer has no credit to apply');
+            }
+
+            const payment = await postPayment({
+                loan,
+                amount: creditToApply,
+                paymentMethod: 'credit',
+                notes,
+                allocationPolicy,
+                user: req.user,
+                session
+            });
+
+            return { payment, loan };
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Credit applied successfully',
+            data: {
+                payment,
+                loan: {
+                    loanId: loan.loanId,
+                    outstandingPrincipal: loan.outstandingPrincipal,
+                    outstandingInterest: loan.outstandingInterest,
+                    status: loan.status
+                }
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error applying credit',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @desc    Get customer statistics
  * @route   GET /api/customers/stats/overview
- * @access  Public
+ * @access  Private (customers:stats)
  */
 const getCustomerStats = async (req, res) => {
     try {
@@ -226,6 +624,10 @@ const getCustomerStats = async (req, res) => {
         const blockedCustomers = await Customer.countDocuments({ status: 'blocked' });
 
         const customersWithActiveLoans = await Customer.countDocuments({ activeLoans: { $gt: 0 } });
+        const customersWithCredit = await Customer.countDocuments({ creditBalance: { $gt: 0 } });
+        const [credit] = await Customer.aggregate([
+            { $group: { _id: null, totalCreditBalance: { $sum: '$creditBalance' } } }
+        ]);
 
         res.status(200).json({
             success: true,
@@ -234,7 +636,9 @@ const getCustomerStats = async (req, res) => {
                 activeCustomers,
                 inactiveCustomers,
                 blockedCustomers,
-                customersWithActiveLoans
+                customersWithActiveLoans,
+                customersWithCredit,
+                totalCreditBalance: credit ? credit.totalCreditBalance : 0
             }
         });
     } catch (error) {
@@ -248,9 +652,14 @@ const getCustomerStats = async (req, res) => {
 
 module.exports = {
     getAllCustomers,
+    exportCustomers,
     getCustomer,
     createCustomer,
     updateCustomer,
     deleteCustomer,
+    getCustomerStatement,
+    getCustomerCredit,
+    refundCustomerCredit,
+    applyCustomerCredit,
     getCustomerStats
 };
@@ -0,0 +1,387 @@
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+const { withTransaction } = require('../utils/transaction');
+const { httpError } = require('../utils/errors');
+const { toDateRange } = require('../utils/export');
+const { ensureSystemAccounts, reverseEntries, postManualEntry } = require('../utils/ledger');
+const {
+    buildTrialBalance,
+    buildProfitAndLoss,
+    buildBalanceSheet,
+    reconcileWithLoans
+} = require('../utils/ledgerReports');
+
+/**
+ * @desc    Get the chart of accounts
+ * @route   GET /api/ledger/accounts
+ * @access  Private (ledger:read)
+ */
+const getAccounts = async (req, res) => {
+    try {
+        await ensureSystemAccounts();
+        const accounts = await Account.find().sort({ code: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: accounts.length,
+            data: accounts
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching accounts',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Add an account to the chart, e.g. an expense account
+ * @route   POST /api/ledger/accounts
+ * @access  Private (ledger:manage)
+ */
+const createAccount = async (req, res) => {
+    try {
+        const { code, name, type, description } = req.body;
+
+        await ensureSystemAccounts();
+        if (await Account.exists({ code })) {
+            return res.status(400).json({
+                success: false,
+                message: `Account code ${code} is already in use`
+            });
+        }
+
+        const account = await Account.create({
+            code,
+            name,
+            type,
+            description,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Account created successfully',
+            data: account
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error creating account',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Rename, describe, or deactivate an account
+ * @route   PUT /api/ledger/accounts/:id
+ * @access  Private (ledger:manage)
+ */
+const updateAccount = async (req, res) => {
+    try {
+        const account = await Account.findById(req.params.id);
+
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        const { name, description, isActive } = req.body;
+
+        if (account.isSystem && isActive === false) {
+            return res.status(400).json({
+                success: false,
+                message: 'System accounts are posted to automatically and cannot be deactivated'
+            });
+        }
+
+        if (name !== undefined) account.name = name;
+        if (description !== undefined) account.description = description;
+        if (isActive !== undefined) account.isActive = isActive;
+        await account.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Account updated successfully',
+            data: account
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating account',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get journal entries
+ * @route   GET /api/ledger/journal?from=&to=&source=&account=&loanId=&paymentId=&customerId=
+ * @access  Private (ledger:read)
+ */
+const getJournalEntries = async (req, res) => {
+    try {
+        const { from, to, source, account, loanId, paymentId, customerId, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        const date = toDateRange(from, to);
+        if (date) query.date = date;
+        if (source) query.source = source;
+        if (account) query['lines.accountCode'] = account;
+        if (loanId) query.loanId = loanId;
+        if (paymentId) query.paymentId = paymentId;
+        if (customerId) query.customerId = customerId;
+
+        const skip = (page - 1) * limit;
+
+        const entries = await JournalEntry.find(query)
+            .populate('postedBy', 'name email')
+            .sort({ date: -1, createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await JournalEntry.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / limit),
+            data: entries
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching journal entries',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get a journal entry
+ * @route   GET /api/ledger/journal/:id
+ * @access  Private (ledger:read)
+ */
+const getJournalEntry = async (req, res) => {
+    try {
+        const entry = await JournalEntry.findById(req.params.id)
+            .populate('postedBy', 'name email')
+            .populate('reversalOf', 'entryId date description')
+            .populate('reversedBy', 'entryId date description');
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Journal entry not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: entry
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching journal entry',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Post a manual journal entry, e.g. capital introduced or an expense paid
+ * @route   POST /api/ledger/journal
+ * @access  Private (ledger:manage)
+ */
+const createJournalEntry = async (req, res) => {
+    try {
+        const { date, description, lines } = req.body;
+
+        await ensureSystemAccounts();
+        const entry = await withTransaction(session => postManualEntry({
+            date: date || new Date(),
+            description,
+            lines,
+            user: req.user,
+            session
+        }));
+
+        res.status(201).json({
+            success: true,
+            message: `Journal entry ${entry.entryId} posted`,
+            data: entry
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error posting journal entry',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Reverse a manual journal entry with a mirror entry dated today
+ *          Entries posted by loans and payments are reversed through those instead.
+ * @route   POST /api/ledger/journal/:id/reverse
+ * @access  Private (ledger:manage)
+ */
+const reverseJournalEntry = async (req, res) => {
+    try {
+        const mirror = await withTransaction(async (session) => {
+            const entry = await JournalEntry.findById(req.params.id).session(session);
+
+            if (!entry) {
+                throw httpError(404, 'Journal entry not found');
+            }
+
+            if (entry.source !== 'manual') {
+                throw httpError(400, `Entries posted for a ${entry.source} are reversed through the loan or payment`);
+            }
+
+            if (entry.reversalOf || entry.reversedBy) {
+                throw httpError(400, 'Entry is a reversal or has already been reversed');
+            }
+
+            const [mirror] = await reverseEntries({
+                query: { _id: entry._id },
+                date: new Date(),
+                reason: req.body.reason,
+                user: req.user,
+                session
+            });
+            return mirror;
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Journal entry reversed by ${mirror.entryId}`,
+            data: mirror
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error reversing journal entry',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Trial balance as of a date
+ * @route   GET /api/ledger/trial-balance?asOf=
+ * @access  Private (ledger:read)
+ */
+const getTrialBalance = async (req, res) => {
+    try {
+        const range = toDateRange(null, req.query.asOf);
+
+        res.status(200).json({
+            success: true,
+            data: await buildTrialBalance(range ? range.$lte : new Date())
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error building trial balance',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Profit and loss for a period
+ * @route   GET /api/ledger/profit-and-loss?from=&to=
+ * @access  Private (ledger:read)
+ */
+const getProfitAndLoss = async (req, res) => {
+    try {
+        const range = toDateRange(req.query.from, req.query.to) || {};
+
+        res.status(200).json({
+            success: true,
+            data: await buildProfitAndLoss({ from: range.$gte, to: range.$lte || new Date() })
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error building profit and loss',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Balance sheet as of a date
+ * @route   GET /api/ledger/balance-sheet?asOf=
+ * @access  Private (ledger:read)
+ */
+const getBalanceSheet = async (req, res) => {
+    try {
+        const range = toDateRange(null, req.query.asOf);
+
+        res.status(200).json({
+            success: true,
+            data: await buildBalanceSheet(range ? range.$lte : new Date())
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error building balance sheet',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Compare the ledger with the loan and customer totals behind the loan statistics
+ * @route   GET /api/ledger/reconciliation
+ * @access  Private (ledger:read)
+ */
+const getLedgerReconciliation = async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: await reconcileWithLoans()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error reconciling the ledger',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getAccounts,
+    createAccount,
+    updateAccount,
+    getJournalEntries,
+    getJournalEntry,
+    createJournalEntry,
+    reverseJournalEntry,
+    getTrialBalance,
+    getProfitAndLoss,
+    getBalanceSheet,
+    getLedgerReconciliation
+};
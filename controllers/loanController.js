@@ -1,76 +1,849 @@
 const Loan = require('../models/Loan');
 const Customer = require('../models/Customer');
 const Payment = require('../models/Payment');
-const { generateLoanId, calculateInterest } = require('../utils/helpers');
+const User = require('../models/User');
+const { nextLoanIdentifiers } = require('../utils/sequences');
+const { roundCurrency } = require('../utils/helpers');
+const { getAssignedCustomerIds, canAccessCustomer } = require('../utils/access');
+const { toSnapshot, recordAudit } = require('../utils/audit');
+const { withTransaction } = require('../utils/transaction');
+const { httpError } = require('../utils/errors');
+const { replayPayments } = require('../utils/paymentPosting');
+const {
+    postDisbursementEntry,
+    repostDisbursementEntries,
+    postCapitalisationEntry,
+    postWriteOffEntry
+} = require('../utils/ledger');
+const { createPayoffQuote } = require('../utils/payoff');
+const { LOAN_COLUMNS, toDateRange, streamExport } = require('../utils/export');
+const { toStatementPeriod, buildLoanStatement, sendStatement } = require('../utils/statement');
+const { evaluateOverdueLoans } = require('../jobs/overdueJob');
+const { TERM_FIELDS, getForbiddenFields } = require('../config/loanEditing');
+const { hasPermission } = require('../config/permissions');
+const {
+    getDefaultRepaymentPlan,
+    isPlanAllowed,
+    generateSchedule,
+    rescheduleFrom,
+    syncSchedule
+} = require('../utils/schedule');
+
+/**
+ * Loan filters shared by the list and the export
+ * `from`/`to` bound the disbursement date.
+ */
+const buildLoanQuery = async ({ status, interestType, customerId, overdue, from, to }, user) => {
+    const query = {};
+
+    if (status) {
+        query.status = status;
+    }
+
+    if (interestType) {
+        query.interestType = interestType;
+    }
+
+    if (customerId) {
+        query.customerId = customerId;
+    }
+
+    if (overdue !== undefined) {
+        query.isOverdue = overdue === 'true';
+    }
+
+    const disbursed = toDateRange(from, to);
+    if (disbursed) {
+        query.disbursementDate = disbursed;
+    }
+
+    const assignedCustomerIds = await getAssignedCustomerIds(user);
+    if (assignedCustomerIds) {
+        query.customer = { $in: assignedCustomerIds };
+    }
+
+    return query;
+};
 
 /**
  * @desc    Get all loans
  * @route   GET /api/loans
- * @access  Public
+ * @access  Private (loans:read)
  */
 const getAllLoans = async (req, res) => {
     try {
-        const { status, interestType, customerId, page = 1, limit = 10 } = req.query;
+        const { page = 1, limit = 10 } = req.query;
+
+        const query = await buildLoanQuery(req.query, req.user);
+
+        const skip = (page - 1) * limit;
+
+        const loans = await Loan.find(query)
+            .populate('customer', 'name phone customerId')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        // Update outstanding amounts for each loan
+        const updatedLoans = loans.map(loan => ({
+            ...loan.toObject(),
+            ...loan.getCurrentBalances()
+        }));
+
+        const total = await Loan.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: loans.length,
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / limit),
+            data: updatedLoans
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching loans',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Export loans as CSV or NDJSON, with the list's filters
+ * @route   GET /api/loans/export
+ * @access  Private (loans:export)
+ */
+const exportLoans = async (req, res) => {
+    try {
+        const query = await buildLoanQuery(req.query, req.user);
+        const asOfDate = new Date();
+
+        const cursor = Loan.find(query)
+            .populate('customer', 'name phone customerId')
+            .sort({ createdAt: -1 })
+            .cursor();
+
+        await streamExport({
+            res,
+            cursor,
+            format: req.query.format || 'csv',
+            name: 'loans',
+            columns: LOAN_COLUMNS,
+            prepare: loan => ({
+                ...loan.toObject(),
+                ...loan.getCurrentBalances(asOfDate)
+            })
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error exporting loans',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get single loan
+ * @route   GET /api/loans/:id
+ * @access  Private (loans:read)
+ */
+const getLoan = async (req, res) => {
+    try {
+        const loan = await Loan.findById(req.params.id).populate('customer');
+
+        if (!loan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loan not found'
+            });
+        }
+
+        if (!(await canAccessCustomer(req.user, loan.customer))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this loan'
+            });
+        }
+
+        // Get payment history
+        const payments = await Payment.find({ loan: loan._id }).sort({ paymentDate: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                // Interest, penal interest and fees accrued and not yet paid
+                loan: {
+                    ...loan.toObject(),
+                    ...loan.getCurrentBalances()
+                },
+                payments
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching loan',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Create new loan
+ * @route   POST /api/loans
+ * @access  Private (loans:create)
+ */
+const createLoan = async (req, res) => {
+    try {
+        const {
+            customerId,
+            principalAmount,
+            interestType,
+            interestRate,
+            interestMethod,
+            repaymentPlan,
+            penalInterestRate,
+            gracePeriodDays,
+            lateFeeAmount,
+            prepaymentChargeRate,
+            allocationPolicy,
+            disbursementDate,
+            disbursementMethod,
+            dueDate,
+            notes
+        } = req.body;
+
+        const loan = await withTransaction(async (session) => {
+            // Find customer
+            const customer = await Customer.findOne({ customerId }).session(session);
+            if (!customer) {
+                throw httpError(404, 'Customer not found');
+            }
+
+            // Generate loan ID as per image 2 format
+            const loanTypeCode = interestType === 'daily' ? 'D' : 'M';
+            const { sequenceNumber, customerLoanNumber, loanId } = await nextLoanIdentifiers(customer, loanTypeCode, session);
+
+            // Create loan
+            const [loan] = await Loan.create([{
+                loanId,
+                sequenceNumber,
+                customer: customer._id,
+                customerId: customer.customerId,
+                customerLoanNumber,
+                principalAmount,
+                interestType,
+                interestRate,
+                interestMethod,
+                repaymentPlan,
+                penalInterestRate,
+                gracePeriodDays,
+                lateFeeAmount,
+                prepaymentChargeRate,
+                allocationPolicy,
+                disbursementDate,
+                dueDate,
+                disbursements: [{
+                    amount: principalAmount,
+                    date: disbursementDate,
+                    disbursementMethod,
+                    disbursedBy: req.user._id
+                }],
+                outstandingPrincipal: principalAmount,
+                loanTypeCode,
+                notes
+            }], { session });
+
+            await postDisbursementEntry({ loan, disbursement: loan.disbursements[0], user: req.user, session });
+
+            // Update customer statistics
+            customer.totalLoans += 1;
+            customer.activeLoans += 1;
+            customer.totalAmountBorrowed += principalAmount;
+            await customer.save({ session });
+
+            await recordAudit({
+                user: req.user,
+                action: 'create',
+                entityType: 'Loan',
+                after: loan,
+                session
+            });
+
+            return loan;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Loan created successfully',
+            data: loan
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error creating loan',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Apply new terms to a loan and rebuild its balances from its payments
+ * Keeps the customer's borrowed total and the ledger in step with the principal.
+ */
+const applyLoanTerms = async ({ loan, terms, user, reason, session }) => {
+    if (loan.termVersions.length > 0) {
+        throw httpError(409, 'Loan has been restructured; change its terms with POST /api/loans/:id/restructure');
+    }
+
+    if (loan.disbursements.length > 1 && (terms.principalAmount !== undefined || terms.disbursementDate)) {
+        throw httpError(409, 'Loan has several disbursements; principal and disbursement date can no longer be amended');
+    }
+
+    const customer = await Customer.findById(loan.customer).session(session);
+    const principalDelta = terms.principalAmount !== undefined
+        ? terms.principalAmount - loan.principalAmount
+        : 0;
+
+    loan.set(terms);
+
+    // A single-tranche loan's tranche is its principal and disbursement date
+    if (loan.disbursements.length === 1) {
+        loan.disbursements[0].amount = loan.principalAmount;
+        loan.disbursements[0].date = loan.disbursementDate;
+    }
+
+    if (loan.dueDate <= loan.disbursementDate) {
+        throw httpError(400, 'Due date must be after the disbursement date');
+    }
+
+    loan.loanTypeCode = loan.interestType === 'daily' ? 'D' : 'M';
+    if (!isPlanAllowed(loan.interestType, loan.repaymentPlan)) {
+        if (terms.repaymentPlan) {
+            throw httpError(400, `Repayment plan '${loan.repaymentPlan}' does not fit ${loan.interestType} interest`);
+        }
+        loan.repaymentPlan = getDefaultRepaymentPlan(loan.interestType);
+    }
+
+    // New terms mean a new plan; replaying the payments fills it in again
+    loan.schedule = generateSchedule(loan);
+
+    const changedPayments = await replayPayments({ loan, customer, user, reason, session });
+
+    if (terms.principalAmount !== undefined || terms.disbursementDate) {
+        await repostDisbursementEntries({ loan, reason, user, session });
+    }
+
+    // The new terms may settle the loan outright
+    if (loan.totalPayments > 0 && loan.isSettled()) {
+        loan.status = 'closed';
+        loan.closedDate = loan.lastPaymentDate;
+        if (customer) {
+            customer.activeLoans = Math.max(0, customer.activeLoans - 1);
+        }
+    }
+
+    if (customer) {
+        customer.totalAmountBorrowed += principalDelta;
+        await customer.save({ session });
+    }
+
+    return changedPayments;
+};
+
+/**
+ * Term fields in `body` whose value differs from the loan's
+ */
+const pickChangedTerms = (loan, body) => {
+    const terms = {};
+    TERM_FIELDS.forEach(field => {
+        if (body[field] === undefined) return;
+
+        const current = loan[field] instanceof Date ? loan[field].getTime() : loan[field];
+        const next = body[field] instanceof Date ? body[field].getTime() : body[field];
+        if (current !== next) {
+            terms[field] = body[field];
+        }
+    });
+    return terms;
+};
+
+/**
+ * @desc    Update loan
+ * @route   PUT /api/loans/:id
+ * @access  Private (loans:update)
+ */
+const updateLoan = async (req, res) => {
+    try {
+        const { reason, ...updates } = req.body;
+
+        const loan = await withTransaction(async (session) => {
+            const loan = await Loan.findById(req.params.id).session(session);
+
+            if (!loan) {
+                throw httpError(404, 'Loan not found');
+            }
+
+            const forbiddenFields = getForbiddenFields(loan.status, updates);
+            if (forbiddenFields.length > 0) {
+                throw httpError(400, `Cannot edit ${forbiddenFields.join(', ')} on a ${loan.status} loan`);
+            }
+
+            const terms = pickChangedTerms(loan, updates);
+            const termsChanged = Object.keys(terms).length > 0;
+
+            if (termsChanged && await Payment.exists({ loan: loan._id, status: 'completed' }).session(session)) {
+                throw httpError(409, 'Loan already has payments; change its terms with POST /api/loans/:id/amend-terms and a reason');
+            }
+
+            const before = toSnapshot(loan);
+
+            if (updates.notes !== undefined) {
+                loan.notes = updates.notes;
+            }
+
+            if (termsChanged) {
+                await applyLoanTerms({ loan, terms, user: req.user, reason, session });
+            }
+
+            await loan.save({ session });
+
+            await recordAudit({
+                user: req.user,
+                action: 'update',
+                entityType: 'Loan',
+                before,
+                after: loan,
+                reason,
+                session
+            });
+
+            return loan;
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Loan updated successfully',
+            data: loan
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error updating loan',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Amend the terms of a loan that already has payments
+ * @route   POST /api/loans/:id/amend-terms
+ * @access  Private (loans:amend)
+ */
+const amendLoanTerms = async (req, res) => {
+    try {
+        const { reason, ...updates } = req.body;
+
+        const { loan, changedPayments } = await withTransaction(async (session) => {
+            const loan = await Loan.findById(req.params.id).session(session);
+
+            if (!loan) {
+                throw httpError(404, 'Loan not found');
+            }
+
+            const forbiddenFields = getForbiddenFields(loan.status, updates);
+            if (forbiddenFields.length > 0) {
+                throw httpError(400, `Cannot amend ${forbiddenFields.join(', ')} on a ${loan.status} loan`);
+            }
+
+            const terms = pickChangedTerms(loan, updates);
+            if (Object.keys(terms).length === 0) {
+                throw httpError(400, 'No loan terms were changed');
+            }
+
+            const before = toSnapshot(loan);
+            const changedPayments = await applyLoanTerms({ loan, terms, user: req.user, reason, session });
+            await loan.save({ session });
+
+            await recordAudit({
+                user: req.user,
+                action: 'amend',
+                entityType: 'Loan',
+                before,
+                after: loan,
+                reason,
+                session
+            });
+
+            return { loan, changedPayments };
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Loan terms amended successfully',
+            data: {
+                loan,
+                paymentsReallocated: changedPayments.length
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error amending loan terms',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Close loan
+ * @route   PUT /api/loans/:id/close
+ * @access  Private (loans:close)
+ */
+const closeLoan = async (req, res) => {
+    try {
+        const loan = await withTransaction(async (session) => {
+            const loan = await Loan.findById(req.params.id).session(session);
+
+            if (!loan) {
+                throw httpError(404, 'Loan not found');
+            }
+
+            if (loan.status === 'closed') {
+                throw httpError(400, 'Loan is already closed');
+            }
+
+            const before = toSnapshot(loan);
+            const closedDate = new Date();
+
+            // Interest, penal interest and fees keep accruing until the loan is closed
+            loan.updateOutstanding(closedDate);
+            if (!loan.isSettled()) {
+                const owed = [
+                    ['principal', loan.outstandingPrincipal],
+                    ['interest', loan.outstandingInterest],
+                    ['penal interest', loan.outstandingPenalty],
+                    ['late fees', loan.outstandingFees]
+                ]
+                    .filter(([, amount]) => amount > 0)
+                    .map(([label, amount]) => `${label} ${roundCurrency(amount)}`);
+                throw httpError(400, `Cannot close loan while ${owed.join(', ')} is still owed`);
+            }
+
+            loan.status = 'closed';
+            loan.closedDate = closedDate;
+            await loan.save({ session });
+
+            await recordAudit({
+                user: req.user,
+                action: 'close',
+                entityType: 'Loan',
+                before,
+                after: loan,
+                reason: req.body.reason,
+                session
+            });
+
+            // Update customer statistics
+            const customer = await Customer.findById(loan.customer).session(session);
+            if (customer) {
+                customer.activeLoans = Math.max(0, customer.activeLoans - 1);
+                await customer.save({ session });
+            }
+
+            return loan;
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Loan closed successfully',
+            data: loan
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error closing loan',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * The user named to approve a write-off must be active and allowed to approve it
+ */
+const resolveWriteOffApprover = async (approvedBy, requester, session) => {
+    const approver = await User.findById(approvedBy).session(session);
+
+    if (!approver || approver.status !== 'active') {
+        throw httpError(400, 'Approver not found or disabled');
+    }
+    if (!hasPermission(approver.role, 'loans:approve-write-off')) {
+        throw httpError(400, 'Write-offs must be approved by a user with loans:approve-write-off');
+    }
+    if (approver._id.equals(requester._id)) {
+        throw httpError(400, 'A write-off must be approved by someone other than the requester');
+    }
+    return approver;
+};
+
+/**
+ * Loan that can still be written off, with its pending request when `pending` is set
+ */
+const findWriteOffCandidate = async (id, session, { pending }) => {
+    const loan = await Loan.findById(id).session(session);
+
+    if (!loan) {
+        throw httpError(404, 'Loan not found');
+    }
+
+    if (!['active', 'defaulted'].includes(loan.status)) {
+        throw httpError(400, `Only active or defaulted loans can be written off (loan is ${loan.status})`);
+    }
+
+    if (pending && !loan.writeOffRequest) {
+        throw httpError(400, 'This loan has no pending write-off request');
+    }
+    if (!pending && loan.writeOffRequest) {
+        throw httpError(409, 'A write-off request is already pending for this loan');
+    }
+    return loan;
+};
+
+/**
+ * @desc    Request a write-off; the loan is written off once another user approves it
+ * @route   POST /api/loans/:id/write-off
+ * @access  Private (loans:write-off)
+ */
+const writeOffLoan = async (req, res) => {
+    try {
+        const { approvedBy, reason } = req.body;
+
+        const loan = await withTransaction(async (session) => {
+            const loan = await findWriteOffCandidate(req.params.id, session, { pending: false });
+            const approver = approvedBy
+                ? await resolveWriteOffApprover(approvedBy, req.user, session)
+                : null;
+            const before = toSnapshot(loan);
+
+            loan.writeOffRequest = {
+                requestedBy: req.user._id,
+                requestedAt: new Date(),
+                approver: approver ? approver._id : undefined,
+                reason
+            };
+            await loan.save({ session });
+
+            await recordAudit({
+                user: req.user,
+                action: 'update',
+                entityType: 'Loan',
+                before,
+                after: loan,
+                reason: approver
+                    ? `Write-off requested: ${reason} (awaiting ${approver.name})`
+                    : `Write-off requested: ${reason}`,
+                session
+            });
+
+            return loan;
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Write-off requested; it takes effect once approved',
+            data: loan
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error requesting write-off',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Approve a pending write-off, booking the loan's outstanding principal as a loss
+ * @route   POST /api/loans/:id/write-off/approve
+ * @access  Private (loans:approve-write-off)
+ */
+const approveWriteOff = async (req, res) => {
+    try {
+        const loan = await withTransaction(async (session) => {
+            const loan = await findWriteOffCandidate(req.params.id, session, { pending: true });
+            const request = loan.writeOffRequest;
+
+            if (request.requestedBy.equals(req.user._id)) {
+                throw httpError(403, 'A write-off must be approved by someone other than the requester');
+            }
+            if (request.approver && !request.approver.equals(req.user._id)) {
+                throw httpError(403, 'This write-off is waiting for a different approver');
+            }
+
+            const before = toSnapshot(loan);
+            const writeOffDate = new Date();
+
+            // Freeze balances as of today; nothing accrues after the write-off date
+            loan.updateOutstanding(writeOffDate);
+            loan.writeOff = {
+                date: writeOffDate,
+                approvedBy: req.user._id,
+                writtenOffBy: request.requestedBy,
+                reason: request.reason,
+                principal: loan.outstandingPrincipal,
+                interest: loan.outstandingInterest,
+                penalty: loan.outstandingPenalty,
+                fees: loan.outstandingFees
+            };
+            loan.writeOffRequest = undefined;
+            loan.status = 'written-off';
+            loan.updateOutstanding(writeOffDate);
+            await loan.save({ session });
+            await postWriteOffEntry({ loan, user: req.user, session });
 
-        const query = {};
+            await recordAudit({
+                user: req.user,
+                action: 'write-off',
+                entityType: 'Loan',
+                before,
+                after: loan,
+                reason: `${loan.writeOff.reason} (approved by ${req.user.name})`,
+                session
+            });
 
-        if (status) {
-            query.status = status;
-        }
+            // Update customer statistics
+            const customer = await Customer.findById(loan.customer).session(session);
+            if (customer) {
+                customer.activeLoans = Math.max(0, customer.activeLoans - 1);
+                await customer.save({ session });
+            }
 
-        if (interestType) {
-            query.interestType = interestType;
-        }
+            return loan;
+        });
 
-        if (customerId) {
-            query.customerId = customerId;
+        res.status(200).json({
+            success: true,
+            message: 'Loan written off successfully',
+            data: loan
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
         }
+        res.status(500).json({
+            success: false,
+            message: 'Error writing off loan',
+            error: error.message
+        });
+    }
+};
 
-        const skip = (page - 1) * limit;
+/**
+ * @desc    Reject a pending write-off, or withdraw it as the requester
+ * @route   POST /api/loans/:id/write-off/reject
+ * @access  Private (loans:write-off; only the requester or an approver)
+ */
+const rejectWriteOff = async (req, res) => {
+    try {
+        const { reason } = req.body;
 
-        const loans = await Loan.find(query)
-            .populate('customer', 'name phone customerId')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(parseInt(limit));
+        const loan = await withTransaction(async (session) => {
+            const loan = await Loan.findById(req.params.id).session(session);
 
-        // Update outstanding amounts for each loan
-        const updatedLoans = loans.map(loan => {
-            const currentInterest = loan.calculateInterest();
-            return {
-                ...loan.toObject(),
-                currentInterest,
-                totalOutstanding: loan.outstandingPrincipal + currentInterest
-            };
-        });
+            if (!loan) {
+                throw httpError(404, 'Loan not found');
+            }
+            if (!loan.writeOffRequest) {
+                throw httpError(400, 'This loan has no pending write-off request');
+            }
 
-        const total = await Loan.countDocuments(query);
+            const isRequester = loan.writeOffRequest.requestedBy.equals(req.user._id);
+            if (!isRequester && !hasPermission(req.user.role, 'loans:approve-write-off')) {
+                throw httpError(403, 'Only the requester or an approver can reject a write-off');
+            }
+
+            const before = toSnapshot(loan);
+            loan.writeOffRequest = undefined;
+            await loan.save({ session });
+
+            await recordAudit({
+                user: req.user,
+                action: 'update',
+                entityType: 'Loan',
+                before,
+                after: loan,
+                reason: `Write-off ${isRequester ? 'withdrawn' : 'rejected'}: ${reason}`,
+                session
+            });
+
+            return loan;
+        });
 
         res.status(200).json({
             success: true,
-            count: loans.length,
-            total,
-            page: parseInt(page),
-            pages: Math.ceil(total / limit),
-            data: updatedLoans
+            message: 'Write-off request rejected',
+            data: loan
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
-            message: 'Error fetching loans',
+            message: 'Error rejecting write-off',
             error: error.message
         });
     }
 };
 
 /**
- * @desc    Get single loan
- * @route   GET /api/loans/:id
- * @access  Public
+ * @desc    Get a loan's disbursements
+ * @route   GET /api/loans/:id/disbursements
+ * @access  Private (loans:read)
  */
-const getLoan = async (req, res) => {
+const getLoanDisbursements = async (req, res) => {
     try {
-        const loan = await Loan.findById(req.params.id).populate('customer');
+        const loan = await Loan.findById(req.params.id)
+            .select('loanId customer principalAmount disbursementDate disbursements')
+            .populate('disbursements.disbursedBy', 'name email role');
 
         if (!loan) {
             return res.status(404).json({
@@ -79,150 +852,346 @@ const getLoan = async (req, res) => {
             });
         }
 
-        // Calculate current interest
-        const currentInterest = loan.calculateInterest();
-
-        // Get payment history
-        const payments = await Payment.find({ loan: loan._id }).sort({ paymentDate: -1 });
+        if (!(await canAccessCustomer(req.user, loan.customer))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this loan'
+            });
+        }
 
         res.status(200).json({
             success: true,
             data: {
-                loan: {
-                    ...loan.toObject(),
-                    currentInterest,
-                    totalOutstanding: loan.outstandingPrincipal + currentInterest
-                },
-                payments
+                loanId: loan.loanId,
+                totalDisbursed: loan.principalAmount,
+                count: loan.disbursements.length,
+                disbursements: loan.disbursements
             }
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error fetching loan',
+            message: 'Error fetching disbursements',
             error: error.message
         });
     }
 };
 
 /**
- * @desc    Create new loan
- * @route   POST /api/loans
- * @access  Public
+ * @desc    Disburse a further tranche on an existing loan
+ * @route   POST /api/loans/:id/disbursements
+ * @access  Private (loans:disburse)
  */
-const createLoan = async (req, res) => {
+const addDisbursement = async (req, res) => {
     try {
-        const {
-            customerId,
-            principalAmount,
-            interestType,
-            interestRate,
-            disbursementDate,
-            dueDate,
-            notes
-        } = req.body;
+        const { amount, disbursementMethod, reference, notes } = req.body;
 
-        // Find customer
-        const customer = await Customer.findOne({ customerId });
-        if (!customer) {
-            return res.status(404).json({
-                success: false,
-                message: 'Customer not found'
+        const loan = await withTransaction(async (session) => {
+            const loan = await Loan.findById(req.params.id).session(session);
+
+            if (!loan) {
+                throw httpError(404, 'Loan not found');
+            }
+
+            if (loan.status !== 'active') {
+                throw httpError(400, `Only active loans can take further disbursements (loan is ${loan.status})`);
+            }
+
+            const date = req.body.date ? new Date(req.body.date) : new Date();
+            const lastVersion = loan.termVersions[loan.termVersions.length - 1];
+            const earliest = [loan.disbursementDate, loan.lastPaymentDate, lastVersion && lastVersion.effectiveDate]
+                .filter(Boolean)
+                .reduce((latest, value) => (value > latest ? value : latest));
+
+            if (date < earliest) {
+                throw httpError(400, 'Disbursement date cannot be before the last payment, restructure or disbursement on the loan');
+            }
+            if (date >= loan.dueDate) {
+                throw httpError(400, 'Disbursement date must be before the due date');
+            }
+
+            const before = toSnapshot(loan);
+            await syncSchedule(loan, session, date);
+
+            // Legacy loans get their original disbursement recorded as the first tranche
+            if (loan.disbursements.length === 0) {
+                loan.disbursements.push({ amount: loan.principalAmount, date: loan.disbursementDate });
+            }
+
+            const carriedInterest = loan.getOutstandingInterest(date);
+            loan.disbursements.push({
+                amount,
+                date,
+                disbursementMethod,
+                reference,
+                notes,
+                disbursedBy: req.user._id
             });
-        }
+            loan.principalAmount = roundCurrency(loan.principalAmount + amount);
+            loan.outstandingPrincipal = roundCurrency(loan.outstandingPrincipal + amount);
 
-        // Generate loan ID as per image 2 format
-        const lastLoan = await Loan.findOne().sort({ createdAt: -1 });
-        const sequenceNumber = lastLoan ? lastLoan.sequenceNumber + 1 : 1;
-
-        const customerLoanNumber = customer.totalLoans + 1;
-        const loanTypeCode = interestType === 'daily' ? 'D' : 'M';
-
-        const customerIdParts = customer.customerId.split('-');
-        const customerNumberRaw = customerIdParts[1] || '1';
-        const customerNumber = parseInt(customerNumberRaw, 10) || 1;
-        const loanId = generateLoanId(sequenceNumber, customerNumber, customerLoanNumber, loanTypeCode);
-
-        // Create loan
-        const loan = await Loan.create({
-            loanId,
-            sequenceNumber,
-            customer: customer._id,
-            customerId: customer.customerId,
-            customerLoanNumber,
-            principalAmount,
-            interestType,
-            interestRate,
-            disbursementDate,
-            dueDate,
-            outstandingPrincipal: principalAmount,
-            loanTypeCode,
-            notes
-        });
+            // Spread what is now owed over the rest of the tenure
+            loan.schedule = rescheduleFrom(loan, date, loan.outstandingPrincipal, carriedInterest);
+            await syncSchedule(loan, session);
+            loan.updateOutstanding();
+            await loan.save({ session });
+            await postDisbursementEntry({
+                loan,
+                disbursement: loan.disbursements[loan.disbursements.length - 1],
+                user: req.user,
+                session
+            });
+
+            await recordAudit({
+                user: req.user,
+                action: 'disburse',
+                entityType: 'Loan',
+                before,
+                after: loan,
+                reason: notes,
+                session
+            });
 
-        // Update customer statistics
-        customer.totalLoans += 1;
-        customer.activeLoans += 1;
-        customer.totalAmountBorrowed += principalAmount;
-        await customer.save();
+            // Update customer statistics
+            const customer = await Customer.findById(loan.customer).session(session);
+            if (customer) {
+                customer.totalAmountBorrowed += amount;
+                await customer.save({ session });
+            }
+
+            return loan;
+        });
 
         res.status(201).json({
             success: true,
-            message: 'Loan created successfully',
-            data: loan
+            message: 'Disbursement recorded successfully',
+            data: {
+                loanId: loan.loanId,
+                principalAmount: loan.principalAmount,
+                outstandingPrincipal: loan.outstandingPrincipal,
+                disbursement: loan.disbursements[loan.disbursements.length - 1]
+            }
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
-            message: 'Error creating loan',
+            message: 'Error recording disbursement',
             error: error.message
         });
     }
 };
 
+// Terms a restructure may change
+const RESTRUCTURE_FIELDS = ['interestRate', 'interestType', 'interestMethod', 'repaymentPlan', 'dueDate'];
+
 /**
- * @desc    Update loan
- * @route   PUT /api/loans/:id
- * @access  Public
+ * Snapshot of the loan's current terms as a term version
  */
-const updateLoan = async (req, res) => {
+const toTermVersion = (loan, fields) => ({
+    interestRate: loan.interestRate,
+    interestType: loan.interestType,
+    interestMethod: loan.interestMethod,
+    repaymentPlan: loan.repaymentPlan,
+    dueDate: loan.dueDate,
+    ...fields
+});
+
+/**
+ * @desc    Restructure a loan: new tenure, rate or interest type from an effective date,
+ *          optionally capitalising outstanding interest into principal
+ * @route   POST /api/loans/:id/restructure
+ * @access  Private (loans:restructure)
+ */
+const restructureLoan = async (req, res) => {
     try {
-        const loan = await Loan.findById(req.params.id);
+        const { capitaliseInterest = false, reason } = req.body;
 
-        if (!loan) {
-            return res.status(404).json({
+        const loan = await withTransaction(async (session) => {
+            const loan = await Loan.findById(req.params.id).session(session);
+
+            if (!loan) {
+                throw httpError(404, 'Loan not found');
+            }
+
+            if (!['active', 'defaulted'].includes(loan.status)) {
+                throw httpError(400, `Only active or defaulted loans can be restructured (loan is ${loan.status})`);
+            }
+
+            const effectiveDate = req.body.effectiveDate ? new Date(req.body.effectiveDate) : new Date();
+            const currentVersion = loan.termVersions[loan.termVersions.length - 1];
+            const currentFrom = currentVersion ? currentVersion.effectiveDate : loan.disbursementDate;
+
+            if (effectiveDate <= currentFrom || effectiveDate > new Date()) {
+                throw httpError(400, 'Effective date must be after the current terms took effect and not in the future');
+            }
+            if (loan.lastPaymentDate && effectiveDate < loan.lastPaymentDate) {
+                throw httpError(400, 'Effective date cannot be before the last payment on the loan');
+            }
+
+            const terms = pickChangedTerms(loan, req.body);
+            Object.keys(terms).forEach(field => {
+                if (!RESTRUCTURE_FIELDS.includes(field)) delete terms[field];
+            });
+            if (Object.keys(terms).length === 0 && !capitaliseInterest) {
+                throw httpError(400, 'Nothing to restructure: change a term or capitalise interest');
+            }
+
+            const before = toSnapshot(loan);
+            await syncSchedule(loan, session, effectiveDate);
+
+            // The original terms become version 1 the first time a loan is restructured
+            if (!currentVersion) {
+                loan.termVersions.push(toTermVersion(loan, {
+                    version: 1,
+                    effectiveDate: loan.disbursementDate,
+                    openingPrincipal: loan.principalAmount,
+                    reason: 'Original terms',
+                    // Whoever paid the loan out set its original terms; legacy loans have no tranches
+                    createdBy: (loan.disbursements[0] && loan.disbursements[0].disbursedBy) || req.user._id
+                }));
+            }
+
+            const outstandingInterest = loan.getOutstandingInterest(effectiveDate);
+            const capitalised = capitaliseInterest ? outstandingInterest : 0;
+
+            loan.set(terms);
+            if (loan.dueDate <= effectiveDate) {
+                throw httpError(400, 'Due date must be after the effective date');
+            }
+
+            loan.loanTypeCode = loan.interestType === 'daily' ? 'D' : 'M';
+            if (!isPlanAllowed(loan.interestType, loan.repaymentPlan)) {
+                if (terms.repaymentPlan) {
+                    throw httpError(400, `Repayment plan '${loan.repaymentPlan}' does not fit ${loan.interestType} interest`);
+                }
+                loan.repaymentPlan = getDefaultRepaymentPlan(loan.interestType);
+            }
+
+            loan.outstandingPrincipal = roundCurrency(loan.outstandingPrincipal + capitalised);
+            loan.totalInterestCapitalised = roundCurrency(loan.totalInterestCapitalised + capitalised);
+            loan.termVersions.push(toTermVersion(loan, {
+                version: loan.termVersions.length + 1,
+                effectiveDate,
+                openingPrincipal: loan.outstandingPrincipal,
+                capitalisedInterest: capitalised,
+                reason,
+                createdBy: req.user._id
+            }));
+
+            loan.schedule = rescheduleFrom(loan, effectiveDate, loan.outstandingPrincipal, outstandingInterest - capitalised);
+            await syncSchedule(loan, session);
+
+            // The loan is current again under its new terms
+            loan.status = 'active';
+            loan.defaultedDate = undefined;
+            loan.isOverdue = false;
+            loan.daysPastDue = 0;
+            loan.overdueSince = undefined;
+
+            loan.updateOutstanding();
+            await loan.save({ session });
+            if (capitalised > 0) {
+                await postCapitalisationEntry({ loan, amount: capitalised, date: effectiveDate, user: req.user, session });
+            }
+
+            await recordAudit({
+                user: req.user,
+                action: 'restructure',
+                entityType: 'Loan',
+                before,
+                after: loan,
+                reason,
+                session
+            });
+
+            return loan;
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Loan restructured successfully',
+            data: loan
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'Loan not found'
+                message: error.message
             });
         }
+        res.status(500).json({
+            success: false,
+            message: 'Error restructuring loan',
+            error: error.message
+        });
+    }
+};
 
-        const updatedLoan = await Loan.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true, runValidators: true }
-        );
+/**
+ * @desc    Quote the amount needed to close the loan on a date
+ * @route   GET /api/loans/:id/payoff?asOf=
+ * @access  Private (loans:read)
+ */
+const getPayoffQuote = async (req, res) => {
+    try {
+        const asOfDate = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+        const quote = await withTransaction(async (session) => {
+            const loan = await Loan.findById(req.params.id).session(session);
+
+            if (!loan) {
+                throw httpError(404, 'Loan not found');
+            }
+
+            if (!(await canAccessCustomer(req.user, loan.customer))) {
+                throw httpError(403, 'Not authorized to access this loan');
+            }
+
+            if (!['active', 'defaulted'].includes(loan.status)) {
+                throw httpError(400, `Only active or defaulted loans can be paid off (loan is ${loan.status})`);
+            }
+
+            if (loan.lastPaymentDate && asOfDate < loan.lastPaymentDate) {
+                throw httpError(400, 'Payoff date cannot be before the last payment on the loan');
+            }
+
+            return createPayoffQuote({ loan, asOfDate, user: req.user, session });
+        });
 
         res.status(200).json({
             success: true,
-            message: 'Loan updated successfully',
-            data: updatedLoan
+            data: quote
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
-            message: 'Error updating loan',
+            message: 'Error calculating payoff',
             error: error.message
         });
     }
 };
 
 /**
- * @desc    Close loan
- * @route   PUT /api/loans/:id/close
- * @access  Public
+ * @desc    Statement of the loan's disbursements, accruals, fees, payments and reversals
+ *          with running balances, as JSON, CSV or PDF
+ * @route   GET /api/loans/:id/statement?from=&to=&format=
+ * @access  Private (loans:read)
  */
-const closeLoan = async (req, res) => {
+const getLoanStatement = async (req, res) => {
     try {
+        const period = toStatementPeriod(req.query.from, req.query.to);
         const loan = await Loan.findById(req.params.id);
 
         if (!loan) {
@@ -232,41 +1201,104 @@ const closeLoan = async (req, res) => {
             });
         }
 
-        if (loan.status === 'closed') {
-            return res.status(400).json({
+        if (!(await canAccessCustomer(req.user, loan.customer))) {
+            return res.status(403).json({
                 success: false,
-                message: 'Loan is already closed'
+                message: 'Not authorized to access this loan'
             });
         }
 
-        // Check if loan is fully paid
-        if (loan.outstandingPrincipal > 0) {
-            return res.status(400).json({
+        const payments = await Payment.find({
+            loan: loan._id,
+            status: { $in: ['completed', 'reversed'] }
+        });
+
+        sendStatement(res, buildLoanStatement(loan, payments, period), {
+            format: req.query.format,
+            name: loan.loanId
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'Cannot close loan with outstanding principal'
+                message: error.message
             });
         }
+        res.status(500).json({
+            success: false,
+            message: 'Error generating loan statement',
+            error: error.message
+        });
+    }
+};
 
-        loan.status = 'closed';
-        loan.closedDate = new Date();
-        await loan.save();
+/**
+ * @desc    Get loan repayment schedule
+ * @route   GET /api/loans/:id/schedule
+ * @access  Private (loans:read)
+ */
+const getLoanSchedule = async (req, res) => {
+    try {
+        const loan = await Loan.findById(req.params.id);
 
-        // Update customer statistics
-        const customer = await Customer.findById(loan.customer);
-        if (customer) {
-            customer.activeLoans = Math.max(0, customer.activeLoans - 1);
-            await customer.save();
+        if (!loan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loan not found'
+            });
+        }
+
+        if (!(await canAccessCustomer(req.user, loan.customer))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this loan'
+            });
         }
 
+        // Recompute as of now so overdue installments are current
+        const schedule = await syncSchedule(loan);
+
+        const summary = {
+            installments: schedule.length,
+            paid: 0,
+            overdue: 0,
+            totalExpected: 0,
+            totalPaid: 0,
+            overdueAmount: 0,
+            nextInstallment: null
+        };
+
+        schedule.forEach(installment => {
+            summary.totalExpected += installment.expectedAmount;
+            summary.totalPaid += installment.amountPaid;
+
+            if (installment.status === 'paid') {
+                summary.paid += 1;
+            } else if (installment.status === 'overdue') {
+                summary.overdue += 1;
+                summary.overdueAmount += installment.expectedAmount - installment.amountPaid;
+            } else if (!summary.nextInstallment) {
+                summary.nextInstallment = installment;
+            }
+        });
+
+        summary.totalExpected = roundCurrency(summary.totalExpected);
+        summary.totalPaid = roundCurrency(summary.totalPaid);
+        summary.overdueAmount = roundCurrency(summary.overdueAmount);
+
         res.status(200).json({
             success: true,
-            message: 'Loan closed successfully',
-            data: loan
+            data: {
+                loanId: loan.loanId,
+                repaymentPlan: loan.repaymentPlan,
+                summary,
+                schedule
+            }
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error closing loan',
+            message: 'Error fetching loan schedule',
             error: error.message
         });
     }
@@ -275,7 +1307,7 @@ const closeLoan = async (req, res) => {
 /**
  * @desc    Get loan statistics
  * @route   GET /api/loans/stats/overview
- * @access  Public
+ * @access  Private (loans:stats)
  */
 const getLoanStats = async (req, res) => {
     try {
@@ -283,24 +1315,46 @@ const getLoanStats = async (req, res) => {
         const activeLoans = await Loan.countDocuments({ status: 'active' });
         const closedLoans = await Loan.countDocuments({ status: 'closed' });
         const defaultedLoans = await Loan.countDocuments({ status: 'defaulted' });
+        const writtenOffLoans = await Loan.countDocuments({ status: 'written-off' });
+        const overdueLoans = await Loan.countDocuments({ status: { $in: ['active', 'defaulted'] }, isOverdue: true });
 
         // Calculate total amounts
         const allLoans = await Loan.find();
 
         let totalPrincipalDisbursed = 0;
+        let totalDisbursements = 0;
+        let totalTopUpAmount = 0;
         let totalOutstandingPrincipal = 0;
         let totalInterestEarned = 0;
         let totalOutstandingInterest = 0;
+        let totalPenaltyEarned = 0;
+        let totalOutstandingPenalty = 0;
+        let totalFeesEarned = 0;
+        let totalOutstandingFees = 0;
+        let totalWrittenOff = 0;
+        let totalRecovered = 0;
         let totalProfit = 0;
         let totalLoss = 0;
 
         allLoans.forEach(loan => {
             totalPrincipalDisbursed += loan.principalAmount;
+
+            const tranches = loan.getDisbursements();
+            totalDisbursements += tranches.length;
+            totalTopUpAmount += tranches.slice(1).reduce((total, tranche) => total + tranche.amount, 0);
             totalOutstandingPrincipal += loan.outstandingPrincipal;
             totalInterestEarned += loan.totalInterestEarned;
 
-            const currentInterest = loan.calculateInterest();
-            totalOutstandingInterest += currentInterest;
+            totalOutstandingInterest += loan.getOutstandingInterest();
+            totalPenaltyEarned += loan.totalPenaltyPaid;
+            totalOutstandingPenalty += loan.getOutstandingPenalty();
+            totalFeesEarned += loan.totalFeesPaid;
+            totalOutstandingFees += loan.getOutstandingFees();
+
+            if (loan.writeOff) {
+                totalWrittenOff += loan.writeOff.principal;
+                totalRecovered += loan.writeOff.amountRecovered;
+            }
 
             if (loan.profitLoss >= 0) {
                 totalProfit += loan.profitLoss;
@@ -320,12 +1374,22 @@ const getLoanStats = async (req, res) => {
                 activeLoans,
                 closedLoans,
                 defaultedLoans,
+                overdueLoans,
+                writtenOffLoans,
                 dailyLoans,
                 monthlyLoans,
                 totalPrincipalDisbursed,
+                totalDisbursements,
+                totalTopUpAmount,
                 totalOutstandingPrincipal,
                 totalInterestEarned,
                 totalOutstandingInterest,
+                totalPenaltyEarned,
+                totalOutstandingPenalty,
+                totalFeesEarned,
+                totalOutstandingFees,
+                totalWrittenOff,
+                totalRecovered,
                 totalProfit,
                 totalLoss,
                 netProfitLoss: totalProfit - totalLoss
@@ -343,7 +1407,7 @@ const getLoanStats = async (req, res) => {
 /**
  * @desc    Calculate loan details for a specific date
  * @route   POST /api/loans/:id/calculate
- * @access  Public
+ * @access  Private (loans:read)
  */
 const calculateLoanDetails = async (req, res) => {
     try {
@@ -357,8 +1421,18 @@ const calculateLoanDetails = async (req, res) => {
             });
         }
 
+        if (!(await canAccessCustomer(req.user, loan.customer))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this loan'
+            });
+        }
+
         const calculationDate = asOfDate ? new Date(asOfDate) : new Date();
         const interest = loan.calculateInterest(calculationDate);
+        const outstandingInterest = loan.getOutstandingInterest(calculationDate);
+        const outstandingPenalty = loan.getOutstandingPenalty(calculationDate);
+        const outstandingFees = loan.getOutstandingFees(calculationDate);
 
         const daysSinceDisbursement = Math.floor(
             (calculationDate - loan.disbursementDate) / (1000 * 60 * 60 * 24)
@@ -372,11 +1446,16 @@ const calculateLoanDetails = async (req, res) => {
                 outstandingPrincipal: loan.outstandingPrincipal,
                 interestRate: loan.interestRate,
                 interestType: loan.interestType,
+                interestMethod: loan.interestMethod,
                 disbursementDate: loan.disbursementDate,
                 calculationDate,
                 daysSinceDisbursement,
                 calculatedInterest: interest,
-                totalOutstanding: loan.outstandingPrincipal + interest,
+                outstandingInterest,
+                penalInterestRate: loan.penalInterestRate,
+                outstandingPenalty,
+                outstandingFees,
+                totalOutstanding: loan.outstandingPrincipal + outstandingInterest + outstandingPenalty + outstandingFees,
                 totalPaid: loan.totalAmountPaid,
                 totalInterestEarned: loan.totalInterestEarned
             }
@@ -390,12 +1469,51 @@ const calculateLoanDetails = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Flag overdue loans and classify defaults now instead of waiting for the scheduled run
+ * @route   POST /api/loans/jobs/evaluate-overdue
+ * @access  Private (loans:evaluate-overdue)
+ */
+const evaluateOverdue = async (req, res) => {
+    try {
+        const { asOfDate } = req.body;
+
+        const summary = await evaluateOverdueLoans({
+            asOfDate: asOfDate ? new Date(asOfDate) : new Date(),
+            user: req.user
+        });
+
+        res.status(200).json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error evaluating overdue loans',
+            error: error.message
+        });
+    }
+};
+
 module.exports = {
     getAllLoans,
+    exportLoans,
     getLoan,
     createLoan,
     updateLoan,
+    amendLoanTerms,
     closeLoan,
+    writeOffLoan,
+    approveWriteOff,
+    rejectWriteOff,
+    restructureLoan,
+    getLoanDisbursements,
+    addDisbursement,
     getLoanStats,
-    calculateLoanDetails
+    calculateLoanDetails,
+    getLoanSchedule,
+    getLoanStatement,
+    getPayoffQuote,
+    evaluateOverdue
 };
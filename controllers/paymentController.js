@@ -1,36 +1,79 @@
 const Payment = require('../models/Payment');
 const Loan = require('../models/Loan');
-const Customer = require('../models/Customer');
-const { generatePaymentId } = require('../utils/helpers');
+const ImportBatch = require('../models/ImportBatch');
+const { getAssignedCustomerIds, canAccessCustomer } = require('../utils/access');
+const { toSnapshot, recordAudit } = require('../utils/audit');
+const { withTransaction } = require('../utils/transaction');
+const { httpError } = require('../utils/errors');
+const {
+    postPayment,
+    reversePostedPayment,
+    recordPendingPayment,
+    clearPendingPayment,
+    bouncePendingPayment
+} = require('../utils/paymentPosting');
+const { redeemPayoffQuote } = require('../utils/payoff');
+const { repostPaymentEntries } = require('../utils/ledger');
+const { importPayments: importPaymentRows, rollbackImportBatch: rollbackBatch } = require('../utils/paymentImport');
+const { parseCsv } = require('../utils/csv');
+const { PAYMENT_COLUMNS, toDateRange, streamExport } = require('../utils/export');
+const { renderReceiptHtml, renderReceiptPdf } = require('../utils/receipt');
+const { getClearingPaymentMethods, getDefaultBounceCharge } = require('../config/lending');
+const { getForbiddenFields } = require('../config/paymentEditing');
+
+/**
+ * Payment filters shared by the list and the export
+ * `from`/`to` bound the payment date.
+ */
+const buildPaymentQuery = async ({ loanId, customerId, status, type, from, to }, user) => {
+    const query = {};
+
+    if (loanId) {
+        query.loanId = loanId;
+    }
+
+    if (customerId) {
+        query.customerId = customerId;
+    }
+
+    if (status) {
+        query.status = status;
+    }
+
+    if (type) {
+        query.type = type;
+    }
+
+    const paid = toDateRange(from, to);
+    if (paid) {
+        query.paymentDate = paid;
+    }
+
+    const assignedCustomerIds = await getAssignedCustomerIds(user);
+    if (assignedCustomerIds) {
+        query.customer = { $in: assignedCustomerIds };
+    }
+
+    return query;
+};
 
 /**
  * @desc    Get all payments
  * @route   GET /api/payments
- * @access  Public
+ * @access  Private (payments:read)
  */
 const getAllPayments = async (req, res) => {
     try {
-        const { loanId, customerId, status, page = 1, limit = 10 } = req.query;
+        const { page = 1, limit = 10 } = req.query;
 
-        const query = {};
-
-        if (loanId) {
-            query.loanId = loanId;
-        }
-
-        if (customerId) {
-            query.customerId = customerId;
-        }
-
-        if (status) {
-            query.status = status;
-        }
+        const query = await buildPaymentQuery(req.query, req.user);
 
         const skip = (page - 1) * limit;
 
         const payments = await Payment.find(query)
             .populate('customer', 'name phone customerId')
             .populate('loan', 'loanId principalAmount interestType')
+            .populate('receivedBy', 'name email role')
             .sort({ paymentDate: -1 })
             .skip(skip)
             .limit(parseInt(limit));
@@ -54,16 +97,49 @@ const getAllPayments = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Export payments as CSV or NDJSON, with the list's filters
+ * @route   GET /api/payments/export
+ * @access  Private (payments:export)
+ */
+const exportPayments = async (req, res) => {
+    try {
+        const query = await buildPaymentQuery(req.query, req.user);
+
+        const cursor = Payment.find(query)
+            .populate('customer', 'name customerId')
+            .populate('receivedBy', 'name')
+            .sort({ paymentDate: -1 })
+            .lean()
+            .cursor();
+
+        await streamExport({
+            res,
+            cursor,
+            format: req.query.format || 'csv',
+            name: 'payments',
+            columns: PAYMENT_COLUMNS
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error exporting payments',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @desc    Get single payment
  * @route   GET /api/payments/:id
- * @access  Public
+ * @access  Private (payments:read)
  */
 const getPayment = async (req, res) => {
     try {
         const payment = await Payment.findById(req.params.id)
             .populate('customer')
-            .populate('loan');
+            .populate('loan')
+            .populate('receivedBy', 'name email role');
 
         if (!payment) {
             return res.status(404).json({
@@ -72,6 +148,13 @@ const getPayment = async (req, res) => {
             });
         }
 
+        if (!(await canAccessCustomer(req.user, payment.customer))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this payment'
+            });
+        }
+
         res.status(200).json({
             success: true,
             data: payment
@@ -86,120 +169,136 @@ const getPayment = async (req, res) => {
 };
 
 /**
- * @desc    Create new payment
- * @route   POST /api/payments
- * @access  Public
+ * @desc    Printable receipt for a payment, as PDF (default) or ?format=html
+ * @route   GET /api/payments/:id/receipt
+ * @access  Private (payments:read)
  */
-const createPayment = async (req, res) => {
+const getPaymentReceipt = async (req, res) => {
     try {
-        const {
-            loanId,
-            amount,
-            paymentDate,
-            paymentMethod,
-            transactionReference,
-            notes,
-            receivedBy
-        } = req.body;
+        const payment = await Payment.findById(req.params.id)
+            .populate('customer', 'name customerId phone')
+            .populate('receivedBy', 'name');
 
-        // Find loan
-        const loan = await Loan.findOne({ loanId }).populate('customer');
-        if (!loan) {
+        if (!payment) {
             return res.status(404).json({
                 success: false,
-                message: 'Loan not found'
+                message: 'Payment not found'
             });
         }
 
-        if (loan.status === 'closed') {
-            return res.status(400).json({
+        if (!(await canAccessCustomer(req.user, payment.customer))) {
+            return res.status(403).json({
                 success: false,
-                message: 'Cannot add payment to a closed loan'
+                message: 'Not authorized to access this payment'
             });
         }
 
-        // Calculate current interest
-        const currentInterest = loan.calculateInterest(new Date(paymentDate));
-        const totalOutstandingInterest = currentInterest - loan.totalInterestEarned;
-
-        // Allocate payment: Interest first, then principal
-        let remainingAmount = amount;
-        let interestPaid = 0;
-        let principalPaid = 0;
-
-        // Pay interest first
-        if (totalOutstandingInterest > 0) {
-            interestPaid = Math.min(remainingAmount, totalOutstandingInterest);
-            remainingAmount -= interestPaid;
-        }
-
-        // Pay principal
-        if (remainingAmount > 0) {
-            principalPaid = Math.min(remainingAmount, loan.outstandingPrincipal);
+        if (req.query.format === 'html') {
+            return res.status(200).type('html').send(renderReceiptHtml(payment));
         }
 
-        // Generate payment ID
-        const paymentsToday = await Payment.countDocuments({
-            paymentDate: {
-                $gte: new Date(new Date(paymentDate).setHours(0, 0, 0, 0)),
-                $lt: new Date(new Date(paymentDate).setHours(23, 59, 59, 999))
-            }
+        res.status(200);
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `inline; filename="receipt-${payment.paymentId}.pdf"`);
+        renderReceiptPdf(payment, res);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error generating receipt',
+            error: error.message
         });
-        const paymentId = generatePaymentId(paymentsToday + 1);
+    }
+};
 
-        // Create payment
-        const payment = await Payment.create({
-            paymentId,
-            loan: loan._id,
-            loanId: loan.loanId,
-            customer: loan.customer._id,
-            customerId: loan.customerId,
+/**
+ * @desc    Create new payment
+ * @route   POST /api/payments
+ * @access  Private (payments:create)
+ */
+const createPayment = async (req, res) => {
+    try {
+        const {
+            loanId,
             amount,
-            principalPaid,
-            interestPaid,
             paymentDate,
             paymentMethod,
             transactionReference,
             notes,
-            receivedBy,
-            outstandingPrincipalAfter: loan.outstandingPrincipal - principalPaid,
-            outstandingInterestAfter: totalOutstandingInterest - interestPaid
-        });
-
-        // Update loan
-        loan.totalAmountPaid += amount;
-        loan.totalInterestEarned += interestPaid;
-        loan.outstandingPrincipal -= principalPaid;
-        loan.totalPayments += 1;
-        loan.lastPaymentDate = paymentDate;
-        loan.updateOutstanding();
-
-        // Check if loan is fully paid
-        if (loan.outstandingPrincipal <= 0 && loan.outstandingInterest <= 0) {
-            loan.status = 'closed';
-            loan.closedDate = new Date(paymentDate);
-
-            // Update customer active loans
-            const customer = await Customer.findById(loan.customer._id);
-            if (customer) {
-                customer.activeLoans = Math.max(0, customer.activeLoans - 1);
-                customer.totalAmountRepaid += amount;
-                await customer.save();
+            allocationPolicy,
+            payoffQuoteId
+        } = req.body;
+
+        const { payment, loan } = await withTransaction(async (session) => {
+            // Find loan
+            const loan = await Loan.findOne({ loanId }).session(session);
+            if (!loan) {
+                throw httpError(404, 'Loan not found');
+            }
+
+            if (!(await canAccessCustomer(req.user, loan.customer))) {
+                throw httpError(403, 'Not authorized to record payments for this loan');
             }
-        }
 
-        await loan.save();
+            if (loan.status === 'closed') {
+                throw httpError(400, 'Cannot add payment to a closed loan');
+            }
 
-        // Update customer total repaid
-        const customer = await Customer.findById(loan.customer._id);
-        if (customer && loan.status !== 'closed') {
-            customer.totalAmountRepaid += amount;
-            await customer.save();
-        }
+            const awaitsClearing = getClearingPaymentMethods().includes(paymentMethod);
+
+            // Settling against a payoff quote closes the loan in one step
+            if (payoffQuoteId) {
+                if (awaitsClearing) {
+                    throw httpError(400, `A payoff quote cannot be settled by ${paymentMethod}; the funds must clear within the quote's day`);
+                }
+                const payment = await redeemPayoffQuote({
+                    quoteId: payoffQuoteId,
+                    loan,
+                    amount,
+                    paymentMethod,
+                    transactionReference,
+                    notes,
+                    user: req.user,
+                    session
+                });
+                return { payment, loan };
+            }
+
+            // Cheques and bank transfers are held until their funds clear
+            if (awaitsClearing) {
+                const payment = await recordPendingPayment({
+                    loan,
+                    amount,
+                    paymentDate,
+                    paymentMethod,
+                    transactionReference,
+                    notes,
+                    allocationPolicy,
+                    user: req.user,
+                    session
+                });
+                return { payment, loan };
+            }
+
+            const payment = await postPayment({
+                loan,
+                amount,
+                paymentDate,
+                paymentMethod,
+                transactionReference,
+                notes,
+                allocationPolicy,
+                user: req.user,
+                session
+            });
+
+            return { payment, loan };
+        });
 
         res.status(201).json({
             success: true,
-            message: 'Payment recorded successfully',
+            message: payment.status === 'pending'
+                ? 'Payment recorded and awaiting clearance'
+                : 'Payment recorded successfully',
             data: {
                 payment,
                 loan: {
@@ -211,6 +310,12 @@ const createPayment = async (req, res) => {
             }
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Error creating payment',
@@ -222,7 +327,7 @@ const createPayment = async (req, res) => {
 /**
  * @desc    Update payment
  * @route   PUT /api/payments/:id
- * @access  Public
+ * @access  Private (payments:update)
  */
 const updatePayment = async (req, res) => {
     try {
@@ -235,16 +340,61 @@ const updatePayment = async (req, res) => {
             });
         }
 
-        const updatedPayment = await Payment.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true, runValidators: true }
-        );
+        // receivedBy always reflects the user who recorded the payment
+        const { receivedBy, reason, status, ...updates } = req.body;
+
+        if (status !== undefined && status !== payment.status) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment status cannot be edited directly; use POST /api/payments/:id/reverse'
+            });
+        }
+
+        const forbiddenFields = getForbiddenFields(payment.status, updates);
+        if (forbiddenFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot edit ${forbiddenFields.join(', ')} on a ${payment.status} payment; reverse the payment and record a new one`
+            });
+        }
+
+        // Credit applied from the customer's balance has no cash or bank side to move
+        if (updates.paymentMethod !== undefined && payment.paymentMethod === 'credit' &&
+            updates.paymentMethod !== 'credit') {
+            return res.status(400).json({
+                success: false,
+                message: 'A payment made from customer credit cannot change its method'
+            });
+        }
+
+        const before = toSnapshot(payment);
+        payment.set(updates);
+
+        // The ledger entry debits the account for the payment's method
+        const repost = payment.status === 'completed' && payment.isModified('paymentMethod');
+
+        await withTransaction(async (session) => {
+            await payment.save({ session });
+
+            await recordAudit({
+                user: req.user,
+                action: 'update',
+                entityType: 'Payment',
+                before,
+                after: payment,
+                reason,
+                session
+            });
+
+            if (repost) {
+                await repostPaymentEntries({ payment, reason, user: req.user, session });
+            }
+        });
 
         res.status(200).json({
             success: true,
             message: 'Payment updated successfully',
-            data: updatedPayment
+            data: payment
         });
     } catch (error) {
         res.status(500).json({
@@ -256,51 +406,238 @@ const updatePayment = async (req, res) => {
 };
 
 /**
- * @desc    Delete payment
- * @route   DELETE /api/payments/:id
- * @access  Public
+ * Reverse a completed payment inside a transaction
  */
-const deletePayment = async (req, res) => {
+const reversePaymentById = (paymentId, user, reason) => withTransaction(async (session) => {
+    const payment = await Payment.findById(paymentId).session(session);
+
+    if (!payment) {
+        throw httpError(404, 'Payment not found');
+    }
+
+    if (payment.status !== 'completed') {
+        throw httpError(400, `Only completed payments can be reversed (payment is ${payment.status})`);
+    }
+
+    const loan = await Loan.findById(payment.loan).session(session);
+    if (loan && loan.status === 'written-off' && payment.type !== 'recovery') {
+        throw httpError(400, 'Payments made before the loan was written off cannot be reversed');
+    }
+
+    const lastRestructure = loan && loan.termVersions[loan.termVersions.length - 1];
+    if (lastRestructure && payment.paymentDate < lastRestructure.effectiveDate) {
+        throw httpError(400, 'Payments made before the loan was restructured cannot be reversed');
+    }
+
+    await reversePostedPayment({ payment, loan, user, reason, session });
+
+    return { payment, loan };
+});
+
+/**
+ * @desc    Reverse payment
+ * @route   POST /api/payments/:id/reverse
+ * @access  Private (payments:reverse)
+ */
+const reversePayment = async (req, res) => {
     try {
-        const payment = await Payment.findById(req.params.id);
+        const { reason } = req.body;
 
-        if (!payment) {
-            return res.status(404).json({
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({
                 success: false,
-                message: 'Payment not found'
+                message: 'A reason is required to reverse a payment'
             });
         }
 
-        // Reverse the payment effects on loan
-        const loan = await Loan.findById(payment.loan);
-        if (loan) {
-            loan.totalAmountPaid -= payment.amount;
-            loan.totalInterestEarned -= payment.interestPaid;
-            loan.outstandingPrincipal += payment.principalPaid;
-            loan.totalPayments = Math.max(0, loan.totalPayments - 1);
+        const { payment, loan } = await reversePaymentById(req.params.id, req.user, String(reason).trim());
 
-            if (loan.status === 'closed') {
-                loan.status = 'active';
-                loan.closedDate = null;
-
-                // Update customer active loans
-                const customer = await Customer.findById(loan.customer);
-                if (customer) {
-                    customer.activeLoans += 1;
-                    await customer.save();
+        res.status(200).json({
+            success: true,
+            message: 'Payment reversed successfully',
+            data: {
+                payment,
+                loan: loan && {
+                    loanId: loan.loanId,
+                    outstandingPrincipal: loan.outstandingPrincipal,
+                    outstandingInterest: loan.outstandingInterest,
+                    status: loan.status
+                }
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error reversing payment',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Load a pending payment and its loan for clearing or bouncing
+ */
+const findPendingPayment = async (paymentId, user, session) => {
+    const payment = await Payment.findById(paymentId).session(session);
+
+    if (!payment) {
+        throw httpError(404, 'Payment not found');
+    }
+    if (!(await canAccessCustomer(user, payment.customer))) {
+        throw httpError(403, 'Not authorized to access this payment');
+    }
+    if (payment.status !== 'pending') {
+        throw httpError(400, `Only pending payments can be cleared or bounced (payment is ${payment.status})`);
+    }
+
+    const loan = await Loan.findById(payment.loan).session(session);
+    return { payment, loan };
+};
+
+/**
+ * @desc    Post a pending cheque or bank transfer once its funds have cleared
+ * @route   POST /api/payments/:id/clear
+ * @access  Private (payments:clear)
+ */
+const clearPayment = async (req, res) => {
+    try {
+        const { payment, loan } = await withTransaction(async (session) => {
+            const { payment, loan } = await findPendingPayment(req.params.id, req.user, session);
+            if (!loan) {
+                throw httpError(404, 'Loan not found');
+            }
+
+            await clearPendingPayment({
+                payment,
+                loan,
+                clearedDate: req.body.clearedDate,
+                user: req.user,
+                session
+            });
+
+            return { payment, loan };
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Payment cleared and posted successfully',
+            data: {
+                payment,
+                loan: {
+                    loanId: loan.loanId,
+                    outstandingPrincipal: loan.outstandingPrincipal,
+                    outstandingInterest: loan.outstandingInterest,
+                    status: loan.status
                 }
             }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error clearing payment',
+            error: error.message
+        });
+    }
+};
 
-            await loan.save();
+/**
+ * @desc    Discard a pending cheque or bank transfer that bounced
+ * @route   POST /api/payments/:id/bounce
+ * @access  Private (payments:clear)
+ */
+const bouncePayment = async (req, res) => {
+    try {
+        const { reason, applyCharge = true, chargeAmount } = req.body;
+
+        const { payment, loan } = await withTransaction(async (session) => {
+            const { payment, loan } = await findPendingPayment(req.params.id, req.user, session);
+
+            const bounceCharge = applyCharge
+                ? (chargeAmount !== undefined ? chargeAmount : getDefaultBounceCharge())
+                : 0;
+
+            await bouncePendingPayment({
+                payment,
+                loan,
+                reason,
+                bounceCharge,
+                user: req.user,
+                session
+            });
+
+            return { payment, loan };
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Payment marked as bounced',
+            data: {
+                payment,
+                loan: loan && {
+                    loanId: loan.loanId,
+                    outstandingFees: loan.outstandingFees,
+                    status: loan.status
+                }
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error bouncing payment',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete payment (kept for compatibility, performs a reversal)
+ * @route   DELETE /api/payments/:id
+ * @access  Private (payments:delete)
+ */
+const deletePayment = async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to delete a payment'
+            });
         }
 
-        await payment.deleteOne();
+        // Payments are never removed; the record stays as reversed
+        const { payment } = await reversePaymentById(req.params.id, req.user, String(reason).trim());
 
         res.status(200).json({
             success: true,
-            message: 'Payment deleted successfully'
+            message: 'Payment reversed successfully',
+            data: payment
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
         res.status(500).json({
             success: false,
             message: 'Error deleting payment',
@@ -309,27 +646,205 @@ const deletePayment = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Import a collection sheet, or preview it with ?dryRun=true
+ *          Send CSV as text/csv, or JSON as { rows: [...] } or { csv: "..." }
+ * @route   POST /api/payments/import
+ * @access  Private (payments:import)
+ */
+const importPayments = async (req, res) => {
+    try {
+        let rows;
+        let source;
+
+        if (typeof req.body === 'string') {
+            rows = parseCsv(req.body);
+            source = 'csv';
+        } else if (req.body && typeof req.body.csv === 'string') {
+            rows = parseCsv(req.body.csv);
+            source = 'csv';
+        } else if (req.body && Array.isArray(req.body.rows)) {
+            rows = req.body.rows;
+            source = 'json';
+        } else {
+            return res.status(400).json({
+                success: false,
+                message: 'Send the sheet as text/csv, or as JSON with a rows array or a csv string'
+            });
+        }
+
+        const result = await importPaymentRows({
+            rows,
+            source,
+            dryRun: req.query.dryRun === true,
+            user: req.user
+        });
+
+        res.status(result.dryRun ? 200 : 201).json({
+            success: true,
+            message: result.dryRun
+                ? `Dry run: ${result.rowCount - result.skippedCount} of ${result.rowCount} rows would be imported`
+                : `Imported ${result.importedCount + result.pendingCount} of ${result.rowCount} rows as batch ${result.batchId}`,
+            data: result
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.rows && { data: { rows: error.rows } })
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error importing payments',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get payment import batches
+ * @route   GET /api/payments/import
+ * @access  Private (payments:import)
+ */
+const getImportBatches = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 10 } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+
+        const skip = (page - 1) * limit;
+
+        const batches = await ImportBatch.find(query)
+            .select('-rows -payments')
+            .populate('importedBy', 'name email')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await ImportBatch.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: batches.length,
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / limit),
+            data: batches
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching import batches',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get a payment import batch with its row outcomes
+ * @route   GET /api/payments/import/:batchId
+ * @access  Private (payments:import)
+ */
+const getImportBatch = async (req, res) => {
+    try {
+        const batch = await ImportBatch.findOne({ batchId: req.params.batchId })
+            .populate('importedBy', 'name email')
+            .populate('rolledBackBy', 'name email');
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import batch not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: batch
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching import batch',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Reverse every payment of an import batch
+ * @route   POST /api/payments/import/:batchId/rollback
+ * @access  Private (payments:reverse)
+ */
+const rollbackImportBatch = async (req, res) => {
+    try {
+        const { batch, reversedCount } = await rollbackBatch({
+            batchId: req.params.batchId,
+            reason: req.body.reason,
+            user: req.user
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Import batch ${batch.batchId} rolled back; ${reversedCount} payments reversed`,
+            data: batch
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error rolling back import batch',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @desc    Get payment statistics
  * @route   GET /api/payments/stats/overview
- * @access  Public
+ * @access  Private (payments:stats)
  */
 const getPaymentStats = async (req, res) => {
     try {
         const totalPayments = await Payment.countDocuments();
         const completedPayments = await Payment.countDocuments({ status: 'completed' });
         const pendingPayments = await Payment.countDocuments({ status: 'pending' });
+        const reversedPayments = await Payment.find({ status: 'reversed' });
+        const bouncedPayments = await Payment.countDocuments({ status: 'failed', bouncedAt: { $exists: true } });
+
+        const pendingTotals = await Payment.aggregate([
+            { $match: { status: 'pending' } },
+            { $group: { _id: null, total: { $sum: '$amount' } } }
+        ]);
 
         const allPayments = await Payment.find({ status: 'completed' });
 
         let totalAmountReceived = 0;
         let totalPrincipalReceived = 0;
         let totalInterestReceived = 0;
+        let totalPenaltyReceived = 0;
+        let totalFeesReceived = 0;
+        let totalRecoveryReceived = 0;
+        let totalExcessCredited = 0;
 
         allPayments.forEach(payment => {
             totalAmountReceived += payment.amount;
             totalPrincipalReceived += payment.principalPaid;
             totalInterestReceived += payment.interestPaid;
+            totalPenaltyReceived += payment.penaltyPaid;
+            totalFeesReceived += payment.feesPaid;
+            totalExcessCredited += payment.excessAmount;
+            if (payment.type === 'recovery') {
+                totalRecoveryReceived += payment.amount;
+            }
         });
 
         // Get today's payments
@@ -345,15 +860,28 @@ const getPaymentStats = async (req, res) => {
             todayAmount += payment.amount;
         });
 
+        let totalAmountReversed = 0;
+        reversedPayments.forEach(payment => {
+            totalAmountReversed += payment.amount;
+        });
+
         res.status(200).json({
             success: true,
             data: {
                 totalPayments,
                 completedPayments,
                 pendingPayments,
+                pendingAmount: pendingTotals.length > 0 ? pendingTotals[0].total : 0,
+                bouncedPayments,
+                reversedPayments: reversedPayments.length,
                 totalAmountReceived,
                 totalPrincipalReceived,
                 totalInterestReceived,
+                totalPenaltyReceived,
+                totalFeesReceived,
+                totalRecoveryReceived,
+                totalExcessCredited,
+                totalAmountReversed,
                 todayPayments: todayPayments.length,
                 todayAmount
             }
@@ -369,9 +897,18 @@ const getPaymentStats = async (req, res) => {
 
 module.exports = {
     getAllPayments,
+    exportPayments,
     getPayment,
+    getPaymentReceipt,
     createPayment,
     updatePayment,
     deletePayment,
+    reversePayment,
+    clearPayment,
+    bouncePayment,
+    importPayments,
+    getImportBatches,
+    getImportBatch,
+    rollbackImportBatch,
     getPaymentStats
 };
@@ -0,0 +1,347 @@
+const BankStatement = require('../models/BankStatement');
+const { parseCsv } = require('../utils/csv');
+const {
+    uploadStatement,
+    rematchStatement,
+    confirmLine,
+    createPaymentFromLine,
+    unmatchLine,
+    ignoreLine,
+    buildReport
+} = require('../utils/reconciliation');
+
+/**
+ * @desc    Get uploaded statements
+ * @route   GET /api/reconciliation
+ * @access  Private (reconciliation:read)
+ */
+const getBankStatements = async (req, res) => {
+    try {
+        const { status, channel, page = 1, limit = 10 } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (channel) query.channel = channel;
+
+        const skip = (page - 1) * limit;
+
+        const statements = await BankStatement.find(query)
+            .select('-lines')
+            .populate('uploadedBy', 'name email')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await BankStatement.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: statements.length,
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / limit),
+            data: statements
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching statements',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Upload a bank or UPI statement and auto-match its lines
+ *          Send CSV as text/csv (with ?channel=&account=), or JSON as
+ *          { channel, account, csv } or { channel, account, lines: [...] }
+ * @route   POST /api/reconciliation
+ * @access  Private (reconciliation:manage)
+ */
+const uploadBankStatement = async (req, res) => {
+    try {
+        let records;
+        let options = req.body || {};
+
+        if (typeof req.body === 'string') {
+            records = parseCsv(req.body);
+            options = req.query;
+        } else if (typeof options.csv === 'string') {
+            records = parseCsv(options.csv);
+        } else if (Array.isArray(options.lines)) {
+            records = options.lines;
+        } else {
+            return res.status(400).json({
+                success: false,
+                message: 'Send the statement as text/csv, or as JSON with a lines array or a csv string'
+            });
+        }
+
+        const statement = await uploadStatement({
+            records,
+            channel: options.channel,
+            account: options.account,
+            user: req.user
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Statement ${statement.statementId} uploaded; ${statement.matchedCount} of ${statement.lineCount} lines matched`,
+            data: statement
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.rows && { errors: error.rows })
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error uploading statement',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get a statement with its lines
+ * @route   GET /api/reconciliation/:id
+ * @access  Private (reconciliation:read)
+ */
+const getBankStatement = async (req, res) => {
+    try {
+        const statement = await BankStatement.findById(req.params.id)
+            .populate('uploadedBy', 'name email')
+            .populate('lines.matchedBy', 'name email');
+
+        if (!statement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Statement not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: statement
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching statement',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Reconciliation report for a statement
+ * @route   GET /api/reconciliation/:id/report
+ * @access  Private (reconciliation:read)
+ */
+const getReconciliationReport = async (req, res) => {
+    try {
+        const statement = await BankStatement.findById(req.params.id);
+
+        if (!statement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Statement not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: await buildReport(statement)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error building reconciliation report',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Re-run auto-matching for a statement's unmatched lines
+ * @route   POST /api/reconciliation/:id/auto-match
+ * @access  Private (reconciliation:manage)
+ */
+const rematchBankStatement = async (req, res) => {
+    try {
+        const { statement, matched } = await rematchStatement(req.params.id, req.user);
+
+        res.status(200).json({
+            success: true,
+            message: `${matched} more lines matched`,
+            data: statement
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error matching statement',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Match an unmatched line to a payment
+ * @route   POST /api/reconciliation/:id/lines/:lineId/confirm
+ * @access  Private (reconciliation:manage)
+ */
+const confirmStatementLine = async (req, res) => {
+    try {
+        const { line } = await confirmLine({
+            statementId: req.params.id,
+            lineId: req.params.lineId,
+            paymentId: req.body.paymentId,
+            user: req.user
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Line ${line.line} matched to ${line.paymentId}`,
+            data: line
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error confirming statement line',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Record a payment for an unmatched line and match it
+ * @route   POST /api/reconciliation/:id/lines/:lineId/create-payment
+ * @access  Private (reconciliation:manage)
+ */
+const createStatementLinePayment = async (req, res) => {
+    try {
+        const { loanId, paymentMethod, allocationPolicy, notes } = req.body;
+
+        const { line } = await createPaymentFromLine({
+            statementId: req.params.id,
+            lineId: req.params.lineId,
+            loanId,
+            paymentMethod,
+            allocationPolicy,
+            notes,
+            user: req.user
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Payment ${line.paymentId} recorded from line ${line.line}`,
+            data: line
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error creating payment from statement line',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Undo a line's match
+ * @route   POST /api/reconciliation/:id/lines/:lineId/unmatch
+ * @access  Private (reconciliation:manage)
+ */
+const unmatchStatementLine = async (req, res) => {
+    try {
+        const { line } = await unmatchLine({
+            statementId: req.params.id,
+            lineId: req.params.lineId,
+            reason: req.body.reason,
+            user: req.user
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Line ${line.line} unmatched`,
+            data: line
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error unmatching statement line',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Set aside a line that is not a loan collection
+ * @route   POST /api/reconciliation/:id/lines/:lineId/ignore
+ * @access  Private (reconciliation:manage)
+ */
+const ignoreStatementLine = async (req, res) => {
+    try {
+        const { line } = await ignoreLine({
+            statementId: req.params.id,
+            lineId: req.params.lineId,
+            reason: req.body.reason
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Line ${line.line} ignored`,
+            data: line
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error ignoring statement line',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getBankStatements,
+    uploadBankStatement,
+    getBankStatement,
+    getReconciliationReport,
+    rematchBankStatement,
+    confirmStatementLine,
+    createStatementLinePayment,
+    unmatchStatementLine,
+    ignoreStatementLine
+};
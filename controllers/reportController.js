@@ -0,0 +1,26 @@
+const { buildDaybook } = require('../utils/daybook');
+
+/**
+ * @desc    Day book: the day's disbursements and payments grouped by method and
+ *          handler, cash in hand, and each collector's dues against collections
+ * @route   GET /api/reports/daybook?date=YYYY-MM-DD
+ * @access  Private (reports:read)
+ */
+const getDaybook = async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: await buildDaybook(req.query.date)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error building day book',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getDaybook
+};
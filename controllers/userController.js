@@ -0,0 +1,98 @@
+const User = require('../models/User');
+
+/**
+ * @desc    Get all users
+ * @route   GET /api/users
+ * @access  Private (users:manage)
+ */
+const getAllUsers = async (req, res) => {
+    try {
+        const { role, status, page = 1, limit = 10 } = req.query;
+
+        const query = {};
+
+        if (role) {
+            query.role = role;
+        }
+
+        if (status) {
+            query.status = status;
+        }
+
+        const skip = (page - 1) * limit;
+
+        const users = await User.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await User.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: users.length,
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / limit),
+            data: users
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching users',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update a user's profile, role or status
+ * @route   PUT /api/users/:id
+ * @access  Private (users:manage)
+ */
+const updateUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const { name, phone, role, status } = req.body;
+
+        // An admin must not lock themselves out
+        if (user._id.equals(req.user._id) && ((role && role !== 'admin') || status === 'disabled')) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot remove your own admin access'
+            });
+        }
+
+        if (name !== undefined) user.name = name;
+        if (phone !== undefined) user.phone = phone;
+        if (role !== undefined) user.role = role;
+        if (status !== undefined) user.status = status;
+
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'User updated successfully',
+            data: user
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating user',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getAllUsers,
+    updateUser
+};
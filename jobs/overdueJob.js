@@ -0,0 +1,165 @@
+/**
+ * Overdue detection and default classification
+ *
+ * Computes days past due for every active or defaulted loan, flags loans that
+ * have fallen behind, and moves loans to `defaulted` once they are at least the
+ * configured number of days past due (DEFAULT_THRESHOLD_DAYS). A defaulted loan
+ * returns to `active` once it is fully caught up. Every transition is audited.
+ *
+ * Runs in-process every OVERDUE_JOB_INTERVAL_MINUTES and can be triggered
+ * manually through POST /api/loans/jobs/evaluate-overdue.
+ */
+const Loan = require('../models/Loan');
+const { syncSchedule } = require('../utils/schedule');
+const { toSnapshot, recordAudit } = require('../utils/audit');
+const { withTransaction } = require('../utils/transaction');
+const { getDefaultThresholdDays, getOverdueJobIntervalMinutes } = require('../config/lending');
+
+/**
+ * Re-evaluate one loan's delinquency and record any transition
+ * Returns the transitions made: 'overdue', 'current', 'defaulted', 'cured'.
+ */
+const evaluateLoan = async ({ loan, asOfDate, thresholdDays, user, session }) => {
+    const before = toSnapshot(loan);
+    const wasOverdue = loan.isOverdue;
+    const wasDefaulted = loan.status === 'defaulted';
+
+    await syncSchedule(loan, session, asOfDate);
+
+    const overdueSince = loan.getOverdueSince(asOfDate);
+    const daysPastDue = loan.getDaysPastDue(asOfDate);
+
+    loan.isOverdue = daysPastDue > 0;
+    loan.daysPastDue = daysPastDue;
+    loan.overdueSince = overdueSince || undefined;
+    loan.lastEvaluatedAt = asOfDate;
+
+    const transitions = [];
+    if (loan.isOverdue && !wasOverdue) transitions.push('overdue');
+    if (!loan.isOverdue && wasOverdue && !wasDefaulted) transitions.push('current');
+
+    if (!wasDefaulted && daysPastDue >= thresholdDays) {
+        loan.status = 'defaulted';
+        loan.defaultedDate = asOfDate;
+        transitions.push('defaulted');
+    } else if (wasDefaulted && !loan.isOverdue) {
+        loan.status = 'active';
+        loan.defaultedDate = undefined;
+        transitions.push('cured');
+    }
+
+    await loan.save({ session });
+
+    const reasons = {
+        overdue: `Overdue since ${overdueSince && overdueSince.toISOString().slice(0, 10)}`,
+        current: 'No longer overdue',
+        defaulted: `${daysPastDue} days past due (threshold ${thresholdDays})`,
+        cured: 'Defaulted loan is no longer overdue'
+    };
+    const actions = {
+        overdue: 'overdue',
+        current: 'update',
+        defaulted: 'default',
+        cured: 'update'
+    };
+
+    for (const transition of transitions) {
+        await recordAudit({
+            user,
+            action: actions[transition],
+            entityType: 'Loan',
+            before,
+            after: loan,
+            reason: reasons[transition],
+            session
+        });
+    }
+
+    return transitions;
+};
+
+/**
+ * Evaluate every active or defaulted loan as of a date
+ * `user` is the person who triggered the run, or undefined for the scheduler.
+ * Each loan is evaluated in its own transaction so one failure does not undo the rest.
+ */
+const evaluateOverdueLoans = async ({ asOfDate = new Date(), user } = {}) => {
+    const thresholdDays = getDefaultThresholdDays();
+    const loanIds = await Loan.find({ status: { $in: ['active', 'defaulted'] } }).distinct('_id');
+
+    const summary = {
+        asOfDate,
+        thresholdDays,
+        evaluated: 0,
+        overdue: 0,
+        defaulted: 0,
+        newlyOverdue: 0,
+        newlyDefaulted: 0,
+        cured: 0,
+        errors: []
+    };
+
+    for (const loanId of loanIds) {
+        try {
+            const { loan, transitions } = await withTransaction(async (session) => {
+                const loan = await Loan.findById(loanId).session(session);
+                const transitions = await evaluateLoan({ loan, asOfDate, thresholdDays, user, session });
+                return { loan, transitions };
+            });
+
+            summary.evaluated += 1;
+            if (loan.isOverdue) summary.overdue += 1;
+            if (loan.status === 'defaulted') summary.defaulted += 1;
+            if (transitions.includes('overdue')) summary.newlyOverdue += 1;
+            if (transitions.includes('defaulted')) summary.newlyDefaulted += 1;
+            if (transitions.includes('cured')) summary.cured += 1;
+        } catch (error) {
+            summary.errors.push({ loan: loanId, message: error.message });
+        }
+    }
+
+    return summary;
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Run the evaluation now and then on an interval; a run still in progress is never overlapped
+ */
+const startOverdueJob = () => {
+    const intervalMinutes = getOverdueJobIntervalMinutes();
+    if (timer || intervalMinutes <= 0) return;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const summary = await evaluateOverdueLoans();
+            console.log(`Overdue evaluation: ${summary.evaluated} loans, ${summary.newlyOverdue} newly overdue, ${summary.newlyDefaulted} newly defaulted`);
+        } catch (error) {
+            console.error('Overdue evaluation failed:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    timer = setInterval(run, intervalMinutes * 60 * 1000);
+    timer.unref();
+    run();
+};
+
+/**
+ * Stop the scheduled evaluation
+ */
+const stopOverdueJob = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    evaluateLoan,
+    evaluateOverdueLoans,
+    startOverdueJob,
+    stopOverdueJob
+};
@@ -0,0 +1,90 @@
+const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/tokens');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Require a valid access token on the request
+ * Attaches the authenticated user to req.user.
+ */
+const protect = async (req, res, next) => {
+    try {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized, no token provided'
+            });
+        }
+
+        let decoded;
+        try {
+            decoded = verifyAccessToken(token);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized, invalid or expired token'
+            });
+        }
+
+        const user = await User.findById(decoded.id);
+        if (!user || user.status !== 'active') {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized, user not found or disabled'
+            });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error authenticating request',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Require the logged-in user's role to hold a permission
+ * Must run after protect.
+ */
+const authorize = (permission) => (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+        return res.status(403).json({
+            success: false,
+            message: `Role '${req.user ? req.user.role : 'anonymous'}' is not allowed to perform this action`
+        });
+    }
+    next();
+};
+
+/**
+ * Let the very first user register without a token, then require an admin
+ * The count is only a hint: concurrent first registrations both get here, and
+ * register claims COUNTERS.firstUser so that only one of them becomes admin.
+ */
+const allowFirstUser = async (req, res, next) => {
+    try {
+        const userCount = await User.countDocuments();
+        if (userCount === 0) {
+            req.isFirstUser = true;
+            return next();
+        }
+        return protect(req, res, () => authorize('users:manage')(req, res, next));
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error authenticating request',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    protect,
+    allowFirstUser,
+    authorize
+};
@@ -0,0 +1,37 @@
+const { validationResult, param } = require('express-validator');
+
+/**
+ * Run validation chains and reply 400 with every failing field
+ * Usage: router.post('/', validate(createLoanRules), createLoan)
+ */
+const validate = (rules) => [
+    ...rules,
+    (req, res, next) => {
+        const result = validationResult(req);
+
+        if (!result.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: result.array().map(error => ({
+                    field: error.path,
+                    location: error.location,
+                    message: error.msg,
+                    value: error.value
+                }))
+            });
+        }
+
+        next();
+    }
+];
+
+/**
+ * Rule for routes addressed by a MongoDB ObjectId, e.g. /:id
+ */
+const idParam = (name = 'id') => param(name).isMongoId().withMessage(`Invalid ${name}`);
+
+module.exports = {
+    validate,
+    idParam
+};
@@ -0,0 +1,169 @@
+/**
+ * Post journal entries for money that moved before the ledger existed
+ *
+ * Disbursements, capitalised interest, write-offs, payments (and their
+ * reversals) and credit refunds without an entry get one, dated when the money
+ * moved. Each loan, payment and refund is posted in its own transaction; one
+ * that cannot be posted is logged and skipped, and the rest carry on.
+ * Old payments whose split does not add up to the amount received (excess was
+ * not always recorded) have the difference posted to the suspense account, to
+ * be cleared by hand. Safe to run repeatedly.
+ * Usage: npm run migrate:ledger
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const Customer = require('../models/Customer');
+const JournalEntry = require('../models/JournalEntry');
+const { withTransaction } = require('../utils/transaction');
+const { roundCurrency } = require('../utils/helpers');
+const {
+    ensureSystemAccounts,
+    postDisbursementEntry,
+    postCapitalisationEntry,
+    postWriteOffEntry,
+    postPaymentEntry,
+    reversePaymentEntries,
+    postCreditRefundEntry
+} = require('../utils/ledger');
+
+dotenv.config();
+
+/**
+ * Amount received that a payment's split does not account for
+ * Negative when the split claims more than was received.
+ */
+const getUnallocated = (payment) => {
+    if (payment.type === 'recovery') return 0;
+
+    const allocated = ['principalPaid', 'interestPaid', 'penaltyPaid', 'feesPaid', 'excessAmount']
+        .reduce((total, field) => total + (payment[field] || 0), 0);
+    return roundCurrency(payment.amount - allocated);
+};
+
+const backfillLedger = async () => {
+    let posted = 0;
+    const skipped = [];
+
+    // Post one record's entries in a transaction; `work` returns the entries it posted
+    const backfill = async (label, work) => {
+        try {
+            const entries = await withTransaction(work);
+            posted += entries.filter(Boolean).length;
+        } catch (error) {
+            skipped.push({ record: label, error: error.message });
+            console.warn(`⚠️  Skipped ${label}: ${error.message}`);
+        }
+    };
+
+    await ensureSystemAccounts();
+
+    for await (const { _id, loanId } of Loan.find().select('loanId').cursor()) {
+        await backfill(loanId, async (session) => {
+            const loan = await Loan.findById(_id).session(session);
+            const hasEntry = (source) => JournalEntry.exists({ loan: loan._id, source }).session(session);
+            const entries = [];
+
+            // Legacy loans have no tranches recorded; their one disbursement is the principal
+            const disbursements = loan.disbursements.length > 0 ? loan.disbursements : loan.getDisbursements();
+            for (const disbursement of disbursements) {
+                const alreadyPosted = disbursement._id
+                    ? await JournalEntry.exists({ disbursement: disbursement._id }).session(session)
+                    : await hasEntry('disbursement');
+                if (!alreadyPosted) {
+                    entries.push(await postDisbursementEntry({ loan, disbursement, session }));
+                }
+            }
+
+            if (!(await hasEntry('capitalisation'))) {
+                for (const version of loan.termVersions) {
+                    if (version.capitalisedInterest > 0) {
+                        entries.push(await postCapitalisationEntry({
+                            loan,
+                            amount: version.capitalisedInterest,
+                            date: version.effectiveDate,
+                            session
+                        }));
+                    }
+                }
+            }
+
+            return entries;
+        });
+    }
+
+    // Pending payments reversed before they cleared never moved any money
+    const payments = Payment.find({
+        status: { $in: ['completed', 'reversed'] },
+        $or: [{ receivedDate: null }, { clearedAt: { $ne: null } }]
+    }).select('paymentId').sort({ paymentDate: 1 });
+
+    for await (const { _id, paymentId } of payments.cursor()) {
+        await backfill(paymentId, async (session) => {
+            if (await JournalEntry.exists({ payment: _id }).session(session)) return [];
+
+            const payment = await Payment.findById(_id).session(session);
+            const unallocated = getUnallocated(payment);
+            if (unallocated < 0) {
+                throw new Error(`split exceeds the ${payment.amount} received by ${-unallocated}; correct the payment and re-run`);
+            }
+            if (unallocated > 0) {
+                console.warn(`⚠️  ${paymentId}: ${unallocated} not allocated by its split, posted to suspense`);
+            }
+
+            const entries = [await postPaymentEntry({ payment, unallocated, session })];
+            if (payment.status === 'reversed') {
+                entries.push(...await reversePaymentEntries({ payment, reason: payment.reversalReason, session }));
+            }
+            return entries;
+        });
+    }
+
+    // After the payments, so capitalised interest they repaid is not cancelled as unearned
+    for await (const { _id, loanId } of Loan.find({ writeOff: { $ne: null } }).select('loanId').cursor()) {
+        await backfill(`${loanId} write-off`, async (session) => {
+            if (await JournalEntry.exists({ loan: _id, source: 'write-off' }).session(session)) return [];
+
+            const loan = await Loan.findById(_id).session(session);
+            return [await postWriteOffEntry({ loan, session })];
+        });
+    }
+
+    for await (const { _id, customerId } of Customer.find({ 'creditLedger.type': 'refund' }).select('customerId').cursor()) {
+        await backfill(`${customerId} credit refunds`, async (session) => {
+            const customer = await Customer.findById(_id).session(session);
+            const entries = [];
+
+            for (const creditEntry of customer.creditLedger) {
+                if (creditEntry.type !== 'refund') continue;
+                if (await JournalEntry.exists({ creditEntry: creditEntry._id }).session(session)) continue;
+                entries.push(await postCreditRefundEntry({ customer, creditEntry, session }));
+            }
+            return entries;
+        });
+    }
+
+    return { posted, skipped };
+};
+
+const run = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        const { posted, skipped } = await backfillLedger();
+        console.log(`✅ Posted ${posted} journal entries`);
+        if (skipped.length > 0) {
+            console.warn(`⚠️  Skipped ${skipped.length} records; fix them and re-run`);
+        }
+        await mongoose.connection.close();
+    } catch (error) {
+        console.error('❌ Error backfilling the ledger:', error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = backfillLedger;
@@ -0,0 +1,55 @@
+/**
+ * Rebuild each loan's repayment ledger from its completed payments
+ *
+ * The interest engine reads principal and interest repayments from the loan
+ * itself; loans created before the ledger existed have an empty one.
+ * Safe to run repeatedly.
+ * Usage: npm run migrate:repayments
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+
+dotenv.config();
+
+const backfillRepayments = async () => {
+    let updated = 0;
+
+    for await (const loan of Loan.find().cursor()) {
+        const payments = await Payment.find({ loan: loan._id, status: 'completed' })
+            .sort({ paymentDate: 1, createdAt: 1 });
+
+        loan.repayments = payments.map(payment => ({
+            payment: payment._id,
+            date: payment.paymentDate,
+            principal: payment.principalPaid,
+            interest: payment.interestPaid
+        }));
+
+        if (loan.isModified('repayments')) {
+            await loan.save();
+            updated += 1;
+        }
+    }
+
+    return updated;
+};
+
+const run = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        const updated = await backfillRepayments();
+        console.log(`✅ Rebuilt repayment ledgers on ${updated} loans`);
+        await mongoose.connection.close();
+    } catch (error) {
+        console.error('❌ Error backfilling repayments:', error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = backfillRepayments;
@@ -0,0 +1,69 @@
+/**
+ * Seed the counters collection from existing customers, loans and payments
+ *
+ * Safe to run repeatedly: counters are only ever raised, never lowered.
+ * Usage: npm run migrate:counters
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Counter = require('../models/Counter');
+const Customer = require('../models/Customer');
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const { COUNTERS } = require('../utils/sequences');
+
+dotenv.config();
+
+const seedCounters = async () => {
+    const seeds = new Map();
+    const raise = (name, value) => {
+        if (Number.isFinite(value) && value > (seeds.get(name) || 0)) {
+            seeds.set(name, value);
+        }
+    };
+
+    // CUS-XXXXX
+    for await (const customer of Customer.find().select('customerId totalLoans').lean().cursor()) {
+        raise(COUNTERS.customer, parseInt(customer.customerId.split('-')[1], 10));
+        raise(COUNTERS.customerLoan(customer.customerId), customer.totalLoans);
+    }
+
+    // Loan sequence and per-customer loan numbers
+    for await (const loan of Loan.find().select('sequenceNumber customerId customerLoanNumber').lean().cursor()) {
+        raise(COUNTERS.loan, loan.sequenceNumber);
+        raise(COUNTERS.customerLoan(loan.customerId), loan.customerLoanNumber);
+    }
+
+    // PAY-YYYYMMDD-XXXXX, one counter per day
+    for await (const payment of Payment.find().select('paymentId').lean().cursor()) {
+        const [, dateKey, seq] = payment.paymentId.split('-');
+        if (dateKey && seq) {
+            raise(COUNTERS.payment(dateKey), parseInt(seq, 10));
+        }
+    }
+
+    for (const [name, value] of seeds) {
+        await Counter.seed(name, value);
+    }
+
+    return seeds;
+};
+
+const run = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        const seeds = await seedCounters();
+        console.log(`✅ Seeded ${seeds.size} counters`);
+        seeds.forEach((value, name) => console.log(`   ${name}: ${value}`));
+        await mongoose.connection.close();
+    } catch (error) {
+        console.error('❌ Error seeding counters:', error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = seedCounters;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { ACCOUNT_TYPES } = require('../config/accounts');
+
+// An account in the chart of accounts; journal lines refer to it by code
+const accountSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ACCOUNT_TYPES,
+        required: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Posted to automatically (see config/accounts.js); cannot be deactivated
+    isSystem: {
+        type: Boolean,
+        default: false
+    },
+    // Inactive accounts keep their history but take no new manual entries
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Account', accountSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    // Who made the change (empty for system jobs)
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actorName: {
+        type: String,
+        trim: true
+    },
+    actorRole: {
+        type: String,
+        trim: true
+    },
+
+    // What was changed
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'close', 'reverse', 'amend', 'overdue', 'default', 'write-off', 'restructure', 'disburse', 'reconcile'],
+        required: true
+    },
+    entityType: {
+        type: String,
+        enum: ['Customer', 'Loan', 'Payment'],
+        required: true
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Business identifier, e.g. CUS-00001, a loanId or a paymentId
+    entityRef: {
+        type: String,
+        trim: true
+    },
+
+    // Snapshots and field-level diff
+    before: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    changes: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+
+    reason: {
+        type: String,
+        trim: true
+    },
+
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    versionKey: false
+});
+
+// Indexes
+auditLogSchema.index({ entityType: 1, entityId: 1, timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ timestamp: -1 });
+
+// Append-only: entries can be created but never changed or removed
+const rejectMutation = function (next) {
+    next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return rejectMutation(next);
+    }
+    next();
+});
+
+[
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+].forEach(operation => {
+    auditLogSchema.pre(operation, rejectMutation);
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const { roundCurrency } = require('../utils/helpers');
+
+// One line of an uploaded statement and what it was reconciled against
+const statementLineSchema = new mongoose.Schema({
+    line: {
+        type: Number,
+        required: true
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    reference: {
+        type: String,
+        trim: true
+    },
+    narration: {
+        type: String,
+        trim: true
+    },
+
+    // Debit lines are money going out and are ignored on upload
+    status: {
+        type: String,
+        enum: ['matched', 'unmatched', 'ignored'],
+        default: 'unmatched'
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    paymentId: {
+        type: String
+    },
+    // auto: matched on upload; manual: confirmed by a user; created: a payment was recorded from the line
+    matchType: {
+        type: String,
+        enum: ['auto', 'manual', 'created']
+    },
+    matchRule: {
+        type: String,
+        enum: ['reference', 'amount-date']
+    },
+    matchedAt: {
+        type: Date
+    },
+    matchedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Payments that fit the line equally well, for a user to choose from
+    candidates: [String],
+    note: {
+        type: String,
+        trim: true
+    }
+});
+
+// An uploaded bank or UPI statement and its reconciliation against recorded payments
+const bankStatementSchema = new mongoose.Schema({
+    statementId: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    channel: {
+        type: String,
+        enum: ['bank', 'upi'],
+        default: 'bank'
+    },
+    account: {
+        type: String,
+        trim: true
+    },
+    periodFrom: {
+        type: Date
+    },
+    periodTo: {
+        type: Date
+    },
+
+    lines: [statementLineSchema],
+
+    // Totals, kept current by refreshStatus()
+    status: {
+        type: String,
+        enum: ['open', 'reconciled'],
+        default: 'open'
+    },
+    lineCount: {
+        type: Number,
+        default: 0
+    },
+    matchedCount: {
+        type: Number,
+        default: 0
+    },
+    unmatchedCount: {
+        type: Number,
+        default: 0
+    },
+    ignoredCount: {
+        type: Number,
+        default: 0
+    },
+    totalCredits: {
+        type: Number,
+        default: 0
+    },
+    matchedAmount: {
+        type: Number,
+        default: 0
+    },
+
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+bankStatementSchema.index({ createdAt: -1 });
+
+// Recount the lines; the statement is reconciled once no line is left unmatched
+bankStatementSchema.methods.refreshStatus = function () {
+    const withStatus = (status) => this.lines.filter(line => line.status === status);
+    const sum = (lines) => roundCurrency(lines.reduce((total, line) => total + line.amount, 0));
+
+    this.lineCount = this.lines.length;
+    this.matchedCount = withStatus('matched').length;
+    this.unmatchedCount = withStatus('unmatched').length;
+    this.ignoredCount = withStatus('ignored').length;
+    this.totalCredits = sum(this.lines.filter(line => line.amount > 0));
+    this.matchedAmount = sum(withStatus('matched'));
+    this.status = this.unmatchedCount === 0 ? 'reconciled' : 'open';
+};
+
+module.exports = mongoose.model('BankStatement', bankStatementSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One document per named sequence, e.g. "customer", "loan", "payment:20240115"
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    versionKey: false
+});
+
+// Atomically increment a sequence and return the new value
+// Inside a transaction the increment is rolled back with everything else.
+counterSchema.statics.next = async function (name, session) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.seq;
+};
+
+// Claim a one-time marker, e.g. the bootstrap admin; true for the first caller only
+// Inside a transaction the claim is released again if the transaction aborts.
+counterSchema.statics.claim = async function (name, session) {
+    try {
+        await this.create([{ _id: name, seq: 1 }], { session });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+// Raise a sequence to at least `value` (never lowers it)
+counterSchema.statics.seed = function (name, value) {
+    return this.updateOne(
+        { _id: name },
+        { $max: { seq: value } },
+        { upsert: true }
+    );
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -1,5 +1,50 @@
 const mongoose = require('mongoose');
 
+// One movement of the customer's credit balance
+const creditEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['excess', 'refund', 'applied', 'reversal'],
+    required: true
+  },
+  // Positive adds to the balance, negative takes from it
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  paymentMethod: {
+    type: String
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const customerSchema = new mongoose.Schema({
   customerId: {
     type: String,
@@ -42,6 +87,10 @@ const customerSchema = new mongoose.Schema({
     enum: ['active', 'inactive', 'blocked'],
     default: 'active'
   },
+  assignedCollector: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   totalLoans: {
     type: Number,
     default: 0
@@ -58,6 +107,12 @@ const customerSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Money received beyond what the customer's loans owed, held for refund or reuse
+  creditBalance: {
+    type: Number,
+    default: 0
+  },
+  creditLedger: [creditEntrySchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -72,5 +127,6 @@ const customerSchema = new mongoose.Schema({
 
 // Index for faster queries
 // customerId and phone are already indexed due to unique: true constraint
+customerSchema.index({ assignedCollector: 1 });
 
 module.exports = mongoose.model('Customer', customerSchema);
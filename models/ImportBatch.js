@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Outcome of one row of an imported collection sheet
+const importRowSchema = new mongoose.Schema({
+    row: {
+        type: Number,
+        required: true
+    },
+    loanId: {
+        type: String,
+        trim: true
+    },
+    amount: {
+        type: Number
+    },
+    status: {
+        type: String,
+        enum: ['imported', 'pending', 'skipped'],
+        required: true
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    paymentId: {
+        type: String
+    },
+    issues: [String]
+}, { _id: false });
+
+// A set of payments imported together from a collection sheet; rolled back as a unit
+const importBatchSchema = new mongoose.Schema({
+    batchId: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    source: {
+        type: String,
+        enum: ['csv', 'json'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['committed', 'rolled-back'],
+        default: 'committed'
+    },
+
+    // Totals
+    rowCount: {
+        type: Number,
+        default: 0
+    },
+    importedCount: {
+        type: Number,
+        default: 0
+    },
+    pendingCount: {
+        type: Number,
+        default: 0
+    },
+    skippedCount: {
+        type: Number,
+        default: 0
+    },
+    totalAmount: {
+        type: Number,
+        default: 0
+    },
+
+    rows: [importRowSchema],
+    payments: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    }],
+
+    importedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Rollback details
+    rolledBackAt: {
+        type: Date
+    },
+    rolledBackBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    rollbackReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+importBatchSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
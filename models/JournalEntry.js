@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { roundCurrency } = require('../utils/helpers');
+const { JOURNAL_SOURCES } = require('../config/accounts');
+
+// One side of a journal entry: a debit or a credit to an account
+const journalLineSchema = new mongoose.Schema({
+    accountCode: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    debit: {
+        type: Number,
+        default: 0,
+        min: [0, 'Debit cannot be negative']
+    },
+    credit: {
+        type: Number,
+        default: 0,
+        min: [0, 'Credit cannot be negative']
+    },
+    memo: {
+        type: String,
+        trim: true
+    }
+}, {
+    _id: false
+});
+
+// A balanced double-entry posting; entries are never edited, only reversed by a mirror entry
+const journalEntrySchema = new mongoose.Schema({
+    entryId: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    // Date the money moved, which can be earlier than when the entry was posted
+    date: {
+        type: Date,
+        required: true
+    },
+    source: {
+        type: String,
+        enum: JOURNAL_SOURCES,
+        required: true
+    },
+    description: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    lines: [journalLineSchema],
+    amount: {
+        type: Number,
+        default: 0
+    },
+
+    // What the entry was posted for
+    loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan'
+    },
+    loanId: {
+        type: String
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    paymentId: {
+        type: String
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+    customerId: {
+        type: String
+    },
+    // The loan tranche or customer credit movement behind the entry
+    disbursement: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    creditEntry: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+
+    // Set on a mirror entry and on the entry it reverses
+    reversalOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JournalEntry'
+    },
+    reversedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JournalEntry'
+    },
+
+    postedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+journalEntrySchema.index({ date: 1 });
+journalEntrySchema.index({ 'lines.accountCode': 1, date: 1 });
+journalEntrySchema.index({ loan: 1 });
+journalEntrySchema.index({ payment: 1 });
+
+// Debits must equal credits, and each line must be one or the other
+journalEntrySchema.pre('validate', function (next) {
+    const debits = roundCurrency(this.lines.reduce((total, line) => total + line.debit, 0));
+    const credits = roundCurrency(this.lines.reduce((total, line) => total + line.credit, 0));
+
+    if (this.lines.length < 2) {
+        return next(new Error('A journal entry needs at least two lines'));
+    }
+    if (this.lines.some(line => (line.debit > 0) === (line.credit > 0))) {
+        return next(new Error('Each journal line must have either a debit or a credit'));
+    }
+    if (debits !== credits) {
+        return next(new Error(`Journal entry does not balance: debits ${debits}, credits ${credits}`));
+    }
+
+    this.amount = debits;
+    next();
+});
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
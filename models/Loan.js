@@ -1,4 +1,267 @@
 const mongoose = require('mongoose');
+const { generateSchedule, getDefaultRepaymentPlan } = require('../utils/schedule');
+const { INTEREST_METHODS, accrueInterest } = require('../utils/interest');
+const { roundCurrency } = require('../utils/helpers');
+const { ALLOCATION_POLICIES } = require('../config/allocation');
+const {
+    getDefaultPenalInterestRate,
+    getDefaultGracePeriodDays,
+    getDefaultLateFeeAmount,
+    getDefaultPrepaymentChargeRate
+} = require('../config/lending');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// One expected repayment in the loan's schedule
+const installmentSchema = new mongoose.Schema({
+    installmentNumber: {
+        type: Number,
+        required: true
+    },
+    dueDate: {
+        type: Date,
+        required: true
+    },
+    expectedPrincipal: {
+        type: Number,
+        default: 0
+    },
+    expectedInterest: {
+        type: Number,
+        default: 0
+    },
+    expectedAmount: {
+        type: Number,
+        default: 0
+    },
+    principalPaid: {
+        type: Number,
+        default: 0
+    },
+    interestPaid: {
+        type: Number,
+        default: 0
+    },
+    amountPaid: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'partial', 'paid', 'overdue'],
+        default: 'pending'
+    }
+}, {
+    _id: false
+});
+
+// A fee charged to the loan, e.g. a late fee for a missed installment
+const chargeSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['late-fee', 'prepayment', 'bounce'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Charge amount cannot be negative']
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    installmentNumber: {
+        type: Number
+    },
+    description: {
+        type: String,
+        trim: true
+    }
+});
+
+// Balances booked as a loss when the loan is written off, and what was recovered later
+const writeOffSchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: true
+    },
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    writtenOffBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    principal: {
+        type: Number,
+        default: 0
+    },
+    interest: {
+        type: Number,
+        default: 0
+    },
+    penalty: {
+        type: Number,
+        default: 0
+    },
+    fees: {
+        type: Number,
+        default: 0
+    },
+    amountRecovered: {
+        type: Number,
+        default: 0
+    }
+}, {
+    _id: false
+});
+
+// A write-off waiting for a second user to approve it
+const writeOffRequestSchema = new mongoose.Schema({
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    requestedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Only this user may approve when set; otherwise any approver other than the requester
+    approver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true
+    }
+}, {
+    _id: false
+});
+
+// One tranche of money paid out to the borrower
+const disbursementSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Disbursement amount cannot be negative']
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    disbursementMethod: {
+        type: String,
+        enum: ['cash', 'bank_transfer', 'upi', 'cheque', 'other'],
+        default: 'cash'
+    },
+    reference: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    disbursedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One version of the loan's terms; a restructure closes the current version and opens a new one
+const termVersionSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true
+    },
+    effectiveDate: {
+        type: Date,
+        required: true
+    },
+    interestRate: {
+        type: Number,
+        required: true
+    },
+    interestType: {
+        type: String,
+        enum: ['daily', 'monthly'],
+        required: true
+    },
+    interestMethod: {
+        type: String,
+        enum: Object.keys(INTEREST_METHODS),
+        required: true
+    },
+    repaymentPlan: {
+        type: String,
+        enum: ['daily', 'emi', 'bullet']
+    },
+    dueDate: {
+        type: Date,
+        required: true
+    },
+    // Principal owed when this version took effect, including any capitalised interest
+    openingPrincipal: {
+        type: Number,
+        required: true
+    },
+    capitalisedInterest: {
+        type: Number,
+        default: 0
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+// Principal and interest repaid by one completed payment, used to accrue interest
+const repaymentSchema = new mongoose.Schema({
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    principal: {
+        type: Number,
+        default: 0
+    },
+    interest: {
+        type: Number,
+        default: 0
+    }
+}, {
+    _id: false
+});
 
 const loanSchema = new mongoose.Schema({
     // Unique Loan ID as per image 2: 00-100 (sequence) - CUS NO - LOAN NO - LOAN TYPE
@@ -29,6 +292,7 @@ const loanSchema = new mongoose.Schema({
     },
 
     // Loan Details
+    // Total disbursed across all tranches; disbursementDate is the first tranche's date
     principalAmount: {
         type: Number,
         required: [true, 'Principal amount is required'],
@@ -44,6 +308,43 @@ const loanSchema = new mongoose.Schema({
         required: [true, 'Interest rate is required'],
         min: [0, 'Interest rate cannot be negative']
     },
+    interestMethod: {
+        type: String,
+        enum: Object.keys(INTEREST_METHODS),
+        default: () => process.env.DEFAULT_INTEREST_METHOD || 'flat'
+    },
+    // Overdue terms: penal rate is percent per day (daily loans) or per month (monthly loans)
+    penalInterestRate: {
+        type: Number,
+        min: [0, 'Penal interest rate cannot be negative'],
+        default: getDefaultPenalInterestRate
+    },
+    gracePeriodDays: {
+        type: Number,
+        min: [0, 'Grace period cannot be negative'],
+        default: getDefaultGracePeriodDays
+    },
+    lateFeeAmount: {
+        type: Number,
+        min: [0, 'Late fee cannot be negative'],
+        default: getDefaultLateFeeAmount
+    },
+    // Order payments settle dues in; falls back to the product default (config/allocation.js)
+    allocationPolicy: {
+        type: String,
+        enum: Object.keys(ALLOCATION_POLICIES)
+    },
+    // Percent of the principal outstanding, charged when the loan is paid off before its due date
+    prepaymentChargeRate: {
+        type: Number,
+        min: [0, 'Prepayment charge cannot be negative'],
+        default: getDefaultPrepaymentChargeRate
+    },
+    // daily installments for D loans; EMI or interest-only-then-bullet for M loans
+    repaymentPlan: {
+        type: String,
+        enum: ['daily', 'emi', 'bullet']
+    },
 
     // Dates
     disbursementDate: {
@@ -76,6 +377,25 @@ const loanSchema = new mongoose.Schema({
         default: 0
     },
 
+    // Penalties and fees
+    charges: [chargeSchema],
+    totalPenaltyPaid: {
+        type: Number,
+        default: 0
+    },
+    totalFeesPaid: {
+        type: Number,
+        default: 0
+    },
+    outstandingPenalty: {
+        type: Number,
+        default: 0
+    },
+    outstandingFees: {
+        type: Number,
+        default: 0
+    },
+
     // Status
     status: {
         type: String,
@@ -83,6 +403,35 @@ const loanSchema = new mongoose.Schema({
         default: 'active'
     },
 
+    // Delinquency, maintained by the overdue evaluation job (jobs/overdueJob.js)
+    isOverdue: {
+        type: Boolean,
+        default: false
+    },
+    daysPastDue: {
+        type: Number,
+        default: 0
+    },
+    overdueSince: {
+        type: Date
+    },
+    defaultedDate: {
+        type: Date
+    },
+    lastEvaluatedAt: {
+        type: Date
+    },
+
+    // Pending until approved, which writes the loan off, or rejected
+    writeOffRequest: {
+        type: writeOffRequestSchema
+    },
+
+    // Set when the loan is written off; interest, penalties and fees stop accruing
+    writeOff: {
+        type: writeOffSchema
+    },
+
     // Profit/Loss Tracking
     profitLoss: {
         type: Number,
@@ -96,6 +445,22 @@ const loanSchema = new mongoose.Schema({
         required: true
     },
 
+    // Repayment schedule
+    schedule: [installmentSchema],
+
+    // Tranches paid out, oldest first; the first is the original disbursement
+    disbursements: [disbursementSchema],
+
+    // Completed repayments, oldest first
+    repayments: [repaymentSchema],
+
+    // Every version of the terms, oldest first; empty until the loan is first restructured
+    termVersions: [termVersionSchema],
+    totalInterestCapitalised: {
+        type: Number,
+        default: 0
+    },
+
     // Payment tracking
     totalPayments: {
         type: Number,
@@ -130,36 +495,251 @@ loanSchema.index({ customerId: 1 });
 loanSchema.index({ status: 1 });
 loanSchema.index({ disbursementDate: 1 });
 loanSchema.index({ dueDate: 1 });
+loanSchema.index({ status: 1, isOverdue: 1 });
 
 // Virtual for total outstanding
 loanSchema.virtual('totalOutstanding').get(function () {
-    return this.outstandingPrincipal + this.outstandingInterest;
+    return this.outstandingPrincipal + this.outstandingInterest + this.outstandingPenalty + this.outstandingFees;
 });
 
-// Method to calculate interest based on dates
-loanSchema.methods.calculateInterest = function (asOfDate = new Date()) {
-    const startDate = this.disbursementDate;
-    const endDate = asOfDate > this.dueDate ? this.dueDate : asOfDate;
+// Method to find the last date charges accrue to: the write-off date for written-off loans
+loanSchema.methods.getAccrualEndDate = function (asOfDate = new Date()) {
+    if (this.writeOff && this.writeOff.date < asOfDate) return this.writeOff.date;
+    return asOfDate;
+};
 
-    if (endDate <= startDate) return 0;
+// Method to list the tranches paid out, as { date, amount }
+// Loans created before tranches were tracked have a single one on the disbursement date.
+loanSchema.methods.getDisbursements = function () {
+    if (!this.disbursements || this.disbursements.length === 0) {
+        return [{ date: this.disbursementDate, amount: this.principalAmount }];
+    }
+    return this.disbursements.map(({ date, amount }) => ({ date, amount }));
+};
 
-    const timeDiff = endDate - startDate;
+// Method to split the loan's life into stretches that each run under one version of the terms
+// A loan that was never restructured is a single stretch under its current terms.
+loanSchema.methods.getTermSegments = function () {
+    const tranches = this.getDisbursements();
+    const tranchesBetween = (from, to) => tranches.filter(tranche =>
+        tranche.date >= from && (!to || tranche.date < to)
+    );
 
-    if (this.interestType === 'daily') {
-        const days = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
-        return (this.outstandingPrincipal * this.interestRate * days) / 100;
-    } else {
-        // Monthly interest
-        const months = timeDiff / (1000 * 60 * 60 * 24 * 30);
-        return (this.outstandingPrincipal * this.interestRate * months) / 100;
+    if (!this.termVersions || this.termVersions.length === 0) {
+        return [{
+            from: this.disbursementDate,
+            to: null,
+            disbursements: tranches,
+            interestRate: this.interestRate,
+            interestType: this.interestType,
+            interestMethod: this.interestMethod,
+            dueDate: this.dueDate
+        }];
     }
+
+    return this.termVersions.map((version, index) => {
+        const next = this.termVersions[index + 1];
+        const to = next ? next.effectiveDate : null;
+
+        // Later versions start from the balance carried over, plus their own tranches
+        const disbursements = index === 0
+            ? tranches.filter(tranche => !to || tranche.date < to)
+            : [
+                { date: version.effectiveDate, amount: version.openingPrincipal },
+                ...tranchesBetween(version.effectiveDate, to)
+            ];
+
+        return {
+            from: index === 0 ? this.disbursementDate : version.effectiveDate,
+            to,
+            disbursements,
+            interestRate: version.interestRate,
+            interestType: version.interestType,
+            interestMethod: version.interestMethod,
+            dueDate: version.dueDate
+        };
+    });
+};
+
+// Method to calculate the total interest accrued since disbursement
+// Each stretch accrues under its own terms, up to its own due date.
+loanSchema.methods.calculateInterest = function (asOfDate = new Date()) {
+    const accrualEnd = this.getAccrualEndDate(asOfDate);
+
+    const total = this.getTermSegments().reduce((sum, segment) => {
+        let endDate = accrualEnd;
+        if (segment.to && segment.to < endDate) endDate = segment.to;
+        if (segment.dueDate < endDate) endDate = segment.dueDate;
+        if (endDate <= segment.from) return sum;
+
+        return sum + accrueInterest({
+            method: segment.interestMethod || 'flat',
+            interestRate: segment.interestRate,
+            interestType: segment.interestType,
+            disbursements: segment.disbursements,
+            repayments: this.repayments.filter(repayment =>
+                repayment.date >= segment.from && (!segment.to || repayment.date < segment.to)
+            ),
+            to: endDate
+        });
+    }, 0);
+
+    return roundCurrency(total);
+};
+
+// Method to calculate interest accrued but neither paid nor capitalised
+loanSchema.methods.getOutstandingInterest = function (asOfDate = new Date()) {
+    const settled = this.totalInterestEarned + (this.totalInterestCapitalised || 0);
+    return Math.max(0, roundCurrency(this.calculateInterest(asOfDate) - settled));
+};
+
+// Method to calculate the principal owed just before a date, including capitalised interest
+loanSchema.methods.getPrincipalBalanceAt = function (date) {
+    const capitalised = (this.termVersions || [])
+        .filter(version => version.effectiveDate < date)
+        .reduce((total, version) => total + version.capitalisedInterest, 0);
+
+    const disbursed = this.getDisbursements()
+        .filter(tranche => tranche.date < date)
+        .reduce((total, tranche) => total + tranche.amount, 0);
+
+    return this.repayments
+        .filter(repayment => repayment.date < date)
+        .reduce((balance, repayment) => balance - repayment.principal, disbursed + capitalised);
+};
+
+// Date penal interest and late fees start: the due date plus the grace period
+loanSchema.methods.getPenaltyStartDate = function (dueDate = this.dueDate) {
+    return new Date(new Date(dueDate).getTime() + (this.gracePeriodDays || 0) * DAY_MS);
+};
+
+// Method to calculate the total penal interest accrued on principal still unpaid after the due date
+loanSchema.methods.calculatePenalInterest = function (asOfDate = new Date()) {
+    const penaltyStart = this.getPenaltyStartDate();
+    const endDate = this.getAccrualEndDate(asOfDate);
+    if (!this.penalInterestRate || endDate <= penaltyStart) return 0;
+
+    // Principal still outstanding when the penalty period began
+    const overduePrincipal = this.getPrincipalBalanceAt(penaltyStart);
+
+    return roundCurrency(accrueInterest({
+        method: 'reducing-balance',
+        interestRate: this.penalInterestRate,
+        interestType: this.interestType,
+        disbursements: [{ date: penaltyStart, amount: Math.max(0, overduePrincipal) }],
+        repayments: this.repayments.filter(repayment => repayment.date >= penaltyStart),
+        to: endDate
+    }));
+};
+
+// Method to calculate penal interest accrued but not yet paid
+loanSchema.methods.getOutstandingPenalty = function (asOfDate = new Date()) {
+    return Math.max(0, roundCurrency(this.calculatePenalInterest(asOfDate) - this.totalPenaltyPaid));
+};
+
+// Method to calculate fees charged up to a date but not yet paid
+loanSchema.methods.getOutstandingFees = function (asOfDate = new Date()) {
+    const endDate = this.getAccrualEndDate(asOfDate);
+    const charged = this.charges
+        .filter(charge => charge.date <= endDate)
+        .reduce((total, charge) => total + charge.amount, 0);
+    return Math.max(0, roundCurrency(charged - this.totalFeesPaid));
+};
+
+// Method to summarise what is owed on a date: accrued interest, penalty and fees not yet paid, and the total
+loanSchema.methods.getCurrentBalances = function (asOfDate = new Date()) {
+    const currentInterest = this.getOutstandingInterest(asOfDate);
+    const currentPenalty = this.getOutstandingPenalty(asOfDate);
+    const currentFees = this.getOutstandingFees(asOfDate);
+
+    return {
+        currentInterest,
+        currentPenalty,
+        currentFees,
+        totalOutstanding: this.outstandingPrincipal + currentInterest + currentPenalty + currentFees
+    };
+};
+
+// Method to charge a late fee for every installment missed beyond the grace period
+// Each installment is charged at most once. Returns the new charges.
+loanSchema.methods.assessLateFees = function (asOfDate = new Date()) {
+    if (!this.lateFeeAmount || this.status === 'written-off') return [];
+
+    const charged = new Set(this.charges
+        .filter(charge => charge.type === 'late-fee')
+        .map(charge => charge.installmentNumber));
+
+    const newCharges = [];
+    this.schedule.forEach(installment => {
+        const feeDate = this.getPenaltyStartDate(installment.dueDate);
+        const missed = installment.amountPaid < installment.expectedAmount - 0.01;
+
+        if (missed && feeDate < asOfDate && !charged.has(installment.installmentNumber)) {
+            const charge = {
+                type: 'late-fee',
+                amount: this.lateFeeAmount,
+                date: feeDate,
+                installmentNumber: installment.installmentNumber,
+                description: `Late fee for installment ${installment.installmentNumber}`
+            };
+            this.charges.push(charge);
+            newCharges.push(charge);
+        }
+    });
+
+    return newCharges;
+};
+
+// Method to find the due date of the oldest repayment still unpaid on a date
+// Falls back to the loan's due date when there is no schedule. Returns null when nothing is overdue.
+loanSchema.methods.getOverdueSince = function (asOfDate = new Date()) {
+    const missed = this.schedule.find(installment =>
+        installment.dueDate < asOfDate && installment.amountPaid < installment.expectedAmount - 0.01
+    );
+    if (missed) return missed.dueDate;
+
+    if (this.dueDate < asOfDate && this.outstandingPrincipal > 0) return this.dueDate;
+    return null;
+};
+
+// Method to count the days since the oldest unpaid repayment fell due
+loanSchema.methods.getDaysPastDue = function (asOfDate = new Date()) {
+    const overdueSince = this.getOverdueSince(asOfDate);
+    return overdueSince ? Math.floor((asOfDate - overdueSince) / DAY_MS) : 0;
+};
+
+// Method to calculate the charge for paying the loan off early on a date
+loanSchema.methods.getPrepaymentCharge = function (asOfDate = new Date()) {
+    if (!this.prepaymentChargeRate || asOfDate >= this.dueDate) return 0;
+    return roundCurrency((Math.max(0, this.outstandingPrincipal) * this.prepaymentChargeRate) / 100);
+};
+
+// Method to check whether nothing at all is left to pay
+loanSchema.methods.isSettled = function () {
+    return this.outstandingPrincipal <= 0 &&
+        this.outstandingInterest <= 0 &&
+        this.outstandingPenalty <= 0 &&
+        this.outstandingFees <= 0;
 };
 
 // Method to update outstanding amounts
-loanSchema.methods.updateOutstanding = function () {
-    this.outstandingPrincipal = this.principalAmount - this.totalAmountPaid;
-    this.outstandingInterest = this.calculateInterest() - this.totalInterestEarned;
-    this.profitLoss = this.totalInterestEarned - (this.status === 'written-off' ? this.outstandingPrincipal : 0);
+// outstandingPrincipal is maintained by the posting flow; totalAmountPaid includes interest
+loanSchema.methods.updateOutstanding = function (asOfDate = new Date()) {
+    this.outstandingInterest = this.getOutstandingInterest(asOfDate);
+    this.outstandingPenalty = this.getOutstandingPenalty(asOfDate);
+    this.outstandingFees = this.getOutstandingFees(asOfDate);
+
+    const income = this.totalInterestEarned + this.totalPenaltyPaid + this.totalFeesPaid;
+    this.profitLoss = this.writeOff
+        ? income + this.writeOff.amountRecovered - this.writeOff.principal
+        : income;
+};
+
+// Method to get how much of the written-off balance is still unrecovered
+loanSchema.methods.getUnrecoveredWriteOff = function () {
+    if (!this.writeOff) return 0;
+    const { principal, interest, penalty, fees, amountRecovered } = this.writeOff;
+    return Math.max(0, roundCurrency(principal + interest + penalty + fees - amountRecovered));
 };
 
 // Pre-save middleware
@@ -167,6 +747,13 @@ loanSchema.pre('save', function (next) {
     if (this.isNew) {
         this.outstandingPrincipal = this.principalAmount;
         this.loanTypeCode = this.interestType === 'daily' ? 'D' : 'M';
+        this.repaymentPlan = this.repaymentPlan || getDefaultRepaymentPlan(this.interestType);
+        if (this.disbursements.length === 0) {
+            this.disbursements.push({ amount: this.principalAmount, date: this.disbursementDate });
+        }
+        if (this.schedule.length === 0) {
+            this.schedule = generateSchedule(this);
+        }
     }
     next();
 });
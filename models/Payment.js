@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ALLOCATION_POLICIES } = require('../config/allocation');
 
 const paymentSchema = new mongoose.Schema({
     paymentId: {
@@ -40,6 +41,24 @@ const paymentSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    penaltyPaid: {
+        type: Number,
+        default: 0
+    },
+    // Received beyond what the loan owed; moved to the customer's credit balance
+    excessAmount: {
+        type: Number,
+        default: 0
+    },
+    // Allocation policy requested for this payment, overriding the loan's
+    allocationPolicy: {
+        type: String,
+        enum: Object.keys(ALLOCATION_POLICIES)
+    },
+    feesPaid: {
+        type: Number,
+        default: 0
+    },
 
     // Payment Information
     paymentDate: {
@@ -47,9 +66,15 @@ const paymentSchema = new mongoose.Schema({
         required: [true, 'Payment date is required'],
         default: Date.now
     },
+    // A recovery is money collected on a written-off loan, booked as income
+    type: {
+        type: String,
+        enum: ['repayment', 'recovery'],
+        default: 'repayment'
+    },
     paymentMethod: {
         type: String,
-        enum: ['cash', 'bank_transfer', 'upi', 'cheque', 'other'],
+        enum: ['cash', 'bank_transfer', 'upi', 'cheque', 'other', 'credit'],
         default: 'cash'
     },
     transactionReference: {
@@ -64,6 +89,46 @@ const paymentSchema = new mongoose.Schema({
         default: 'completed'
     },
 
+    // Clearing - cheques and bank transfers stay pending until their funds clear
+    receivedDate: {
+        type: Date
+    },
+    clearedAt: {
+        type: Date
+    },
+    clearedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    bouncedAt: {
+        type: Date
+    },
+    bouncedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    bounceReason: {
+        type: String,
+        trim: true
+    },
+    bounceCharge: {
+        type: Number,
+        default: 0
+    },
+
+    // Reversal details
+    reversedAt: {
+        type: Date
+    },
+    reversedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reversalReason: {
+        type: String,
+        trim: true
+    },
+
     // Outstanding after this payment
     outstandingPrincipalAfter: {
         type: Number,
@@ -73,6 +138,14 @@ const paymentSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    outstandingPenaltyAfter: {
+        type: Number,
+        default: 0
+    },
+    outstandingFeesAfter: {
+        type: Number,
+        default: 0
+    },
 
     // Notes
     notes: {
@@ -80,10 +153,30 @@ const paymentSchema = new mongoose.Schema({
         trim: true
     },
 
-    // Metadata
+    // Metadata - the logged-in user who recorded the payment, or the collector
+    // named on an imported collection sheet
     receivedBy: {
-        type: String,
-        trim: true
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    importBatch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImportBatch'
+    },
+
+    // The bank or UPI statement line this payment was reconciled against
+    reconciliation: {
+        statement: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'BankStatement'
+        },
+        statementId: String,
+        line: mongoose.Schema.Types.ObjectId,
+        reconciledAt: Date,
+        reconciledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
     },
 
     createdAt: {
@@ -106,5 +199,7 @@ paymentSchema.index({ customer: 1 });
 paymentSchema.index({ customerId: 1 });
 paymentSchema.index({ paymentDate: 1 });
 paymentSchema.index({ status: 1 });
+paymentSchema.index({ importBatch: 1 }, { sparse: true });
+paymentSchema.index({ 'reconciliation.statement': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// An itemised settlement figure for closing a loan on a given date
+const payoffQuoteSchema = new mongoose.Schema({
+    quoteId: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan',
+        required: true
+    },
+    loanId: {
+        type: String,
+        required: true
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    customerId: {
+        type: String,
+        required: true
+    },
+
+    // The date the loan is settled on; a payment against the quote is valued on it
+    asOfDate: {
+        type: Date,
+        required: true
+    },
+    validUntil: {
+        type: Date,
+        required: true
+    },
+
+    // Breakdown
+    principal: {
+        type: Number,
+        default: 0
+    },
+    interest: {
+        type: Number,
+        default: 0
+    },
+    penalty: {
+        type: Number,
+        default: 0
+    },
+    fees: {
+        type: Number,
+        default: 0
+    },
+    prepaymentCharge: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        required: true
+    },
+
+    // Loan state the quote was computed from; any payment since makes it stale
+    basis: {
+        totalPayments: Number,
+        principalAmount: Number
+    },
+
+    status: {
+        type: String,
+        enum: ['open', 'used'],
+        default: 'open'
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    usedAt: {
+        type: Date
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+payoffQuoteSchema.index({ loan: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PayoffQuote', payoffQuoteSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
+
+const userSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    password: {
+        type: String,
+        required: [true, 'Password is required'],
+        minlength: [8, 'Password must be at least 8 characters'],
+        select: false
+    },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'collector'
+    },
+    status: {
+        type: String,
+        enum: ['active', 'disabled'],
+        default: 'active'
+    },
+
+    // Hashes of the refresh tokens currently issued to this user
+    refreshTokens: {
+        type: [{
+            tokenHash: {
+                type: String,
+                required: true
+            },
+            expiresAt: {
+                type: Date,
+                required: true
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        select: false
+    },
+    lastLoginAt: {
+        type: Date
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+// email is already indexed due to unique: true constraint
+
+// Hash password whenever it is set or changed
+userSchema.pre('save', async function (next) {
+    if (!this.isModified('password')) return next();
+
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+});
+
+// Method to compare a plain text password with the stored hash
+userSchema.methods.matchPassword = function (candidatePassword) {
+    return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Hide credentials when serialising
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.refreshTokens;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('User', userSchema);
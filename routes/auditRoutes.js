@@ -0,0 +1,11 @@
+const express = require('express');
+const { getAuditLogs } = require('../controllers/auditController');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { auditLogRules } = require('../validators/auditValidators');
+
+const router = express.Router();
+
+router.get('/', authorize('audit:read'), validate(auditLogRules), getAuditLogs);
+
+module.exports = router;
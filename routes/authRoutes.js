@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+    register,
+    login,
+    refresh,
+    logout,
+    getMe
+} = require('../controllers/authController');
+const { protect, allowFirstUser } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+    registerRules,
+    loginRules,
+    refreshRules,
+    logoutRules
+} = require('../validators/authValidators');
+
+const router = express.Router();
+
+router.post('/register', allowFirstUser, validate(registerRules), register);
+router.post('/login', validate(loginRules), login);
+router.post('/refresh', validate(refreshRules), refresh);
+router.post('/logout', validate(logoutRules), logout);
+router.get('/me', protect, getMe);
+
+module.exports = router;
@@ -1,26 +1,57 @@
 const express = require('express');
 const {
     getAllCustomers,
+    exportCustomers,
     getCustomer,
     createCustomer,
     updateCustomer,
     deleteCustomer,
+    getCustomerStatement,
+    getCustomerCredit,
+    refundCustomerCredit,
+    applyCustomerCredit,
     getCustomerStats
 } = require('../controllers/customerController');
+const { getCustomerHistory } = require('../controllers/auditController');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { exportRules } = require('../validators/exportValidators');
+const { historyRules } = require('../validators/auditValidators');
+const { statementRules } = require('../validators/statementValidators');
+const {
+    createCustomerRules,
+    updateCustomerRules,
+    refundCreditRules,
+    applyCreditRules
+} = require('../validators/customerValidators');
 
 const router = express.Router();
 
 // Statistics route (must be before :id route)
-router.get('/stats/overview', getCustomerStats);
+router.get('/stats/overview', authorize('customers:stats'), getCustomerStats);
+
+// Export (must be before :id route)
+router.get('/export', authorize('customers:export'), validate(exportRules), exportCustomers);
 
 // CRUD routes
 router.route('/')
-    .get(getAllCustomers)
-    .post(createCustomer);
+    .get(authorize('customers:read'), getAllCustomers)
+    .post(authorize('customers:create'), validate(createCustomerRules), createCustomer);
 
 router.route('/:id')
-    .get(getCustomer)
-    .put(updateCustomer)
-    .delete(deleteCustomer);
+    .get(authorize('customers:read'), getCustomer)
+    .put(authorize('customers:update'), validate(updateCustomerRules), updateCustomer)
+    .delete(authorize('customers:delete'), deleteCustomer);
+
+// Statement of account
+router.get('/:id/statement', authorize('customers:read'), validate(statementRules), getCustomerStatement);
+
+// Credit balance
+router.get('/:id/credit', authorize('customers:read'), getCustomerCredit);
+router.post('/:id/credit/refund', authorize('customers:credit'), validate(refundCreditRules), refundCustomerCredit);
+router.post('/:id/credit/apply', authorize('customers:credit'), validate(applyCreditRules), applyCustomerCredit);
+
+// Audit trail
+router.get('/:id/history', authorize('customers:read'), validate(historyRules), getCustomerHistory);
 
 module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const {
+    getAccounts,
+    createAccount,
+    updateAccount,
+    getJournalEntries,
+    getJournalEntry,
+    createJournalEntry,
+    reverseJournalEntry,
+    getTrialBalance,
+    getProfitAndLoss,
+    getBalanceSheet,
+    getLedgerReconciliation
+} = require('../controllers/ledgerController');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+    createAccountRules,
+    updateAccountRules,
+    journalQueryRules,
+    createJournalEntryRules,
+    reverseJournalEntryRules,
+    asOfRules,
+    periodRules
+} = require('../validators/ledgerValidators');
+
+const router = express.Router();
+
+// Chart of accounts
+router.route('/accounts')
+    .get(authorize('ledger:read'), getAccounts)
+    .post(authorize('ledger:manage'), validate(createAccountRules), createAccount);
+router.put('/accounts/:id', authorize('ledger:manage'), validate(updateAccountRules), updateAccount);
+
+// Journal
+router.route('/journal')
+    .get(authorize('ledger:read'), validate(journalQueryRules), getJournalEntries)
+    .post(authorize('ledger:manage'), validate(createJournalEntryRules), createJournalEntry);
+router.get('/journal/:id', authorize('ledger:read'), getJournalEntry);
+router.post('/journal/:id/reverse', authorize('ledger:manage'), validate(reverseJournalEntryRules), reverseJournalEntry);
+
+// Reports
+router.get('/trial-balance', authorize('ledger:read'), validate(asOfRules), getTrialBalance);
+router.get('/profit-and-loss', authorize('ledger:read'), validate(periodRules), getProfitAndLoss);
+router.get('/balance-sheet', authorize('ledger:read'), validate(asOfRules), getBalanceSheet);
+router.get('/reconciliation', authorize('ledger:read'), getLedgerReconciliation);
+
+module.exports = router;
@@ -1,30 +1,82 @@
 const express = require('express');
 const {
     getAllLoans,
+    exportLoans,
     getLoan,
     createLoan,
     updateLoan,
+    amendLoanTerms,
     closeLoan,
+    writeOffLoan,
+    approveWriteOff,
+    rejectWriteOff,
+    restructureLoan,
+    getLoanDisbursements,
+    addDisbursement,
     getLoanStats,
-    calculateLoanDetails
+    calculateLoanDetails,
+    getLoanSchedule,
+    getLoanStatement,
+    getPayoffQuote,
+    evaluateOverdue
 } = require('../controllers/loanController');
+const { getLoanHistory } = require('../controllers/auditController');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { exportRules } = require('../validators/exportValidators');
+const { historyRules } = require('../validators/auditValidators');
+const { statementRules } = require('../validators/statementValidators');
+const {
+    createLoanRules,
+    updateLoanRules,
+    amendLoanTermsRules,
+    closeLoanRules,
+    writeOffLoanRules,
+    approveWriteOffRules,
+    rejectWriteOffRules,
+    restructureLoanRules,
+    addDisbursementRules,
+    calculateLoanRules,
+    payoffQuoteRules,
+    evaluateOverdueRules
+} = require('../validators/loanValidators');
 
 const router = express.Router();
 
 // Statistics route (must be before :id route)
-router.get('/stats/overview', getLoanStats);
+router.get('/stats/overview', authorize('loans:stats'), getLoanStats);
+
+// Export (must be before :id route)
+router.get('/export', authorize('loans:export'), validate(exportRules), exportLoans);
+
+// Jobs (must be before :id route)
+router.post('/jobs/evaluate-overdue', authorize('loans:evaluate-overdue'), validate(evaluateOverdueRules), evaluateOverdue);
 
 // CRUD routes
 router.route('/')
-    .get(getAllLoans)
-    .post(createLoan);
+    .get(authorize('loans:read'), getAllLoans)
+    .post(authorize('loans:create'), validate(createLoanRules), createLoan);
 
 router.route('/:id')
-    .get(getLoan)
-    .put(updateLoan);
+    .get(authorize('loans:read'), getLoan)
+    .put(authorize('loans:update'), validate(updateLoanRules), updateLoan);
 
 // Special routes
-router.put('/:id/close', closeLoan);
-router.post('/:id/calculate', calculateLoanDetails);
+router.put('/:id/close', authorize('loans:close'), validate(closeLoanRules), closeLoan);
+router.post('/:id/write-off', authorize('loans:write-off'), validate(writeOffLoanRules), writeOffLoan);
+router.post('/:id/write-off/approve', authorize('loans:approve-write-off'), validate(approveWriteOffRules), approveWriteOff);
+router.post('/:id/write-off/reject', authorize('loans:write-off'), validate(rejectWriteOffRules), rejectWriteOff);
+router.post('/:id/restructure', authorize('loans:restructure'), validate(restructureLoanRules), restructureLoan);
+router.post('/:id/amend-terms', authorize('loans:amend'), validate(amendLoanTermsRules), amendLoanTerms);
+router.post('/:id/calculate', authorize('loans:read'), validate(calculateLoanRules), calculateLoanDetails);
+router.get('/:id/schedule', authorize('loans:read'), getLoanSchedule);
+router.get('/:id/statement', authorize('loans:read'), validate(statementRules), getLoanStatement);
+router.get('/:id/payoff', authorize('loans:read'), validate(payoffQuoteRules), getPayoffQuote);
+router.route('/:id/disbursements')
+    .get(authorize('loans:read'), getLoanDisbursements)
+    .post(authorize('loans:disburse'), validate(addDisbursementRules), addDisbursement);
+
+// Audit trail
+router.get('/:id/history', authorize('loans:read'), validate(historyRules), getLoanHistory);
 
 module.exports = router;
@@ -1,26 +1,75 @@
 const express = require('express');
 const {
     getAllPayments,
+    exportPayments,
     getPayment,
+    getPaymentReceipt,
     createPayment,
     updatePayment,
     deletePayment,
+    reversePayment,
+    clearPayment,
+    bouncePayment,
+    importPayments,
+    getImportBatches,
+    getImportBatch,
+    rollbackImportBatch,
     getPaymentStats
 } = require('../controllers/paymentController');
+const { getPaymentHistory } = require('../controllers/auditController');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { exportRules } = require('../validators/exportValidators');
+const { historyRules } = require('../validators/auditValidators');
+const {
+    createPaymentRules,
+    updatePaymentRules,
+    reversePaymentRules,
+    clearPaymentRules,
+    bouncePaymentRules,
+    importPaymentRules,
+    rollbackImportRules,
+    receiptRules
+} = require('../validators/paymentValidators');
 
 const router = express.Router();
 
 // Statistics route (must be before :id route)
-router.get('/stats/overview', getPaymentStats);
+router.get('/stats/overview', authorize('payments:stats'), getPaymentStats);
+
+// Export (must be before :id route)
+router.get('/export', authorize('payments:export'), validate(exportRules), exportPayments);
+
+// Collection sheet imports (must be before :id routes)
+router.route('/import')
+    .get(authorize('payments:import'), getImportBatches)
+    .post(
+        authorize('payments:import'),
+        express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+        validate(importPaymentRules),
+        importPayments
+    );
+router.get('/import/:batchId', authorize('payments:import'), getImportBatch);
+router.post('/import/:batchId/rollback', authorize('payments:reverse'), validate(rollbackImportRules), rollbackImportBatch);
 
 // CRUD routes
 router.route('/')
-    .get(getAllPayments)
-    .post(createPayment);
+    .get(authorize('payments:read'), getAllPayments)
+    .post(authorize('payments:create'), validate(createPaymentRules), createPayment);
 
 router.route('/:id')
-    .get(getPayment)
-    .put(updatePayment)
-    .delete(deletePayment);
+    .get(authorize('payments:read'), getPayment)
+    .put(authorize('payments:update'), validate(updatePaymentRules), updatePayment)
+    .delete(authorize('payments:delete'), validate(reversePaymentRules), deletePayment);
+
+router.get('/:id/receipt', authorize('payments:read'), validate(receiptRules), getPaymentReceipt);
+router.post('/:id/reverse', authorize('payments:reverse'), validate(reversePaymentRules), reversePayment);
+
+// Clearing for cheques and bank transfers
+router.post('/:id/clear', authorize('payments:clear'), validate(clearPaymentRules), clearPayment);
+router.post('/:id/bounce', authorize('payments:clear'), validate(bouncePaymentRules), bouncePayment);
+
+// Audit trail
+router.get('/:id/history', authorize('payments:read'), validate(historyRules), getPaymentHistory);
 
 module.exports = router;
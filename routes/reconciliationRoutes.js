@@ -0,0 +1,44 @@
+const express = require('express');
+const {
+    getBankStatements,
+    uploadBankStatement,
+    getBankStatement,
+    getReconciliationReport,
+    rematchBankStatement,
+    confirmStatementLine,
+    createStatementLinePayment,
+    unmatchStatementLine,
+    ignoreStatementLine
+} = require('../controllers/reconciliationController');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+    uploadStatementRules,
+    rematchStatementRules,
+    confirmLineRules,
+    createLinePaymentRules,
+    lineReasonRules
+} = require('../validators/reconciliationValidators');
+
+const router = express.Router();
+
+router.route('/')
+    .get(authorize('reconciliation:read'), getBankStatements)
+    .post(
+        authorize('reconciliation:manage'),
+        express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+        validate(uploadStatementRules),
+        uploadBankStatement
+    );
+
+router.get('/:id', authorize('reconciliation:read'), getBankStatement);
+router.get('/:id/report', authorize('reconciliation:read'), getReconciliationReport);
+router.post('/:id/auto-match', authorize('reconciliation:manage'), validate(rematchStatementRules), rematchBankStatement);
+
+// Working through individual lines
+router.post('/:id/lines/:lineId/confirm', authorize('reconciliation:manage'), validate(confirmLineRules), confirmStatementLine);
+router.post('/:id/lines/:lineId/create-payment', authorize('reconciliation:manage'), validate(createLinePaymentRules), createStatementLinePayment);
+router.post('/:id/lines/:lineId/unmatch', authorize('reconciliation:manage'), validate(lineReasonRules), unmatchStatementLine);
+router.post('/:id/lines/:lineId/ignore', authorize('reconciliation:manage'), validate(lineReasonRules), ignoreStatementLine);
+
+module.exports = router;
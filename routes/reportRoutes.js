@@ -0,0 +1,11 @@
+const express = require('express');
+const { getDaybook } = require('../controllers/reportController');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { daybookRules } = require('../validators/reportValidators');
+
+const router = express.Router();
+
+router.get('/daybook', authorize('reports:read'), validate(daybookRules), getDaybook);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+    getAllUsers,
+    updateUser
+} = require('../controllers/userController');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authorize('users:manage'));
+
+router.route('/')
+    .get(getAllUsers);
+
+router.route('/:id')
+    .put(updateUser);
+
+module.exports = router;
@@ -5,15 +5,30 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/database');
+const { protect } = require('./middleware/auth');
+const { startOverdueJob } = require('./jobs/overdueJob');
 
 // Import routes
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const auditRoutes = require('./routes/auditRoutes');
 const customerRoutes = require('./routes/customerRoutes');
 const loanRoutes = require('./routes/loanRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
+const reconciliationRoutes = require('./routes/reconciliationRoutes');
+const ledgerRoutes = require('./routes/ledgerRoutes');
+const reportRoutes = require('./routes/reportRoutes');
 
 // Load environment variables
 dotenv.config();
 
+// Tokens cannot be signed or verified without both secrets
+const missingSecrets = ['JWT_SECRET', 'JWT_REFRESH_SECRET'].filter(key => !process.env[key]);
+if (missingSecrets.length > 0) {
+    console.error(`❌ Missing required environment variables: ${missingSecrets.join(', ')}`);
+    process.exit(1);
+}
+
 // Initialize Express app
 const app = express();
 
@@ -40,9 +55,17 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Routes
-app.use('/api/customers', customerRoutes);
-app.use('/api/loans', loanRoutes);
-app.use('/api/payments', paymentRoutes);
+app.use('/api/auth', authRoutes);
+
+// Everything below requires a logged-in user
+app.use('/api/users', protect, userRoutes);
+app.use('/api/customers', protect, customerRoutes);
+app.use('/api/loans', protect, loanRoutes);
+app.use('/api/payments', protect, paymentRoutes);
+app.use('/api/reconciliation', protect, reconciliationRoutes);
+app.use('/api/ledger', protect, ledgerRoutes);
+app.use('/api/reports', protect, reportRoutes);
+app.use('/api/audit', protect, auditRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -60,9 +83,15 @@ app.get('/', (req, res) => {
         message: 'Welcome to Finance Lending API',
         version: '1.0.0',
         endpoints: {
+            auth: '/api/auth',
+            users: '/api/users',
             customers: '/api/customers',
             loans: '/api/loans',
             payments: '/api/payments',
+            reconciliation: '/api/reconciliation',
+            ledger: '/api/ledger',
+            reports: '/api/reports',
+            audit: '/api/audit',
             health: '/health'
         }
     });
@@ -100,12 +129,18 @@ app.listen(PORT, () => {
 ║   API Base URL: http://localhost:${PORT}/api               ║
 ║                                                           ║
 ║   📊 Available Endpoints:                                 ║
+║   • Auth: /api/auth                                      ║
+║   • Users: /api/users                                    ║
 ║   • Customers: /api/customers                            ║
 ║   • Loans: /api/loans                                    ║
 ║   • Payments: /api/payments                              ║
+║   • Audit: /api/audit                                    ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
   `);
+
+    // Flag overdue loans and classify defaults in the background
+    startOverdueJob();
 });
 
 module.exports = app;
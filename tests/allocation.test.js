@@ -0,0 +1,104 @@
+/**
+ * Payment allocation policies (config/allocation.js, utils/paymentPosting.js)
+ */
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const { allocatePayment } = require('../utils/paymentPosting');
+const { resolveAllocationPolicy } = require('../config/allocation');
+
+const paymentDate = new Date('2026-01-31T00:00:00Z');
+
+/**
+ * A 10,000 monthly loan at 2% flat, 30 days in, with a 100 late fee charged:
+ * it owes 100 in fees, 200 in interest and 10,000 in principal
+ */
+const buildLoan = (overrides = {}) => new Loan({
+    loanId: '001-1-1-M',
+    sequenceNumber: 1,
+    customer: new mongoose.Types.ObjectId(),
+    customerId: 'CUS-00001',
+    customerLoanNumber: 1,
+    principalAmount: 10000,
+    outstandingPrincipal: 10000,
+    interestType: 'monthly',
+    interestRate: 2,
+    interestMethod: 'flat',
+    penalInterestRate: 0,
+    disbursementDate: new Date('2026-01-01T00:00:00Z'),
+    dueDate: new Date('2026-12-31T00:00:00Z'),
+    loanTypeCode: 'M',
+    charges: [{ type: 'late-fee', amount: 100, date: new Date('2026-01-20T00:00:00Z') }],
+    ...overrides
+});
+
+describe('allocatePayment', () => {
+    it('settles fees, then penal interest, interest and principal under fees-first', () => {
+        const allocation = allocatePayment(buildLoan(), 250, paymentDate, 'fees-first');
+
+        expect(allocation).toMatchObject({
+            allocationPolicy: 'fees-first',
+            feesPaid: 100,
+            penaltyPaid: 0,
+            interestPaid: 150,
+            principalPaid: 0,
+            excessAmount: 0
+        });
+    });
+
+    it('settles interest, then principal, before fees under interest-first', () => {
+        const allocation = allocatePayment(buildLoan(), 250, paymentDate, 'interest-first');
+
+        expect(allocation).toMatchObject({ interestPaid: 200, principalPaid: 50, feesPaid: 0 });
+    });
+
+    it('puts everything towards principal first under principal-first', () => {
+        const allocation = allocatePayment(buildLoan(), 250, paymentDate, 'principal-first');
+
+        expect(allocation).toMatchObject({ principalPaid: 250, interestPaid: 0, feesPaid: 0 });
+    });
+
+    it('returns what is left once the loan owes nothing as excess', () => {
+        const allocation = allocatePayment(buildLoan(), 10500, paymentDate, 'fees-first');
+
+        expect(allocation).toMatchObject({
+            feesPaid: 100,
+            interestPaid: 200,
+            principalPaid: 10000,
+            excessAmount: 200
+        });
+    });
+
+    it('uses the loan\'s own policy when the payment does not override it', () => {
+        const allocation = allocatePayment(buildLoan({ allocationPolicy: 'principal-first' }), 250, paymentDate);
+
+        expect(allocation.allocationPolicy).toBe('principal-first');
+        expect(allocation.principalPaid).toBe(250);
+    });
+});
+
+describe('resolveAllocationPolicy', () => {
+    const originalPolicy = process.env.ALLOCATION_POLICY_DAILY;
+
+    afterEach(() => {
+        if (originalPolicy === undefined) {
+            delete process.env.ALLOCATION_POLICY_DAILY;
+        } else {
+            process.env.ALLOCATION_POLICY_DAILY = originalPolicy;
+        }
+    });
+
+    it('prefers the payment\'s policy, then the loan\'s, then the product default', () => {
+        process.env.ALLOCATION_POLICY_DAILY = 'interest-first';
+        const loan = { interestType: 'daily' };
+
+        expect(resolveAllocationPolicy(loan)).toBe('interest-first');
+        expect(resolveAllocationPolicy({ ...loan, allocationPolicy: 'principal-first' })).toBe('principal-first');
+        expect(resolveAllocationPolicy({ ...loan, allocationPolicy: 'principal-first' }, 'fees-first')).toBe('fees-first');
+    });
+
+    it('falls back to fees-first when the product default is not a known policy', () => {
+        process.env.ALLOCATION_POLICY_DAILY = 'newest-first';
+
+        expect(resolveAllocationPolicy({ interestType: 'daily' })).toBe('fees-first');
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * In-memory MongoDB for tests
+ *
+ * A single-node replica set, since payments and loan changes run in
+ * transactions (see utils/transaction.js).
+ *
+ * mongodb-memory-server needs a mongod binary of the version pinned under
+ * "config.mongodbMemoryServer" in package.json. `npm install` downloads it
+ * from fastdl.mongodb.org into node_modules/.cache/mongodb-memory-server;
+ * CI should cache that directory keyed on the pinned version. Where the
+ * download is blocked, either set MONGOMS_DOWNLOAD_MIRROR to a mirror of
+ * fastdl.mongodb.org, or install MongoDB 7.0 and set MONGOMS_SYSTEM_BINARY
+ * to its mongod, e.g. MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test.
+ */
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+let replSet;
+
+/**
+ * Start the replica set, connect, and create every registered model's
+ * collection and indexes up front (collections cannot be created inside
+ * a transaction on every server version)
+ */
+const connect = async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+
+    for (const model of Object.values(mongoose.models)) {
+        await model.createCollection();
+        await model.syncIndexes();
+    }
+};
+
+/**
+ * Empty every collection, keeping the indexes
+ */
+const clear = async () => {
+    const collections = Object.values(mongoose.connection.collections);
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+};
+
+module.exports = {
+    connect,
+    clear,
+    disconnect
+};
@@ -0,0 +1,88 @@
+/**
+ * Records and request/response stand-ins for calling controllers directly
+ */
+const { addDays, subDays } = require('date-fns');
+const User = require('../../models/User');
+const Customer = require('../../models/Customer');
+const AuditLog = require('../../models/AuditLog');
+const { createLoan } = require('../../controllers/loanController');
+
+/**
+ * Express response stand-in that records the status and body
+ */
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn((body) => {
+        res.body = body;
+        return res;
+    });
+    return res;
+};
+
+/**
+ * Call a controller the way its route would, after validation
+ */
+const call = async (handler, { user, params = {}, body = {}, query = {} }) => {
+    const res = mockResponse();
+    await handler({ user, params, body, query }, res);
+    return res;
+};
+
+const createAdmin = () => User.create({
+    name: 'Admin',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin'
+});
+
+const createCustomer = () => Customer.create({
+    customerId: 'CUS-00001',
+    name: 'Ravi Kumar',
+    phone: '9876543210'
+});
+
+/**
+ * Request body for a 10,000 monthly loan at 2% flat, paid out in cash 30 days ago
+ */
+const loanBody = (customer, overrides = {}) => ({
+    customerId: customer.customerId,
+    principalAmount: 10000,
+    interestType: 'monthly',
+    interestRate: 2,
+    interestMethod: 'flat',
+    disbursementDate: subDays(new Date(), 30),
+    disbursementMethod: 'cash',
+    dueDate: addDays(new Date(), 150),
+    ...overrides
+});
+
+const createTestLoan = async (user, customer, overrides = {}) => {
+    const res = await call(createLoan, { user, body: loanBody(customer, overrides) });
+    if (!res.body.success) {
+        throw new Error(`Could not create test loan: ${res.body.message} ${res.body.error || ''}`);
+    }
+    return res.body.data;
+};
+
+/**
+ * Let the first `after` audit writes through and fail the next one, to
+ * break a unit of work at its last step
+ */
+const failAuditWrite = (after = 0) => {
+    const create = AuditLog.create.bind(AuditLog);
+    let calls = 0;
+    return jest.spyOn(AuditLog, 'create').mockImplementation((...args) => {
+        calls += 1;
+        return calls > after ? Promise.reject(new Error('Audit store unavailable')) : create(...args);
+    });
+};
+
+module.exports = {
+    call,
+    createAdmin,
+    createCustomer,
+    loanBody,
+    createTestLoan,
+    failAuditWrite
+};
@@ -0,0 +1,61 @@
+/**
+ * Interest engine (utils/interest.js)
+ */
+const { addDays } = require('date-fns');
+const { accrueInterest, periodsBetween } = require('../utils/interest');
+
+const start = new Date('2026-01-01T00:00:00Z');
+const loan = {
+    interestRate: 2,
+    interestType: 'monthly',
+    disbursements: [{ date: start, amount: 10000 }]
+};
+// Half the principal repaid after one (30-day) month
+const repayments = [{ date: addDays(start, 30), principal: 5000, interest: 200 }];
+
+describe('periodsBetween', () => {
+    it('counts whole days for daily loans and pro-rata months for monthly loans', () => {
+        expect(periodsBetween(start, new Date('2026-01-03T12:00:00Z'), 'daily')).toBe(2);
+        expect(periodsBetween(start, addDays(start, 45), 'monthly')).toBeCloseTo(1.5, 10);
+        expect(periodsBetween(addDays(start, 1), start, 'daily')).toBe(0);
+    });
+});
+
+describe('accrueInterest', () => {
+    it('charges flat interest on the principal disbursed, whatever was repaid', () => {
+        const interest = accrueInterest({ ...loan, method: 'flat', repayments, to: addDays(start, 60) });
+
+        expect(interest).toBeCloseTo(400, 2);
+    });
+
+    it('charges reducing-balance interest on the principal outstanding in each stretch', () => {
+        const interest = accrueInterest({ ...loan, method: 'reducing-balance', repayments, to: addDays(start, 60) });
+
+        // 10,000 for the first month, 5,000 for the second
+        expect(interest).toBeCloseTo(300, 2);
+    });
+
+    it('adds unpaid interest to the balance at the end of every month when compounding', () => {
+        const interest = accrueInterest({ ...loan, method: 'compound', to: addDays(start, 60) });
+
+        // 200 on 10,000, then 204 on 10,200
+        expect(interest).toBeCloseTo(404, 2);
+    });
+
+    it('accrues each tranche from its own date', () => {
+        const interest = accrueInterest({
+            ...loan,
+            method: 'reducing-balance',
+            disbursements: [...loan.disbursements, { date: addDays(start, 30), amount: 5000 }],
+            to: addDays(start, 60)
+        });
+
+        expect(interest).toBeCloseTo(200 + 300, 2);
+    });
+
+    it('accrues nothing without a rate and rejects unknown methods', () => {
+        expect(accrueInterest({ ...loan, interestRate: 0, to: addDays(start, 60) })).toBe(0);
+        expect(() => accrueInterest({ ...loan, method: 'simple', to: addDays(start, 60) }))
+            .toThrow('Unknown interest method: simple');
+    });
+});
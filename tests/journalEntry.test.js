@@ -0,0 +1,51 @@
+/**
+ * Journal entries must balance (models/JournalEntry.js)
+ */
+const JournalEntry = require('../models/JournalEntry');
+const { SYSTEM_ACCOUNTS } = require('../config/accounts');
+
+const { cash, loansReceivable, interestIncome } = SYSTEM_ACCOUNTS;
+
+const buildEntry = (lines) => new JournalEntry({
+    entryId: 'JE-20260101-00001',
+    date: new Date('2026-01-01T00:00:00Z'),
+    source: 'manual',
+    description: 'Test entry',
+    lines
+});
+
+describe('JournalEntry', () => {
+    it('accepts balanced lines and records the total debited as the amount', async () => {
+        const entry = buildEntry([
+            { accountCode: cash.code, debit: 500 },
+            { accountCode: loansReceivable.code, credit: 300 },
+            { accountCode: interestIncome.code, credit: 200 }
+        ]);
+
+        await entry.validate();
+        expect(entry.amount).toBe(500);
+    });
+
+    it('rejects lines whose debits and credits differ', async () => {
+        const entry = buildEntry([
+            { accountCode: cash.code, debit: 500 },
+            { accountCode: loansReceivable.code, credit: 300 }
+        ]);
+
+        await expect(entry.validate()).rejects.toThrow('Journal entry does not balance: debits 500, credits 300');
+    });
+
+    it('rejects a line that is both, or neither, a debit and a credit', async () => {
+        const entry = buildEntry([
+            { accountCode: cash.code, debit: 500, credit: 500 },
+            { accountCode: loansReceivable.code }
+        ]);
+
+        await expect(entry.validate()).rejects.toThrow('Each journal line must have either a debit or a credit');
+    });
+
+    it('rejects an entry with a single line', async () => {
+        await expect(buildEntry([{ accountCode: cash.code, debit: 500 }]).validate())
+            .rejects.toThrow('A journal entry needs at least two lines');
+    });
+});
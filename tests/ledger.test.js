@@ -0,0 +1,156 @@
+/**
+ * The general ledger stays balanced and in step with loans and payments (utils/ledger.js)
+ */
+const db = require('./helpers/db');
+const { call, createAdmin, createCustomer, createTestLoan } = require('./helpers/fixtures');
+const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const JournalEntry = require('../models/JournalEntry');
+const backfillLedger = require('../migrations/backfillLedger');
+const { createPayment, deletePayment } = require('../controllers/paymentController');
+const { restructureLoan } = require('../controllers/loanController');
+const { buildTrialBalance, getAccountBalance, reconcileWithLoans } = require('../utils/ledgerReports');
+const { SYSTEM_ACCOUNTS } = require('../config/accounts');
+
+const {
+    cash,
+    loansReceivable,
+    interestIncome,
+    customerCredit,
+    suspense,
+    deferredInterest,
+    capitalisedInterest
+} = SYSTEM_ACCOUNTS;
+
+let admin;
+let customer;
+let loan;
+
+beforeAll(db.connect);
+afterAll(db.disconnect);
+
+beforeEach(async () => {
+    admin = await createAdmin();
+    customer = await createCustomer();
+    loan = await createTestLoan(admin, customer);
+});
+
+afterEach(db.clear);
+
+const balanceOf = async (account) => (await getAccountBalance(account)).balance;
+
+describe('ledger postings', () => {
+    it('books a disbursement as a receivable paid out of cash', async () => {
+        expect(await balanceOf(loansReceivable)).toBe(10000);
+        expect(await balanceOf(cash)).toBe(-10000);
+        expect((await buildTrialBalance()).balanced).toBe(true);
+    });
+
+    it('splits a payment across principal, interest and customer credit and stays balanced', async () => {
+        // More than the loan owes, so the excess is held as customer credit
+        const res = await call(createPayment, {
+            user: admin,
+            body: { loanId: loan.loanId, amount: 10500, paymentMethod: 'cash' }
+        });
+        const { payment } = res.body.data;
+
+        expect(payment.excessAmount).toBeGreaterThan(0);
+        expect(await balanceOf(cash)).toBeCloseTo(500, 2);
+        expect(await balanceOf(loansReceivable)).toBeCloseTo(10000 - payment.principalPaid, 2);
+        expect(await balanceOf(interestIncome)).toBeCloseTo(payment.interestPaid, 2);
+        expect(await balanceOf(customerCredit)).toBeCloseTo(payment.excessAmount, 2);
+        expect(await balanceOf(customerCredit)).toBeCloseTo((await Customer.findById(customer._id)).creditBalance, 2);
+
+        const trialBalance = await buildTrialBalance();
+        expect(trialBalance.balanced).toBe(true);
+        expect(trialBalance.totalDebit).toBeGreaterThan(0);
+    });
+
+    it('mirrors a reversed payment so every account returns to where it was', async () => {
+        const res = await call(createPayment, {
+            user: admin,
+            body: { loanId: loan.loanId, amount: 500, paymentMethod: 'upi' }
+        });
+        await call(deletePayment, {
+            user: admin,
+            params: { id: res.body.data.payment._id },
+            body: { reason: 'Bounced' }
+        });
+
+        expect(await balanceOf(loansReceivable)).toBeCloseTo(10000, 2);
+        expect(await balanceOf(interestIncome)).toBeCloseTo(0, 2);
+        expect(await balanceOf(SYSTEM_ACCOUNTS.bank)).toBeCloseTo(0, 2);
+        expect((await buildTrialBalance()).balanced).toBe(true);
+    });
+
+    it('holds capitalised interest as unearned until the principal it joined is repaid', async () => {
+        const restructured = await call(restructureLoan, {
+            user: admin,
+            params: { id: loan._id },
+            body: { capitaliseInterest: true, reason: 'Hardship' }
+        });
+        const capitalised = restructured.body.data.totalInterestCapitalised;
+
+        expect(capitalised).toBeGreaterThan(0);
+        expect(await balanceOf(deferredInterest)).toBeCloseTo(capitalised, 2);
+        expect(await balanceOf(capitalisedInterest)).toBeCloseTo(0, 2);
+
+        await call(createPayment, {
+            user: admin,
+            body: { loanId: loan.loanId, amount: 1000, paymentMethod: 'cash' }
+        });
+
+        expect(await balanceOf(deferredInterest)).toBeCloseTo(0, 2);
+        expect(await balanceOf(capitalisedInterest)).toBeCloseTo(capitalised, 2);
+        expect((await buildTrialBalance()).balanced).toBe(true);
+
+        const { items } = await reconcileWithLoans();
+        expect(items.find(row => row.item === 'interestCapitalised').difference).toBe(0);
+    });
+});
+
+describe('ledger backfill', () => {
+    // A payment as recorded before the ledger existed: no entries, and no excess on older records
+    const createLegacyPayment = async (amount, fields = {}) => {
+        const res = await call(createPayment, {
+            user: admin,
+            body: { loanId: loan.loanId, amount, paymentMethod: 'cash' }
+        });
+        const { payment } = res.body.data;
+        await JournalEntry.deleteMany({ payment: payment._id });
+        await Payment.updateOne({ _id: payment._id }, { $set: fields });
+        return payment;
+    };
+
+    beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+    afterEach(() => jest.restoreAllMocks());
+
+    it('posts an old overpayment with the unrecorded excess held in suspense', async () => {
+        const payment = await createLegacyPayment(10500, { excessAmount: 0 });
+
+        const { posted, skipped } = await backfillLedger();
+
+        expect(posted).toBe(1);
+        expect(skipped).toEqual([]);
+        expect(await balanceOf(cash)).toBeCloseTo(500, 2);
+        expect(await balanceOf(customerCredit)).toBeCloseTo(0, 2);
+        expect(await balanceOf(suspense)).toBeCloseTo(payment.excessAmount, 2);
+        expect((await buildTrialBalance()).balanced).toBe(true);
+
+        // Nothing left to post on a second run
+        expect((await backfillLedger()).posted).toBe(0);
+    });
+
+    it('skips a payment whose split exceeds the amount received and posts the rest', async () => {
+        const bad = await createLegacyPayment(500, { principalPaid: 900 });
+        const good = await createLegacyPayment(300);
+
+        const { posted, skipped } = await backfillLedger();
+
+        expect(posted).toBe(1);
+        expect(skipped).toEqual([expect.objectContaining({ record: bad.paymentId })]);
+        expect(await JournalEntry.exists({ payment: bad._id })).toBeNull();
+        expect(await JournalEntry.exists({ payment: good._id })).not.toBeNull();
+        expect((await buildTrialBalance()).balanced).toBe(true);
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * Payment posting, loan creation and closing, and reversals either commit
+ * every write or none of them (utils/transaction.js)
+ */
+const db = require('./helpers/db');
+const {
+    call,
+    createAdmin,
+    createCustomer,
+    loanBody,
+    createTestLoan,
+    failAuditWrite
+} = require('./helpers/fixtures');
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const Customer = require('../models/Customer');
+const Counter = require('../models/Counter');
+const JournalEntry = require('../models/JournalEntry');
+const AuditLog = require('../models/AuditLog');
+const { createLoan, closeLoan } = require('../controllers/loanController');
+const { createPayment, deletePayment } = require('../controllers/paymentController');
+
+let admin;
+let customer;
+
+beforeAll(db.connect);
+afterAll(db.disconnect);
+
+beforeEach(async () => {
+    admin = await createAdmin();
+    customer = await createCustomer();
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await db.clear();
+});
+
+describe('createLoan', () => {
+    it('commits the loan, its ledger entry, the customer totals and the audit entry together', async () => {
+        const res = await call(createLoan, { user: admin, body: loanBody(customer) });
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(await Loan.countDocuments()).toBe(1);
+        expect(await JournalEntry.countDocuments({ source: 'disbursement' })).toBe(1);
+        expect(await AuditLog.countDocuments({ entityType: 'Loan', action: 'create' })).toBe(1);
+
+        const updated = await Customer.findById(customer._id);
+        expect(updated.totalLoans).toBe(1);
+        expect(updated.activeLoans).toBe(1);
+        expect(updated.totalAmountBorrowed).toBe(10000);
+    });
+
+    it('rolls everything back, including the loan ID counters, when a step fails', async () => {
+        failAuditWrite();
+
+        const res = await call(createLoan, { user: admin, body: loanBody(customer) });
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(await Loan.countDocuments()).toBe(0);
+        expect(await JournalEntry.countDocuments()).toBe(0);
+        expect(await Counter.countDocuments()).toBe(0);
+
+        const unchanged = await Customer.findById(customer._id);
+        expect(unchanged.totalLoans).toBe(0);
+        expect(unchanged.activeLoans).toBe(0);
+        expect(unchanged.totalAmountBorrowed).toBe(0);
+    });
+});
+
+describe('createPayment', () => {
+    let loan;
+
+    beforeEach(async () => {
+        loan = await createTestLoan(admin, customer);
+    });
+
+    it('commits the payment, the loan balances, the ledger entry and the audit entries together', async () => {
+        const res = await call(createPayment, {
+            user: admin,
+            body: { loanId: loan.loanId, amount: 500, paymentMethod: 'cash' }
+        });
+
+        expect(res.status).toHaveBeenCalledWith(201);
+
+        const payment = await Payment.findOne({ loan: loan._id });
+        expect(payment.status).toBe('completed');
+        expect(payment.principalPaid + payment.interestPaid).toBeCloseTo(500, 2);
+
+        const updated = await Loan.findById(loan._id);
+        expect(updated.outstandingPrincipal).toBeCloseTo(10000 - payment.principalPaid, 2);
+        expect(updated.repayments).toHaveLength(1);
+        expect(await JournalEntry.countDocuments({ payment: payment._id })).toBe(1);
+        expect(await AuditLog.countDocuments({ entityType: 'Payment' })).toBe(1);
+    });
+
+    it('rolls back the payment and every loan, customer and ledger change when a step fails', async () => {
+        // The payment's audit entry is written; the loan's is not
+        failAuditWrite(1);
+
+        const res = await call(createPayment, {
+            user: admin,
+            body: { loanId: loan.loanId, amount: 500, paymentMethod: 'cash' }
+        });
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(await Payment.countDocuments()).toBe(0);
+        expect(await JournalEntry.countDocuments({ source: 'repayment' })).toBe(0);
+        expect(await AuditLog.countDocuments({ entityType: 'Payment' })).toBe(0);
+        expect(await Counter.countDocuments({ _id: /^payment:/ })).toBe(0);
+
+        const unchanged = await Loan.findById(loan._id);
+        expect(unchanged.outstandingPrincipal).toBe(10000);
+        expect(unchanged.totalAmountPaid).toBe(0);
+        expect(unchanged.repayments).toHaveLength(0);
+
+        expect((await Customer.findById(customer._id)).totalAmountRepaid).toBe(0);
+    });
+});
+
+describe('closeLoan', () => {
+    let loan;
+
+    beforeEach(async () => {
+        // Interest-free, so clearing the principal settles the loan
+        loan = await createTestLoan(admin, customer, { interestRate: 0 });
+        await Loan.updateOne({ _id: loan._id }, { outstandingPrincipal: 0 });
+    });
+
+    it('closes the loan and updates the customer together', async () => {
+        const res = await call(closeLoan, { user: admin, params: { id: loan._id }, body: { reason: 'Settled' } });
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect((await Loan.findById(loan._id)).status).toBe('closed');
+        expect((await Customer.findById(customer._id)).activeLoans).toBe(0);
+    });
+
+    it('leaves the loan open and the customer untouched when a step fails', async () => {
+        failAuditWrite();
+
+        const res = await call(closeLoan, { user: admin, params: { id: loan._id }, body: { reason: 'Settled' } });
+
+        expect(res.status).toHaveBeenCalledWith(500);
+
+        const unchanged = await Loan.findById(loan._id);
+        expect(unchanged.status).toBe('active');
+        expect(unchanged.closedDate).toBeFalsy();
+        expect((await Customer.findById(customer._id)).activeLoans).toBe(1);
+    });
+
+    it('refuses to close a loan that still owes interest', async () => {
+        const owing = await createTestLoan(admin, customer);
+        await Loan.updateOne({ _id: owing._id }, { outstandingPrincipal: 0 });
+
+        const res = await call(closeLoan, { user: admin, params: { id: owing._id }, body: {} });
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.body.message).toMatch(/interest/);
+        expect((await Loan.findById(owing._id)).status).toBe('active');
+    });
+});
+
+describe('deletePayment', () => {
+    let loan;
+    let payment;
+
+    beforeEach(async () => {
+        loan = await createTestLoan(admin, customer);
+        const res = await call(createPayment, {
+            user: admin,
+            body: { loanId: loan.loanId, amount: 500, paymentMethod: 'cash' }
+        });
+        payment = res.body.data.payment;
+    });
+
+    it('reverses the payment, restores the loan and mirrors the ledger entry together', async () => {
+        const res = await call(deletePayment, { user: admin, params: { id: payment._id }, body: { reason: 'Entered twice' } });
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect((await Payment.findById(payment._id)).status).toBe('reversed');
+
+        const restored = await Loan.findById(loan._id);
+        expect(restored.outstandingPrincipal).toBeCloseTo(10000, 2);
+        expect(restored.repayments).toHaveLength(0);
+        expect(await JournalEntry.countDocuments({ payment: payment._id, reversalOf: { $ne: null } })).toBe(1);
+    });
+
+    it('leaves the payment, loan and ledger as they were when a step fails', async () => {
+        // The payment's audit entry is written; the loan's is not
+        failAuditWrite(1);
+
+        const res = await call(deletePayment, { user: admin, params: { id: payment._id }, body: { reason: 'Entered twice' } });
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect((await Payment.findById(payment._id)).status).toBe('completed');
+
+        const unchanged = await Loan.findById(loan._id);
+        expect(unchanged.outstandingPrincipal).toBeCloseTo(10000 - payment.principalPaid, 2);
+        expect(unchanged.repayments).toHaveLength(1);
+        expect(await JournalEntry.countDocuments({ payment: payment._id })).toBe(1);
+        expect(await AuditLog.countDocuments({ action: 'reverse' })).toBe(0);
+    });
+});
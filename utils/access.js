@@ -0,0 +1,42 @@
+/**
+ * Data scoping for collectors
+ * Collectors only see customers assigned to them; managers and admins see everything.
+ */
+const Customer = require('../models/Customer');
+
+/**
+ * Whether the user's view of the data is limited to their assigned customers
+ */
+const isScopedToAssignedCustomers = (user) => user.role === 'collector';
+
+/**
+ * Ids of the customers assigned to a collector, or null when the user is not scoped
+ */
+const getAssignedCustomerIds = async (user) => {
+    if (!isScopedToAssignedCustomers(user)) return null;
+
+    const customers = await Customer.find({ assignedCollector: user._id }).select('_id');
+    return customers.map(customer => customer._id);
+};
+
+/**
+ * Whether the user may see records belonging to a customer
+ * `customer` can be a Customer document or its ObjectId.
+ */
+const canAccessCustomer = async (user, customer) => {
+    if (!isScopedToAssignedCustomers(user)) return true;
+    if (!customer) return false;
+
+    if (customer.assignedCollector !== undefined) {
+        return Boolean(customer.assignedCollector) && customer.assignedCollector.equals(user._id);
+    }
+
+    const customerId = customer._id || customer;
+    return Boolean(await Customer.exists({ _id: customerId, assignedCollector: user._id }));
+};
+
+module.exports = {
+    isScopedToAssignedCustomers,
+    getAssignedCustomerIds,
+    canAccessCustomer
+};
@@ -0,0 +1,101 @@
+/**
+ * Audit trail helpers
+ */
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that change on every save and carry no meaning
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Plain-object snapshot of a document, with populated refs reduced to ids
+ */
+const toSnapshot = (doc) => {
+    if (!doc) return undefined;
+    const snapshot = typeof doc.toObject === 'function'
+        ? doc.toObject({ depopulate: true, virtuals: false })
+        : { ...doc };
+    return JSON.parse(JSON.stringify(snapshot));
+};
+
+/**
+ * Flatten nested objects into dotted paths, e.g. { address: { city } } -> { 'address.city' }
+ * Arrays are compared as a whole.
+ */
+const flatten = (value, prefix = '', out = {}) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.keys(value).forEach(key => {
+            flatten(value[key], prefix ? `${prefix}.${key}` : key, out);
+        });
+    } else if (prefix) {
+        out[prefix] = value;
+    }
+    return out;
+};
+
+/**
+ * Field-level differences between two snapshots
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+    const flatBefore = flatten(before || {});
+    const flatAfter = flatten(after || {});
+    const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+    const changes = [];
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field.split('.')[0])) return;
+
+        const from = flatBefore[field];
+        const to = flatAfter[field];
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ field, from, to });
+        }
+    });
+
+    return changes;
+};
+
+/**
+ * Business identifier of an entity for display in the audit trail
+ */
+const getEntityRef = (entityType, snapshot) => {
+    if (!snapshot) return undefined;
+    const refFields = {
+        Customer: 'customerId',
+        Loan: 'loanId',
+        Payment: 'paymentId'
+    };
+    return snapshot[refFields[entityType]];
+};
+
+/**
+ * Append an entry to the audit trail
+ * `before` and `after` may be documents or plain objects; either can be omitted
+ * for creates and deletes. Pass `session` to write inside a transaction.
+ */
+const recordAudit = async ({ user, action, entityType, before, after, reason, session }) => {
+    const beforeSnapshot = toSnapshot(before);
+    const afterSnapshot = toSnapshot(after);
+    const subject = afterSnapshot || beforeSnapshot;
+
+    const [entry] = await AuditLog.create([{
+        actor: user ? user._id : undefined,
+        actorName: user ? user.name : 'system',
+        actorRole: user ? user.role : 'system',
+        action,
+        entityType,
+        entityId: subject._id,
+        entityRef: getEntityRef(entityType, subject),
+        before: beforeSnapshot,
+        after: afterSnapshot,
+        changes: diffSnapshots(beforeSnapshot, afterSnapshot),
+        reason
+    }], { session });
+
+    return entry;
+};
+
+module.exports = {
+    toSnapshot,
+    diffSnapshots,
+    recordAudit
+};
@@ -0,0 +1,142 @@
+/**
+ * Minimal CSV reading and writing for uploaded sheets and exports
+ * Handles quoted fields (with embedded commas, quotes and newlines) and CRLF line endings.
+ */
+
+/**
+ * Split CSV text into rows of raw string fields
+ */
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header line into one object per data row
+ * Keys are the header names as written; values are trimmed strings.
+ */
+const parseCsv = (text) => {
+    const [header, ...rows] = parseCsvRows(String(text).replace(/^\uFEFF/, ''));
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim());
+    return rows.map(fields => columns.reduce((record, column, index) => {
+        record[column] = (fields[index] || '').trim();
+        return record;
+    }, {}));
+};
+
+/**
+ * Pick the known columns out of a record, matching headers loosely
+ * "Loan ID", "loan_id" and "loanid" all map to the column `loanId`. Values are trimmed strings.
+ */
+const pickColumns = (record, columns) => {
+    const picked = {};
+
+    Object.entries(record || {}).forEach(([name, value]) => {
+        const key = String(name).toLowerCase().replace(/[\s_-]/g, '');
+        const column = columns.find(candidate => candidate.toLowerCase() === key);
+        if (column && value !== undefined && value !== null) {
+            picked[column] = String(value).trim();
+        }
+    });
+
+    return picked;
+};
+
+/**
+ * Read a sheet date: YYYY-MM-DD (or a full ISO timestamp) or DD/MM/YYYY
+ * Returns an invalid Date when the value is neither.
+ */
+const parseSheetDate = (value) => {
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+        return new Date(value);
+    }
+
+    const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+    if (match) {
+        const [, day, month, year] = match.map(Number);
+        const date = new Date(year, month - 1, day);
+        return date.getMonth() === month - 1 ? date : new Date(NaN);
+    }
+
+    return new Date(NaN);
+};
+
+/**
+ * Read a sheet amount such as "1,250.50"; NaN when it is not a number
+ */
+const parseSheetAmount = (value) => {
+    const text = String(value || '').replace(/,/g, '').trim();
+    return text === '' ? NaN : Number(text);
+};
+
+/**
+ * Format one value for a CSV field
+ * Dates are written as ISO timestamps. Text that a spreadsheet would run as a
+ * formula (starting with =, +, - or @) is prefixed with a quote.
+ */
+const formatCsvValue = (value) => {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value.toISOString();
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a row of values as a CSV line, including the line ending
+ */
+const formatCsvLine = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+module.exports = {
+    parseCsvRows,
+    parseCsv,
+    pickColumns,
+    parseSheetDate,
+    parseSheetAmount,
+    formatCsvValue,
+    formatCsvLine
+};
@@ -0,0 +1,38 @@
+/**
+ * Customer credit balance
+ *
+ * Money received beyond what a loan owed is held on the customer as credit,
+ * which can be refunded or applied to another of their loans. Every movement is
+ * recorded in the customer's credit ledger; the caller saves the customer.
+ */
+const { roundCurrency } = require('./helpers');
+const { httpError } = require('./errors');
+
+/**
+ * Add to (positive amount) or take from (negative amount) a customer's credit
+ */
+const adjustCredit = (customer, { type, amount, payment, loan, paymentMethod, reference, notes, user }) => {
+    const balance = customer.creditBalance || 0;
+    if (balance + amount < -0.01) {
+        throw httpError(400, `Customer credit balance is only ${balance}`);
+    }
+
+    customer.creditBalance = Math.max(0, roundCurrency(balance + amount));
+    customer.creditLedger.push({
+        type,
+        amount: roundCurrency(amount),
+        balanceAfter: customer.creditBalance,
+        payment,
+        loan,
+        paymentMethod,
+        reference,
+        notes,
+        recordedBy: user && user._id
+    });
+
+    return customer.creditLedger[customer.creditLedger.length - 1];
+};
+
+module.exports = {
+    adjustCredit
+};
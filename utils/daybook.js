@@ -0,0 +1,293 @@
+/**
+ * Daily cash book and collector collection report
+ *
+ * Lists the day's disbursements (money out) and payments (money in), grouped by
+ * method and by the user who handled them. Cash in hand is read from the
+ * ledger's cash account, so it also reflects reversals, credit refunds and
+ * manual entries that moved cash that day.
+ */
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { roundCurrency } = require('./helpers');
+const { allocateToSchedule } = require('./schedule');
+const { toDateRange } = require('./export');
+const { getAccountBalance } = require('./ledgerReports');
+const { SYSTEM_ACCOUNTS } = require('../config/accounts');
+
+const UNASSIGNED = 'unassigned';
+
+/**
+ * Totals of `items` grouped by `key`, largest amount first
+ * `label` describes a group from its first item.
+ */
+const groupTotals = (items, key, label) => {
+    const groups = new Map();
+    items.forEach(item => {
+        const id = key(item);
+        const group = groups.get(id) || { key: id, label: label(item), count: 0, amount: 0 };
+        group.count += 1;
+        group.amount = roundCurrency(group.amount + item.amount);
+        groups.set(id, group);
+    });
+    return [...groups.values()].sort((a, b) => b.amount - a.amount);
+};
+
+const sumAmounts = (items) => roundCurrency(items.reduce((total, item) => total + item.amount, 0));
+
+const userKey = (user) => (user ? String(user._id || user) : UNASSIGNED);
+const userLabel = (user) => (user && user.name) || 'Unassigned';
+
+/**
+ * Tranches paid out within the range, oldest first
+ */
+const findDisbursements = async (range) => {
+    const loans = await Loan.find({
+        $or: [
+            { 'disbursements.date': range },
+            // Loans from before tranches were tracked
+            { disbursements: { $size: 0 }, disbursementDate: range }
+        ]
+    })
+        .populate('customer', 'name customerId')
+        .populate('disbursements.disbursedBy', 'name email');
+
+    return loans.flatMap(loan => {
+        const tranches = loan.disbursements.length > 0 ? loan.disbursements : loan.getDisbursements();
+        return tranches
+            .filter(tranche => tranche.date >= range.$gte && tranche.date <= range.$lte)
+            .map(tranche => ({
+                loanId: loan.loanId,
+                customerId: loan.customerId,
+                customerName: loan.customer && loan.customer.name,
+                date: tranche.date,
+                amount: tranche.amount,
+                disbursementMethod: tranche.disbursementMethod || 'cash',
+                reference: tranche.reference,
+                disbursedBy: tranche.disbursedBy || null
+            }));
+    }).sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Payments that had been posted before the range started, grouped by loan ID
+ * Payments reversed since then still count: they were paid at the time.
+ */
+const findPaymentsBefore = async (range, loanIds) => {
+    const payments = await Payment.find({
+        loan: { $in: loanIds },
+        paymentDate: { $lt: range.$gte },
+        $or: [
+            { status: 'completed' },
+            {
+                status: 'reversed',
+                reversedAt: { $gte: range.$gte },
+                $or: [{ receivedDate: null }, { clearedAt: { $ne: null } }]
+            }
+        ]
+    })
+        .select('loan principalPaid interestPaid paymentDate createdAt')
+        .sort({ paymentDate: 1, createdAt: 1 })
+        .lean();
+
+    const byLoan = new Map();
+    payments.forEach(payment => {
+        const key = String(payment.loan);
+        byLoan.set(key, [...(byLoan.get(key) || []), payment]);
+    });
+    return byLoan;
+};
+
+/**
+ * Expected dues per collector as they stood when the range started
+ * Installments are re-allocated from the payments made before then, so a past
+ * date shows what was due and overdue on that day rather than what is unpaid
+ * now. `dueToday` is what was still owed on installments falling due within
+ * the range; `overdue` is what was still owed on earlier installments.
+ * Loans are grouped by their current collector and read against their current
+ * schedule, which a later restructure re-plans from its effective date.
+ */
+const collectDues = async (range) => {
+    // Loans paid out by the end of the range and not closed or written off before it
+    const loans = await Loan.find({
+        disbursementDate: { $lte: range.$lte },
+        $and: [
+            { $or: [{ closedDate: null }, { closedDate: { $gte: range.$gte } }] },
+            { $or: [{ 'writeOff.date': null }, { 'writeOff.date': { $gte: range.$gte } }] }
+        ]
+    })
+        .select('customer schedule')
+        .populate('customer', 'assignedCollector')
+        .lean();
+    const paymentsBefore = await findPaymentsBefore(range, loans.map(loan => loan._id));
+
+    const dues = new Map();
+    loans.forEach(loan => {
+        const collector = loan.customer && loan.customer.assignedCollector;
+        const key = userKey(collector);
+        const row = dues.get(key) || { loans: 0, dueToday: 0, overdue: 0 };
+
+        const schedule = allocateToSchedule(loan.schedule || [], paymentsBefore.get(String(loan._id)) || [], range.$gte);
+
+        let owes = false;
+        schedule.forEach(installment => {
+            if (installment.status === 'paid' || installment.dueDate > range.$lte) return;
+            const unpaid = installment.expectedAmount - installment.amountPaid;
+
+            if (installment.dueDate >= range.$gte) {
+                row.dueToday += unpaid;
+            } else {
+                row.overdue += unpaid;
+            }
+            owes = true;
+        });
+
+        if (owes) row.loans += 1;
+        dues.set(key, row);
+    });
+
+    return dues;
+};
+
+/**
+ * Each collector's expected dues against what they collected in the range
+ * Every active collector is listed, as is anyone else who took payments.
+ */
+const buildCollectorSummary = async (range, payments, pending) => {
+    const dues = await collectDues(range);
+    const collectors = await User.find({ role: 'collector', status: 'active' }).select('name email');
+
+    const rows = new Map();
+    const rowFor = (user) => {
+        const key = userKey(user);
+        if (!rows.has(key)) {
+            rows.set(key, {
+                collector: user ? { _id: user._id, name: user.name, email: user.email } : null,
+                loans: 0,
+                dueToday: 0,
+                overdue: 0,
+                expected: 0,
+                collected: 0,
+                collections: 0,
+                pendingClearance: 0
+            });
+        }
+        return rows.get(key);
+    };
+
+    collectors.forEach(rowFor);
+    // Applying a customer's credit collects nothing
+    payments.filter(payment => payment.paymentMethod !== 'credit').forEach(payment => {
+        const row = rowFor(payment.receivedBy);
+        row.collected += payment.amount;
+        row.collections += 1;
+    });
+    pending.forEach(payment => {
+        rowFor(payment.receivedBy).pendingClearance += payment.amount;
+    });
+
+    // Customers can also be assigned to someone who is not an active collector
+    const others = [...dues.keys()].filter(key => key !== UNASSIGNED && !rows.has(key));
+    if (others.length > 0) {
+        (await User.find({ _id: { $in: others } }).select('name email')).forEach(rowFor);
+    }
+
+    dues.forEach((due, key) => {
+        const row = rows.get(key) || rowFor(null);
+        row.loans += due.loans;
+        row.dueToday += due.dueToday;
+        row.overdue += due.overdue;
+    });
+
+    return [...rows.values()].map(row => {
+        const expected = roundCurrency(row.dueToday + row.overdue);
+        const collected = roundCurrency(row.collected);
+        return {
+            ...row,
+            dueToday: roundCurrency(row.dueToday),
+            overdue: roundCurrency(row.overdue),
+            expected,
+            collected,
+            pendingClearance: roundCurrency(row.pendingClearance),
+            shortfall: Math.max(0, roundCurrency(expected - collected)),
+            collectionRate: expected > 0 ? Math.round((collected / expected) * 1000) / 10 : null
+        };
+    }).sort((a, b) => b.expected - a.expected);
+};
+
+/**
+ * Day book for a date (YYYY-MM-DD, default today)
+ */
+const buildDaybook = async (date = new Date().toISOString().slice(0, 10)) => {
+    const range = toDateRange(date, date);
+    const { cash } = SYSTEM_ACCOUNTS;
+
+    const payments = await Payment.find({ paymentDate: range, status: 'completed' })
+        .populate('receivedBy', 'name email')
+        .populate('customer', 'name customerId')
+        .sort({ paymentDate: 1 });
+    const pending = await Payment.find({ receivedDate: range, status: 'pending' })
+        .populate('receivedBy', 'name email');
+    const reversals = await Payment.find({ reversedAt: range, status: 'reversed', $or: [{ receivedDate: null }, { clearedAt: { $ne: null } }] })
+        .populate('reversedBy', 'name email');
+    const disbursements = await findDisbursements(range);
+
+    const opening = await getAccountBalance(cash, { to: new Date(range.$gte.getTime() - 1) });
+    const day = await getAccountBalance(cash, { from: range.$gte, to: range.$lte });
+
+    return {
+        date,
+        cashInHand: {
+            opening: opening.balance,
+            received: day.debit,
+            paidOut: day.credit,
+            closing: roundCurrency(opening.balance + day.debit - day.credit)
+        },
+        cashIn: {
+            total: sumAmounts(payments),
+            count: payments.length,
+            byMethod: groupTotals(payments, payment => payment.paymentMethod, payment => payment.paymentMethod),
+            byReceivedBy: groupTotals(payments, payment => userKey(payment.receivedBy), payment => userLabel(payment.receivedBy)),
+            payments: payments.map(payment => ({
+                paymentId: payment.paymentId,
+                loanId: payment.loanId,
+                customerId: payment.customerId,
+                customerName: payment.customer && payment.customer.name,
+                type: payment.type,
+                amount: payment.amount,
+                paymentMethod: payment.paymentMethod,
+                transactionReference: payment.transactionReference,
+                receivedBy: payment.receivedBy
+            }))
+        },
+        cashOut: {
+            total: sumAmounts(disbursements),
+            count: disbursements.length,
+            byMethod: groupTotals(disbursements, tranche => tranche.disbursementMethod, tranche => tranche.disbursementMethod),
+            byDisbursedBy: groupTotals(disbursements, tranche => userKey(tranche.disbursedBy), tranche => userLabel(tranche.disbursedBy)),
+            disbursements
+        },
+        reversals: {
+            total: sumAmounts(reversals),
+            count: reversals.length,
+            payments: reversals.map(payment => ({
+                paymentId: payment.paymentId,
+                loanId: payment.loanId,
+                amount: payment.amount,
+                paymentMethod: payment.paymentMethod,
+                reversedBy: payment.reversedBy,
+                reason: payment.reversalReason
+            }))
+        },
+        pendingClearance: {
+            total: sumAmounts(pending),
+            count: pending.length,
+            byMethod: groupTotals(pending, payment => payment.paymentMethod, payment => payment.paymentMethod)
+        },
+        collectors: await buildCollectorSummary(range, payments, pending)
+    };
+};
+
+module.exports = {
+    buildDaybook
+};
@@ -0,0 +1,13 @@
+/**
+ * Errors carrying an HTTP status, thrown from inside transactions
+ * so the whole unit of work is rolled back before the controller responds.
+ */
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+module.exports = {
+    httpError
+};
@@ -0,0 +1,161 @@
+/**
+ * Streaming CSV and NDJSON exports
+ *
+ * Records are read from a MongoDB cursor and written to the response one at a
+ * time, waiting for the client whenever the socket buffer is full, so an export
+ * never holds more than a batch of documents in memory.
+ */
+const { addDays } = require('date-fns');
+const { formatCsvLine } = require('./csv');
+const { getPaymentIdDateKey } = require('./helpers');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+/**
+ * Date range filter from `from`/`to` query values, or undefined when neither is set
+ * A date-only `to` (YYYY-MM-DD) covers the whole of that day.
+ */
+const toDateRange = (from, to) => {
+    if (!from && !to) return undefined;
+
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = /^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(addDays(new Date(to), 1) - 1) : new Date(to);
+    return range;
+};
+
+/**
+ * Columns written for each export; each maps a document to one field
+ */
+const LOAN_COLUMNS = {
+    loanId: loan => loan.loanId,
+    customerId: loan => loan.customerId,
+    customerName: loan => loan.customer && loan.customer.name,
+    customerPhone: loan => loan.customer && loan.customer.phone,
+    principalAmount: loan => loan.principalAmount,
+    interestType: loan => loan.interestType,
+    interestRate: loan => loan.interestRate,
+    interestMethod: loan => loan.interestMethod,
+    disbursementDate: loan => loan.disbursementDate,
+    dueDate: loan => loan.dueDate,
+    status: loan => loan.status,
+    outstandingPrincipal: loan => loan.outstandingPrincipal,
+    currentInterest: loan => loan.currentInterest,
+    currentPenalty: loan => loan.currentPenalty,
+    currentFees: loan => loan.currentFees,
+    totalOutstanding: loan => loan.totalOutstanding,
+    totalAmountPaid: loan => loan.totalAmountPaid,
+    totalInterestEarned: loan => loan.totalInterestEarned,
+    totalPayments: loan => loan.totalPayments,
+    lastPaymentDate: loan => loan.lastPaymentDate,
+    isOverdue: loan => loan.isOverdue,
+    daysPastDue: loan => loan.daysPastDue,
+    closedDate: loan => loan.closedDate
+};
+
+const PAYMENT_COLUMNS = {
+    paymentId: payment => payment.paymentId,
+    loanId: payment => payment.loanId,
+    customerId: payment => payment.customerId,
+    customerName: payment => payment.customer && payment.customer.name,
+    type: payment => payment.type,
+    paymentDate: payment => payment.paymentDate,
+    amount: payment => payment.amount,
+    principalPaid: payment => payment.principalPaid,
+    interestPaid: payment => payment.interestPaid,
+    penaltyPaid: payment => payment.penaltyPaid,
+    feesPaid: payment => payment.feesPaid,
+    excessAmount: payment => payment.excessAmount,
+    paymentMethod: payment => payment.paymentMethod,
+    transactionReference: payment => payment.transactionReference,
+    status: payment => payment.status,
+    outstandingPrincipalAfter: payment => payment.outstandingPrincipalAfter,
+    outstandingInterestAfter: payment => payment.outstandingInterestAfter,
+    receivedBy: payment => payment.receivedBy && payment.receivedBy.name,
+    notes: payment => payment.notes
+};
+
+const CUSTOMER_COLUMNS = {
+    customerId: customer => customer.customerId,
+    name: customer => customer.name,
+    phone: customer => customer.phone,
+    email: customer => customer.email,
+    status: customer => customer.status,
+    assignedCollector: customer => customer.assignedCollector && customer.assignedCollector.name,
+    totalLoans: customer => customer.totalLoans,
+    activeLoans: customer => customer.activeLoans,
+    totalAmountBorrowed: customer => customer.totalAmountBorrowed,
+    totalAmountRepaid: customer => customer.totalAmountRepaid,
+    creditBalance: customer => customer.creditBalance,
+    createdAt: customer => customer.createdAt
+};
+
+/**
+ * Stream documents from a cursor as CSV or NDJSON
+ * `prepare` can turn each document into the object the columns read from.
+ * Once streaming has started an error can only cut the response short, so the
+ * connection is destroyed rather than ending with a truncated file.
+ */
+const streamExport = async ({ res, cursor, format, name, columns, prepare = doc => doc }) => {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const headers = Object.keys(columns);
+
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    res.status(200);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${name}-${getPaymentIdDateKey()}.${extension}"`);
+
+    // Resolve once the chunk is buffered, or the client has caught up or gone away
+    const write = (chunk) => new Promise(resolve => {
+        if (res.write(chunk)) return resolve();
+
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+
+    try {
+        if (format === 'csv') {
+            await write(formatCsvLine(headers));
+        }
+
+        for await (const doc of cursor) {
+            if (closed) break;
+
+            const source = prepare(doc);
+            const record = {};
+            headers.forEach(header => {
+                const value = columns[header](source);
+                record[header] = value === undefined ? null : value;
+            });
+
+            await write(format === 'csv' ? formatCsvLine(Object.values(record)) : `${JSON.stringify(record)}\n`);
+        }
+
+        res.end();
+    } catch (error) {
+        res.destroy(error);
+    } finally {
+        await cursor.close();
+    }
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    LOAN_COLUMNS,
+    PAYMENT_COLUMNS,
+    CUSTOMER_COLUMNS,
+    toDateRange,
+    streamExport
+};
@@ -1,6 +1,7 @@
 /**
  * Utility functions for the Finance Lending Application
  */
+const { accrueInterest } = require('./interest');
 
 /**
  * Generate unique Loan ID based on the format from image 2
@@ -26,41 +27,82 @@ const generateCustomerId = (sequenceNumber) => {
 };
 
 /**
- * Generate unique Payment ID
- * Format: PAY-YYYYMMDD-XXXXX
+ * Date part of a Payment ID
+ * Format: YYYYMMDD
  */
-const generatePaymentId = (sequenceNumber) => {
-    const date = new Date();
+const getPaymentIdDateKey = (date = new Date()) => {
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0');
     const day = String(date.getDate()).padStart(2, '0');
+
+    return `${year}${month}${day}`;
+};
+
+/**
+ * Generate unique Payment ID
+ * Format: PAY-YYYYMMDD-XXXXX
+ */
+const generatePaymentId = (sequenceNumber, date = new Date()) => {
     const seq = String(sequenceNumber).padStart(5, '0');
 
-    return `PAY-${year}${month}${day}-${seq}`;
+    return `PAY-${getPaymentIdDateKey(date)}-${seq}`;
 };
 
 /**
- * Calculate interest based on principal, rate, and time period
+ * Generate payoff quote ID
+ * Format: PQ-YYYYMMDD-XXXXX (numbered per day, like payments)
  */
-const calculateInterest = (principal, rate, startDate, endDate, type) => {
-    if (!principal || !rate || !startDate || !endDate) return 0;
+const generatePayoffQuoteId = (sequenceNumber, date = new Date()) => {
+    const seq = String(sequenceNumber).padStart(5, '0');
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    return `PQ-${getPaymentIdDateKey(date)}-${seq}`;
+};
 
-    if (end <= start) return 0;
+/**
+ * Generate payment import batch ID
+ * Format: IMP-YYYYMMDD-XXXXX (numbered per day, like payments)
+ */
+const generateImportBatchId = (sequenceNumber, date = new Date()) => {
+    const seq = String(sequenceNumber).padStart(5, '0');
 
-    const timeDiff = end - start;
+    return `IMP-${getPaymentIdDateKey(date)}-${seq}`;
+};
 
-    if (type === 'daily') {
-        const days = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
-        return (principal * rate * days) / 100;
-    } else if (type === 'monthly') {
-        const months = timeDiff / (1000 * 60 * 60 * 24 * 30);
-        return (principal * rate * months) / 100;
-    }
+/**
+ * Generate bank statement ID
+ * Format: STM-YYYYMMDD-XXXXX (numbered per upload day)
+ */
+const generateStatementId = (sequenceNumber, date = new Date()) => {
+    const seq = String(sequenceNumber).padStart(5, '0');
+
+    return `STM-${getPaymentIdDateKey(date)}-${seq}`;
+};
 
-    return 0;
+/**
+ * Generate journal entry ID
+ * Format: JE-YYYYMMDD-XXXXX (numbered per posting day)
+ */
+const generateJournalEntryId = (sequenceNumber, date = new Date()) => {
+    const seq = String(sequenceNumber).padStart(5, '0');
+
+    return `JE-${getPaymentIdDateKey(date)}-${seq}`;
+};
+
+/**
+ * Calculate interest on a single principal amount held from startDate to endDate
+ * method: flat, reducing-balance or compound (see utils/interest.js)
+ */
+const calculateInterest = (principal, rate, startDate, endDate, type, method = 'flat') => {
+    if (!principal || !rate || !startDate || !endDate) return 0;
+    if (type !== 'daily' && type !== 'monthly') return 0;
+
+    return accrueInterest({
+        method,
+        interestRate: rate,
+        interestType: type,
+        disbursements: [{ date: startDate, amount: principal }],
+        to: endDate
+    });
 };
 
 /**
@@ -83,6 +125,13 @@ const calculateMonthsBetween = (startDate, endDate) => {
     return timeDiff / (1000 * 60 * 60 * 24 * 30);
 };
 
+/**
+ * Round an amount to paise
+ */
+const roundCurrency = (amount) => {
+    return Math.round((amount + Number.EPSILON) * 100) / 100;
+};
+
 /**
  * Format currency for display
  */
@@ -157,9 +206,15 @@ module.exports = {
     generateLoanId,
     generateCustomerId,
     generatePaymentId,
+    generatePayoffQuoteId,
+    generateImportBatchId,
+    generateStatementId,
+    generateJournalEntryId,
+    getPaymentIdDateKey,
     calculateInterest,
     calculateDaysBetween,
     calculateMonthsBetween,
+    roundCurrency,
     formatCurrency,
     formatDate,
     validatePhone,
@@ -0,0 +1,154 @@
+/**
+ * Interest engine
+ *
+ * Each method turns a loan's principal movements into the interest accrued over
+ * a period. Rates are percentages per period: per day for daily loans, per
+ * (30-day) month for monthly loans.
+ *
+ *   flat              - on the principal disbursed, for as long as it has been out,
+ *                       regardless of repayments
+ *   reducing-balance  - on the principal actually outstanding during each stretch
+ *   compound          - like reducing-balance, but unpaid interest is added to the
+ *                       balance at the end of every 30-day month
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MONTH_MS = DAY_MS * 30;
+
+/**
+ * Length of a stretch of time in interest periods
+ * Daily loans accrue per whole day; monthly loans accrue pro rata.
+ */
+const periodsBetween = (start, end, interestType) => {
+    if (end <= start) return 0;
+    if (interestType === 'daily') {
+        return Math.floor((end - start) / DAY_MS);
+    }
+    return (end - start) / MONTH_MS;
+};
+
+/**
+ * Chronological principal movements up to `to`: disbursements (+) and repayments (-)
+ */
+const buildTimeline = ({ disbursements, repayments = [], to }) => {
+    const events = [
+        ...disbursements.map(d => ({ date: new Date(d.date), principal: d.amount, interest: 0 })),
+        ...repayments.map(r => ({ date: new Date(r.date), principal: -(r.principal || 0), interest: r.interest || 0 }))
+    ];
+
+    return events
+        .filter(event => event.date < to)
+        .sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Flat: each disbursement earns interest from its own date to the end
+ */
+const flat = ({ interestRate, interestType, disbursements, to }) => {
+    return disbursements.reduce((total, disbursement) => {
+        const periods = periodsBetween(new Date(disbursement.date), to, interestType);
+        return total + (disbursement.amount * interestRate * periods) / 100;
+    }, 0);
+};
+
+/**
+ * Reducing balance: interest on the balance outstanding between movements
+ */
+const reducingBalance = ({ interestRate, interestType, disbursements, repayments, to }) => {
+    const timeline = buildTimeline({ disbursements, repayments, to });
+    if (timeline.length === 0) return 0;
+
+    // Periods are counted from the first disbursement so that splitting
+    // a stretch at a repayment never loses part of a day
+    const origin = timeline[0].date;
+
+    let total = 0;
+    let balance = 0;
+    timeline.forEach((event, index) => {
+        balance = Math.max(0, balance + event.principal);
+        const stretchEnd = index + 1 < timeline.length ? timeline[index + 1].date : to;
+        const periods = periodsBetween(origin, stretchEnd, interestType) - periodsBetween(origin, event.date, interestType);
+        total += (balance * interestRate * periods) / 100;
+    });
+
+    return total;
+};
+
+/**
+ * Monthly compounding: unpaid interest joins the balance every 30 days
+ */
+const compound = ({ interestRate, interestType, disbursements, repayments, to }) => {
+    const timeline = buildTimeline({ disbursements, repayments, to });
+    if (timeline.length === 0) return 0;
+
+    const origin = timeline[0].date;
+    const boundaries = [];
+    for (let next = new Date(origin.getTime() + MONTH_MS); next < to; next = new Date(next.getTime() + MONTH_MS)) {
+        boundaries.push({ date: next, compound: true });
+    }
+
+    const points = [...timeline, ...boundaries].sort((a, b) => a.date - b.date || (a.compound ? 1 : -1));
+
+    let total = 0;
+    let principal = 0;
+    let capitalised = 0; // interest already added to the balance
+    let pending = 0; // interest accrued this month, not yet compounded
+
+    points.forEach((point, index) => {
+        if (point.compound) {
+            capitalised += pending;
+            pending = 0;
+        } else {
+            principal = Math.max(0, principal + point.principal);
+
+            // Interest payments clear capitalised interest first
+            let interestPaid = point.interest;
+            const fromCapitalised = Math.min(interestPaid, capitalised);
+            capitalised -= fromCapitalised;
+            interestPaid -= fromCapitalised;
+            pending = Math.max(0, pending - interestPaid);
+        }
+
+        const stretchEnd = index + 1 < points.length ? points[index + 1].date : to;
+        const periods = periodsBetween(origin, stretchEnd, interestType) - periodsBetween(origin, point.date, interestType);
+        const accrued = ((principal + capitalised) * interestRate * periods) / 100;
+
+        pending += accrued;
+        total += accrued;
+    });
+
+    return total;
+};
+
+const INTEREST_METHODS = {
+    flat,
+    'reducing-balance': reducingBalance,
+    compound
+};
+
+/**
+ * Interest accrued up to `to` using the named method
+ * `disbursements` are { date, amount }; `repayments` are { date, principal, interest }.
+ */
+const accrueInterest = ({ method = 'flat', interestRate, interestType, disbursements, repayments = [], to }) => {
+    const accrue = INTEREST_METHODS[method];
+
+    if (!accrue) {
+        throw new Error(`Unknown interest method: ${method}`);
+    }
+    if (!interestRate || !to || disbursements.length === 0) return 0;
+
+    return accrue({
+        interestRate,
+        interestType,
+        disbursements,
+        repayments,
+        to: new Date(to)
+    });
+};
+
+module.exports = {
+    INTEREST_METHODS,
+    periodsBetween,
+    accrueInterest
+};
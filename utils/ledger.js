@@ -0,0 +1,354 @@
+/**
+ * Double-entry general ledger
+ *
+ * Every money movement posts a balanced journal entry in the same transaction
+ * as the loan, payment or customer change behind it (pass the caller's session).
+ * Entries are never edited: a reversal or correction posts a mirror entry.
+ * Account codes come from config/accounts.js.
+ */
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+const { nextJournalEntryId } = require('./sequences');
+const { roundCurrency } = require('./helpers');
+const { httpError } = require('./errors');
+const { SYSTEM_ACCOUNTS, getMethodAccount } = require('../config/accounts');
+
+const {
+    loansReceivable,
+    customerCredit,
+    suspense,
+    deferredInterest,
+    interestIncome,
+    penaltyIncome,
+    feeIncome,
+    capitalisedInterest,
+    recoveryIncome,
+    badDebts
+} = SYSTEM_ACCOUNTS;
+
+/**
+ * Net lines on the same account and drop the ones that come to nothing
+ */
+const netLines = (lines) => {
+    const net = new Map();
+    lines.forEach(({ accountCode, debit = 0, credit = 0 }) => {
+        net.set(accountCode, (net.get(accountCode) || 0) + debit - credit);
+    });
+
+    return [...net]
+        .map(([accountCode, amount]) => ({
+            accountCode,
+            debit: amount > 0 ? roundCurrency(amount) : 0,
+            credit: amount < 0 ? roundCurrency(-amount) : 0
+        }))
+        .filter(line => line.debit > 0 || line.credit > 0);
+};
+
+/**
+ * Create the system accounts that do not exist yet
+ */
+const ensureSystemAccounts = async () => {
+    await Account.bulkWrite(Object.values(SYSTEM_ACCOUNTS).map(account => ({
+        updateOne: {
+            filter: { code: account.code },
+            update: { $setOnInsert: { ...account, isSystem: true } },
+            upsert: true
+        }
+    })));
+};
+
+/**
+ * Post a journal entry
+ * Returns null when the lines net to nothing (e.g. a zero-amount payment).
+ */
+const postEntry = async ({ date, source, description, lines, refs = {}, reversalOf, user, session }) => {
+    const netted = netLines(lines);
+    if (netted.length === 0) return null;
+
+    const [entry] = await JournalEntry.create([{
+        entryId: await nextJournalEntryId(session),
+        date,
+        source,
+        description,
+        lines: netted,
+        ...refs,
+        reversalOf,
+        postedBy: user && user._id
+    }], { session });
+
+    return entry;
+};
+
+/**
+ * Post mirror entries for the entries matching `query` that are not yet reversed
+ * The mirrors are dated `date`, or the original's own date for a correction.
+ */
+const reverseEntries = async ({ query, date, reason, user, session }) => {
+    const entries = await JournalEntry.find({ ...query, reversalOf: null, reversedBy: null }).session(session);
+
+    const mirrors = [];
+    for (const entry of entries) {
+        const mirror = await postEntry({
+            date: date || entry.date,
+            source: entry.source,
+            description: `Reversal of ${entry.entryId}${reason ? `: ${reason}` : ''}`,
+            lines: entry.lines.map(line => ({ accountCode: line.accountCode, debit: line.credit, credit: line.debit })),
+            refs: {
+                loan: entry.loan,
+                loanId: entry.loanId,
+                payment: entry.payment,
+                paymentId: entry.paymentId,
+                customer: entry.customer,
+                customerId: entry.customerId,
+                disbursement: entry.disbursement,
+                creditEntry: entry.creditEntry
+            },
+            reversalOf: entry._id,
+            user,
+            session
+        });
+
+        entry.reversedBy = mirror._id;
+        await entry.save({ session });
+        mirrors.push(mirror);
+    }
+
+    return mirrors;
+};
+
+/**
+ * Capitalised interest on a loan not yet received: the lesser of the balance as
+ * of `date` and today, so a payment reposted on its own date cannot release
+ * what later payments already have
+ */
+const getDeferredInterest = async ({ loan, date, session }) => {
+    const net = { $subtract: ['$lines.credit', '$lines.debit'] };
+    const [totals] = await JournalEntry.aggregate([
+        { $match: { loan } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.accountCode': deferredInterest.code } },
+        {
+            $group: {
+                _id: null,
+                asOf: { $sum: { $cond: [{ $lte: ['$date', date] }, net, 0] } },
+                current: { $sum: net }
+            }
+        }
+    ]).session(session);
+
+    return totals ? Math.max(0, roundCurrency(Math.min(totals.asOf, totals.current))) : 0;
+};
+
+const loanRefs = (loan) => ({
+    loan: loan._id,
+    loanId: loan.loanId,
+    customer: loan.customer,
+    customerId: loan.customerId
+});
+
+/**
+ * Loan paid out: loans receivable up, cash or bank down
+ */
+const postDisbursementEntry = ({ loan, disbursement, user, session }) => postEntry({
+    date: disbursement.date,
+    source: 'disbursement',
+    description: `Disbursement on ${loan.loanId}`,
+    lines: [
+        { accountCode: loansReceivable.code, debit: disbursement.amount },
+        { accountCode: getMethodAccount(disbursement.disbursementMethod), credit: disbursement.amount }
+    ],
+    refs: { ...loanRefs(loan), disbursement: disbursement._id },
+    user,
+    session
+});
+
+/**
+ * Completed payment: cash, bank or customer credit in; principal, interest,
+ * penal interest and fees out as split on the payment, and any excess held as
+ * customer credit. A recovery on a written-off loan is income in full.
+ * Principal repaid clears capitalised interest first, which becomes income.
+ * `unallocated` is money received that the split does not account for; only
+ * the ledger backfill passes it, for payments recorded before excess was tracked.
+ */
+const postPaymentEntry = async ({ payment, unallocated = 0, user, session }) => {
+    const recovery = payment.type === 'recovery';
+    const lines = [{ accountCode: getMethodAccount(payment.paymentMethod), debit: payment.amount }];
+
+    if (recovery) {
+        lines.push({ accountCode: recoveryIncome.code, credit: payment.amount });
+    } else {
+        const deferred = payment.principalPaid > 0
+            ? await getDeferredInterest({ loan: payment.loan, date: payment.paymentDate, session })
+            : 0;
+        const earned = Math.min(payment.principalPaid, deferred);
+
+        lines.push(
+            { accountCode: loansReceivable.code, credit: payment.principalPaid },
+            { accountCode: interestIncome.code, credit: payment.interestPaid },
+            { accountCode: penaltyIncome.code, credit: payment.penaltyPaid },
+            { accountCode: feeIncome.code, credit: payment.feesPaid },
+            { accountCode: customerCredit.code, credit: payment.excessAmount },
+            { accountCode: suspense.code, credit: unallocated },
+            { accountCode: deferredInterest.code, debit: earned },
+            { accountCode: capitalisedInterest.code, credit: earned }
+        );
+    }
+
+    return postEntry({
+        date: payment.paymentDate,
+        source: recovery ? 'recovery' : 'repayment',
+        description: `${recovery ? 'Recovery' : 'Payment'} ${payment.paymentId} on ${payment.loanId}`,
+        lines,
+        refs: {
+            loan: payment.loan,
+            loanId: payment.loanId,
+            payment: payment._id,
+            paymentId: payment.paymentId,
+            customer: payment.customer,
+            customerId: payment.customerId
+        },
+        user,
+        session
+    });
+};
+
+/**
+ * Reverse a payment's entries as of its reversal
+ */
+const reversePaymentEntries = ({ payment, reason, user, session }) => reverseEntries({
+    query: { payment: payment._id },
+    date: payment.reversedAt || new Date(),
+    reason,
+    user,
+    session
+});
+
+/**
+ * Correct a payment's entries after its split or method changed
+ * The old entries are reversed on their own dates so past periods are restated.
+ */
+const repostPaymentEntries = async ({ payment, reason, user, session }) => {
+    await reverseEntries({ query: { payment: payment._id }, reason, user, session });
+    return postPaymentEntry({ payment, user, session });
+};
+
+/**
+ * Correct a loan's disbursement entries after its principal or disbursement date was amended
+ */
+const repostDisbursementEntries = async ({ loan, reason, user, session }) => {
+    await reverseEntries({ query: { loan: loan._id, source: 'disbursement' }, reason, user, session });
+
+    // Legacy loans have no tranches recorded; their one disbursement is the principal
+    const disbursements = loan.disbursements.length > 0 ? loan.disbursements : loan.getDisbursements();
+
+    const entries = [];
+    for (const disbursement of disbursements) {
+        entries.push(await postDisbursementEntry({ loan, disbursement, user, session }));
+    }
+    return entries;
+};
+
+/**
+ * Interest capitalised on restructure: added to principal and held as unearned
+ * until it is repaid (see postPaymentEntry)
+ */
+const postCapitalisationEntry = ({ loan, amount, date, user, session }) => postEntry({
+    date,
+    source: 'capitalisation',
+    description: `Interest capitalised on ${loan.loanId}`,
+    lines: [
+        { accountCode: loansReceivable.code, debit: amount },
+        { accountCode: deferredInterest.code, credit: amount }
+    ],
+    refs: loanRefs(loan),
+    user,
+    session
+});
+
+/**
+ * Loan written off: the principal still owed becomes a bad debt, less any
+ * capitalised interest in it, which was never income and is simply cancelled
+ * Interest, penal interest and fees were never booked as income, so there is nothing to write off for them.
+ */
+const postWriteOffEntry = async ({ loan, user, session }) => {
+    const { date, reason, principal } = loan.writeOff;
+    const unearned = Math.min(principal, await getDeferredInterest({ loan: loan._id, date, session }));
+
+    return postEntry({
+        date,
+        source: 'write-off',
+        description: `Write-off of ${loan.loanId}: ${reason}`,
+        lines: [
+            { accountCode: deferredInterest.code, debit: unearned },
+            { accountCode: badDebts.code, debit: principal - unearned },
+            { accountCode: loansReceivable.code, credit: principal }
+        ],
+        refs: loanRefs(loan),
+        user,
+        session
+    });
+};
+
+/**
+ * Customer credit paid back to the customer
+ */
+const postCreditRefundEntry = ({ customer, creditEntry, user, session }) => postEntry({
+    date: creditEntry.date || new Date(),
+    source: 'credit-refund',
+    description: `Credit refund to ${customer.customerId}`,
+    lines: [
+        { accountCode: customerCredit.code, debit: -creditEntry.amount },
+        { accountCode: getMethodAccount(creditEntry.paymentMethod), credit: -creditEntry.amount }
+    ],
+    refs: {
+        customer: customer._id,
+        customerId: customer.customerId,
+        creditEntry: creditEntry._id
+    },
+    user,
+    session
+});
+
+/**
+ * Post a manual entry, e.g. capital introduced or an expense paid
+ * Every account must exist and be active, and the lines must balance.
+ */
+const postManualEntry = async ({ date, description, lines, user, session }) => {
+    const codes = [...new Set(lines.map(line => line.accountCode))];
+    const accounts = await Account.find({ code: { $in: codes }, isActive: true }).session(session);
+    const missing = codes.filter(code => !accounts.some(account => account.code === code));
+    if (missing.length > 0) {
+        throw httpError(400, `Unknown or inactive accounts: ${missing.join(', ')}`);
+    }
+
+    const debits = roundCurrency(lines.reduce((total, line) => total + (line.debit || 0), 0));
+    const credits = roundCurrency(lines.reduce((total, line) => total + (line.credit || 0), 0));
+    if (debits !== credits) {
+        throw httpError(400, `Entry does not balance: debits ${debits}, credits ${credits}`);
+    }
+
+    const [entry] = await JournalEntry.create([{
+        entryId: await nextJournalEntryId(session),
+        date,
+        source: 'manual',
+        description,
+        lines: lines.map(({ accountCode, debit = 0, credit = 0, memo }) => ({ accountCode, debit, credit, memo })),
+        postedBy: user._id
+    }], { session });
+
+    return entry;
+};
+
+module.exports = {
+    ensureSystemAccounts,
+    reverseEntries,
+    postDisbursementEntry,
+    postPaymentEntry,
+    reversePaymentEntries,
+    repostPaymentEntries,
+    repostDisbursementEntries,
+    postCapitalisationEntry,
+    postWriteOffEntry,
+    postCreditRefundEntry,
+    postManualEntry
+};
@@ -0,0 +1,250 @@
+/**
+ * Financial reports from the general ledger
+ *
+ * Balances are summed from journal lines by account code. Income and expense
+ * accounts are never closed out: the balance sheet carries their running total
+ * as current earnings.
+ */
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+const Loan = require('../models/Loan');
+const Customer = require('../models/Customer');
+const { roundCurrency } = require('./helpers');
+const { ensureSystemAccounts } = require('./ledger');
+const { DEBIT_TYPES, SYSTEM_ACCOUNTS } = require('../config/accounts');
+
+/**
+ * Debit and credit totals per account code for entries dated within the range
+ * `match` narrows the entries further, e.g. { source: { $ne: 'manual' } }.
+ */
+const sumByAccount = async ({ from, to, match = {} } = {}) => {
+    const date = {};
+    if (from) date.$gte = from;
+    if (to) date.$lte = to;
+
+    const rows = await JournalEntry.aggregate([
+        { $match: { ...match, ...(from || to ? { date } : {}) } },
+        { $unwind: '$lines' },
+        {
+            $group: {
+                _id: '$lines.accountCode',
+                debit: { $sum: '$lines.debit' },
+                credit: { $sum: '$lines.credit' }
+            }
+        }
+    ]);
+
+    return new Map(rows.map(row => [row._id, { debit: roundCurrency(row.debit), credit: roundCurrency(row.credit) }]));
+};
+
+/**
+ * Balance of an account on its normal side (debit for assets and expenses, credit otherwise)
+ */
+const normalBalance = (type, { debit, credit }) => roundCurrency(
+    DEBIT_TYPES.includes(type) ? debit - credit : credit - debit
+);
+
+/**
+ * Every account in the chart with its totals, ordered by code
+ */
+const loadAccountBalances = async (range) => {
+    await ensureSystemAccounts();
+    const [accounts, sums] = await Promise.all([
+        Account.find().sort({ code: 1 }),
+        sumByAccount(range)
+    ]);
+
+    return accounts.map(account => {
+        const totals = sums.get(account.code) || { debit: 0, credit: 0 };
+        return {
+            code: account.code,
+            name: account.name,
+            type: account.type,
+            debit: totals.debit,
+            credit: totals.credit,
+            balance: normalBalance(account.type, totals)
+        };
+    });
+};
+
+/**
+ * One account's totals and normal-side balance for entries dated within the range
+ */
+const getAccountBalance = async (account, range = {}) => {
+    const sums = await sumByAccount({ ...range, match: { 'lines.accountCode': account.code } });
+    const totals = sums.get(account.code) || { debit: 0, credit: 0 };
+    return { ...totals, balance: normalBalance(account.type, totals) };
+};
+
+const sum = (rows, field = 'balance') => roundCurrency(rows.reduce((total, row) => total + row[field], 0));
+
+/**
+ * Trial balance as of a date: each account's net balance in the debit or credit column
+ */
+const buildTrialBalance = async (asOf = new Date()) => {
+    const accounts = (await loadAccountBalances({ to: asOf }))
+        .filter(account => account.debit !== 0 || account.credit !== 0)
+        .map(account => {
+            const net = roundCurrency(account.debit - account.credit);
+            return {
+                code: account.code,
+                name: account.name,
+                type: account.type,
+                debit: net > 0 ? net : 0,
+                credit: net < 0 ? -net : 0
+            };
+        });
+
+    const totalDebit = sum(accounts, 'debit');
+    const totalCredit = sum(accounts, 'credit');
+
+    return {
+        asOf,
+        accounts,
+        totalDebit,
+        totalCredit,
+        balanced: totalDebit === totalCredit
+    };
+};
+
+/**
+ * Profit and loss for a period: income less expenses
+ */
+const buildProfitAndLoss = async ({ from, to = new Date() } = {}) => {
+    const accounts = await loadAccountBalances({ from, to });
+    const income = accounts.filter(account => account.type === 'income' && account.balance !== 0);
+    const expenses = accounts.filter(account => account.type === 'expense' && account.balance !== 0);
+
+    const totalIncome = sum(income);
+    const totalExpenses = sum(expenses);
+
+    return {
+        period: { from: from || null, to },
+        income: income.map(({ code, name, balance }) => ({ code, name, amount: balance })),
+        expenses: expenses.map(({ code, name, balance }) => ({ code, name, amount: balance })),
+        totalIncome,
+        totalExpenses,
+        netProfit: roundCurrency(totalIncome - totalExpenses)
+    };
+};
+
+/**
+ * Balance sheet as of a date; assets equal liabilities plus equity
+ */
+const buildBalanceSheet = async (asOf = new Date()) => {
+    const accounts = await loadAccountBalances({ to: asOf });
+    const section = (type) => accounts
+        .filter(account => account.type === type && account.balance !== 0)
+        .map(({ code, name, balance }) => ({ code, name, amount: balance }));
+
+    const assets = section('asset');
+    const liabilities = section('liability');
+    const equity = section('equity');
+
+    const currentEarnings = roundCurrency(
+        sum(accounts.filter(account => account.type === 'income')) -
+        sum(accounts.filter(account => account.type === 'expense'))
+    );
+
+    const totalAssets = sum(assets, 'amount');
+    const totalLiabilities = sum(liabilities, 'amount');
+    const totalEquity = roundCurrency(sum(equity, 'amount') + currentEarnings);
+
+    return {
+        asOf,
+        assets,
+        liabilities,
+        equity,
+        currentEarnings,
+        totalAssets,
+        totalLiabilities,
+        totalEquity,
+        balanced: totalAssets === roundCurrency(totalLiabilities + totalEquity)
+    };
+};
+
+/**
+ * Compare the ledger with the running totals kept on loans and customers (as in
+ * GET /api/loans/stats/overview). Differences point at postings made before the
+ * ledger existed (see migrations/backfillLedger.js) or at a broken posting flow.
+ */
+const reconcileWithLoans = async () => {
+    const [loanTotals] = await Loan.aggregate([
+        {
+            $group: {
+                _id: null,
+                principalDisbursed: { $sum: '$principalAmount' },
+                outstandingPrincipal: {
+                    $sum: { $cond: [{ $eq: ['$status', 'written-off'] }, 0, '$outstandingPrincipal'] }
+                },
+                interestEarned: { $sum: '$totalInterestEarned' },
+                interestCapitalised: { $sum: { $ifNull: ['$totalInterestCapitalised', 0] } },
+                penaltyEarned: { $sum: '$totalPenaltyPaid' },
+                feesEarned: { $sum: '$totalFeesPaid' },
+                writtenOff: { $sum: { $ifNull: ['$writeOff.principal', 0] } },
+                recovered: { $sum: { $ifNull: ['$writeOff.amountRecovered', 0] } },
+                profitLoss: { $sum: '$profitLoss' }
+            }
+        }
+    ]);
+    const [customerTotals] = await Customer.aggregate([
+        { $group: { _id: null, creditBalance: { $sum: '$creditBalance' } } }
+    ]);
+
+    const loans = loanTotals || {};
+    const sums = await sumByAccount({ match: { source: { $ne: 'manual' } } });
+    const disbursements = await sumByAccount({ match: { source: 'disbursement' } });
+    const capitalisations = await sumByAccount({ match: { source: 'capitalisation' } });
+    const writeOffs = await sumByAccount({ match: { source: 'write-off' } });
+    const balanceOf = (account, totals = sums) => normalBalance(account.type, totals.get(account.code) || { debit: 0, credit: 0 });
+
+    const {
+        loansReceivable,
+        customerCredit,
+        deferredInterest,
+        interestIncome,
+        penaltyIncome,
+        feeIncome,
+        recoveryIncome
+    } = SYSTEM_ACCOUNTS;
+
+    const interest = balanceOf(interestIncome);
+    const capitalised = balanceOf(deferredInterest, capitalisations);
+    const penalty = balanceOf(penaltyIncome);
+    const fees = balanceOf(feeIncome);
+    const recovered = balanceOf(recoveryIncome);
+    // Principal taken off the books, whether booked as a bad debt or cancelled as unearned interest
+    const writtenOff = -balanceOf(loansReceivable, writeOffs);
+
+    const items = [
+        ['principalDisbursed', balanceOf(loansReceivable, disbursements), loans.principalDisbursed],
+        ['outstandingPrincipal', balanceOf(loansReceivable), loans.outstandingPrincipal],
+        ['interestEarned', interest, loans.interestEarned],
+        ['interestCapitalised', capitalised, loans.interestCapitalised],
+        ['penaltyEarned', penalty, loans.penaltyEarned],
+        ['feesEarned', fees, loans.feesEarned],
+        ['writtenOff', writtenOff, loans.writtenOff],
+        ['recovered', recovered, loans.recovered],
+        // Loan profit/loss leaves out capitalised interest, even once it is received
+        ['netProfitLoss', roundCurrency(interest + penalty + fees + recovered - writtenOff), loans.profitLoss],
+        ['customerCredit', balanceOf(customerCredit), customerTotals ? customerTotals.creditBalance : 0]
+    ].map(([item, ledger, recorded]) => ({
+        item,
+        ledger,
+        loans: roundCurrency(recorded || 0),
+        difference: roundCurrency(ledger - (recorded || 0))
+    }));
+
+    return {
+        items,
+        reconciled: items.every(row => row.difference === 0)
+    };
+};
+
+module.exports = {
+    getAccountBalance,
+    buildTrialBalance,
+    buildProfitAndLoss,
+    buildBalanceSheet,
+    reconcileWithLoans
+};
@@ -0,0 +1,362 @@
+/**
+ * Bulk import of collection sheets
+ *
+ * Rows (loanId, amount, date, method, reference, collector) arrive as CSV or
+ * JSON. Every row is validated, then the valid ones are posted in date order
+ * inside one transaction, each loan read once and reused for all its rows. A dry
+ * run does the same work and rolls it back, so its allocation previews match
+ * what a commit would post. A commit records the rows as an ImportBatch that can
+ * be rolled back as a unit.
+ *
+ * Keeping a sheet all-or-nothing means it must fit in one transaction, which
+ * MongoDB aborts after 60 seconds (transactionLifetimeLimitSeconds). Each row
+ * takes a few dozen reads and writes, so sheets are capped at MAX_IMPORT_ROWS;
+ * split a larger sheet into several imports.
+ */
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const ImportBatch = require('../models/ImportBatch');
+const { canAccessCustomer } = require('./access');
+const { withTransaction } = require('./transaction');
+const { nextImportBatchId } = require('./sequences');
+const { postPayment, recordPendingPayment, reversePostedPayment } = require('./paymentPosting');
+const { roundCurrency } = require('./helpers');
+const { pickColumns, parseSheetDate, parseSheetAmount } = require('./csv');
+const { httpError } = require('./errors');
+const { getClearingPaymentMethods } = require('../config/lending');
+const { PAYMENT_METHODS } = require('../validators/paymentValidators');
+
+const MAX_IMPORT_ROWS = 200;
+
+const IMPORT_COLUMNS = ['loanId', 'amount', 'date', 'method', 'reference', 'collector'];
+
+/**
+ * Check one raw row on its own and normalise its values
+ */
+const validateRow = (raw, index) => {
+    const input = pickColumns(raw, IMPORT_COLUMNS);
+
+    const issues = [];
+    const values = {
+        loanId: input.loanId,
+        reference: input.reference || undefined,
+        collector: input.collector || undefined
+    };
+
+    if (!values.loanId) {
+        issues.push('Loan ID is required');
+    }
+
+    const amount = parseSheetAmount(input.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+        issues.push('Amount must be a number greater than 0');
+    } else {
+        values.amount = roundCurrency(amount);
+    }
+
+    if (input.date) {
+        const date = parseSheetDate(input.date);
+        if (Number.isNaN(date.getTime())) {
+            issues.push('Date must be YYYY-MM-DD or DD/MM/YYYY');
+        } else if (date > new Date()) {
+            issues.push('Date cannot be in the future');
+        } else {
+            values.date = date;
+        }
+    } else {
+        values.date = new Date();
+    }
+
+    values.method = input.method ? input.method.toLowerCase().replace(/[\s-]/g, '_') : 'cash';
+    if (!PAYMENT_METHODS.includes(values.method)) {
+        issues.push(`Method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+    }
+
+    return { row: index + 1, input, values, issues };
+};
+
+/**
+ * Find the collector named on a row by email or user ID
+ */
+const findCollector = async (collector, session) => {
+    const query = mongoose.isValidObjectId(collector)
+        ? { _id: collector }
+        : { email: collector.toLowerCase() };
+
+    return User.findOne(query).session(session);
+};
+
+/**
+ * Validate and post every row with the caller's session
+ * Returns one result per input row, in input order.
+ */
+const processRows = async ({ rows, importBatch, user, session }) => {
+    const checked = rows.map(validateRow);
+    const loans = new Map();
+    const collectors = new Map();
+    const references = new Set();
+    const clearingMethods = getClearingPaymentMethods();
+
+    // Earlier collections are posted first so each loan's payments stay in date order
+    const queue = checked
+        .filter(entry => entry.issues.length === 0)
+        .sort((a, b) => a.values.date - b.values.date || a.row - b.row);
+
+    for (const entry of queue) {
+        const { values, issues } = entry;
+
+        if (!loans.has(values.loanId)) {
+            loans.set(values.loanId, await Loan.findOne({ loanId: values.loanId }).session(session));
+        }
+        const loan = loans.get(values.loanId);
+
+        if (!loan) {
+            issues.push('Loan not found');
+        } else if (!(await canAccessCustomer(user, loan.customer))) {
+            issues.push('Not authorized to record payments for this loan');
+        } else if (loan.status === 'closed') {
+            issues.push('Loan is closed');
+        }
+
+        if (values.collector) {
+            if (!collectors.has(values.collector)) {
+                collectors.set(values.collector, await findCollector(values.collector, session));
+            }
+            const collector = collectors.get(values.collector);
+            if (!collector || collector.status !== 'active') {
+                issues.push(`Collector ${values.collector} is not an active user`);
+            } else {
+                values.receivedBy = collector._id;
+            }
+        }
+
+        // The same reference on the same loan means the row was already entered
+        if (loan && values.reference) {
+            const key = `${values.loanId}:${values.reference}`;
+            if (references.has(key)) {
+                issues.push(`Reference ${values.reference} appears more than once for this loan`);
+            } else if (await Payment.exists({
+                loan: loan._id,
+                transactionReference: values.reference,
+                status: { $in: ['completed', 'pending'] }
+            }).session(session)) {
+                issues.push(`A payment with reference ${values.reference} already exists for this loan`);
+            }
+            references.add(key);
+        }
+
+        if (issues.length > 0) continue;
+
+        const posting = {
+            loan,
+            amount: values.amount,
+            paymentDate: values.date,
+            paymentMethod: values.method,
+            transactionReference: values.reference,
+            notes: importBatch ? `Imported in batch ${importBatch.batchId}` : undefined,
+            receivedBy: values.receivedBy,
+            importBatch: importBatch && importBatch._id,
+            user,
+            session
+        };
+
+        try {
+            entry.payment = clearingMethods.includes(values.method)
+                ? await recordPendingPayment(posting)
+                : await postPayment(posting);
+            entry.loanStatus = loan.status;
+        } catch (error) {
+            if (!error.status) throw error;
+            issues.push(error.message);
+            // Re-read the loan for its next row; the failed posting may have changed it in memory
+            loans.delete(values.loanId);
+        }
+    }
+
+    return checked;
+};
+
+/**
+ * Shape a processed row for the response
+ */
+const toRowResult = ({ row, input, values, issues, payment, loanStatus }, dryRun) => {
+    const result = {
+        row,
+        loanId: values.loanId,
+        amount: values.amount,
+        date: values.date,
+        method: values.method,
+        reference: values.reference,
+        collector: values.collector,
+        valid: issues.length === 0,
+        issues
+    };
+
+    if (issues.length > 0) {
+        return { ...result, input };
+    }
+
+    // A dry run's payment IDs are discarded with the rest of its writes
+    const paymentId = dryRun ? undefined : payment.paymentId;
+
+    if (payment.status === 'pending') {
+        return { ...result, outcome: 'pending', paymentId };
+    }
+
+    return {
+        ...result,
+        outcome: 'posted',
+        paymentId,
+        allocation: {
+            allocationPolicy: payment.allocationPolicy,
+            feesPaid: payment.feesPaid,
+            penaltyPaid: payment.penaltyPaid,
+            interestPaid: payment.interestPaid,
+            principalPaid: payment.principalPaid,
+            excessAmount: payment.excessAmount,
+            outstandingPrincipalAfter: payment.outstandingPrincipalAfter,
+            outstandingInterestAfter: payment.outstandingInterestAfter,
+            loanStatus
+        }
+    };
+};
+
+/**
+ * Summarise processed rows
+ */
+const summarise = (results) => {
+    const accepted = results.filter(result => result.valid);
+
+    return {
+        rowCount: results.length,
+        importedCount: accepted.filter(result => result.outcome === 'posted').length,
+        pendingCount: accepted.filter(result => result.outcome === 'pending').length,
+        skippedCount: results.length - accepted.length,
+        totalAmount: roundCurrency(accepted.reduce((sum, result) => sum + result.amount, 0))
+    };
+};
+
+/**
+ * Import collection sheet rows
+ * With `dryRun` nothing is kept and the per-row results are returned as a
+ * preview. Otherwise the valid rows are committed as a new ImportBatch.
+ */
+const importPayments = async ({ rows, source, dryRun = false, user }) => {
+    if (rows.length === 0) {
+        throw httpError(400, 'The import contains no rows');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw httpError(400, `An import can contain at most ${MAX_IMPORT_ROWS} rows; split the sheet into several imports`);
+    }
+
+    try {
+        return await withTransaction(async (session) => {
+            const batch = dryRun ? null : new ImportBatch({
+                batchId: await nextImportBatchId(session),
+                source,
+                importedBy: user._id
+            });
+
+            const processed = await processRows({ rows, importBatch: batch, user, session });
+            const results = processed.map(entry => toRowResult(entry, dryRun));
+            const summary = summarise(results);
+
+            // Abort the transaction so none of the preview's writes are kept
+            if (dryRun) {
+                const rollback = new Error('Dry run');
+                rollback.preview = { dryRun: true, ...summary, rows: results };
+                throw rollback;
+            }
+
+            if (summary.importedCount + summary.pendingCount === 0) {
+                const error = httpError(400, 'No valid rows to import');
+                error.rows = results;
+                throw error;
+            }
+
+            batch.set({
+                ...summary,
+                rows: processed.map(({ row, values, issues, payment }) => ({
+                    row,
+                    loanId: values.loanId,
+                    amount: values.amount,
+                    status: issues.length > 0 ? 'skipped' : (payment.status === 'pending' ? 'pending' : 'imported'),
+                    payment: payment && payment._id,
+                    paymentId: payment && payment.paymentId,
+                    issues
+                })),
+                payments: processed.filter(entry => entry.payment).map(entry => entry.payment._id)
+            });
+            await batch.save({ session });
+
+            return { dryRun: false, batchId: batch.batchId, ...summary, rows: results };
+        });
+    } catch (error) {
+        if (error.preview) return error.preview;
+        throw error;
+    }
+};
+
+/**
+ * Reverse every payment of an import batch in one transaction
+ * Payments already reversed or bounced individually are left as they are.
+ */
+const rollbackImportBatch = ({ batchId, reason, user }) => withTransaction(async (session) => {
+    const batch = await ImportBatch.findOne({ batchId }).session(session);
+
+    if (!batch) {
+        throw httpError(404, 'Import batch not found');
+    }
+    if (batch.status === 'rolled-back') {
+        throw httpError(409, 'Import batch has already been rolled back');
+    }
+
+    // Latest first, so each loan unwinds in the reverse of the order it was posted
+    const payments = await Payment.find({
+        importBatch: batch._id,
+        status: { $in: ['completed', 'pending'] }
+    }).sort({ paymentDate: -1, createdAt: -1 }).session(session);
+
+    const loans = new Map();
+    for (const payment of payments) {
+        const key = String(payment.loan);
+        if (!loans.has(key)) {
+            loans.set(key, await Loan.findById(payment.loan).session(session));
+        }
+        const loan = loans.get(key);
+
+        if (payment.status === 'completed' && loan) {
+            if (loan.status === 'written-off' && payment.type !== 'recovery') {
+                throw httpError(409, `Payment ${payment.paymentId} was made before loan ${loan.loanId} was written off and cannot be rolled back`);
+            }
+            const lastRestructure = loan.termVersions[loan.termVersions.length - 1];
+            if (lastRestructure && payment.paymentDate < lastRestructure.effectiveDate) {
+                throw httpError(409, `Payment ${payment.paymentId} was made before loan ${loan.loanId} was restructured and cannot be rolled back`);
+            }
+        }
+
+        await reversePostedPayment({
+            payment,
+            loan,
+            user,
+            reason: `Import batch ${batch.batchId} rolled back: ${reason}`,
+            session
+        });
+    }
+
+    batch.status = 'rolled-back';
+    batch.rolledBackAt = new Date();
+    batch.rolledBackBy = user._id;
+    batch.rollbackReason = reason;
+    await batch.save({ session });
+
+    return { batch, reversedCount: payments.length };
+});
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    importPayments,
+    rollbackImportBatch
+};
@@ -0,0 +1,630 @@
+/**
+ * Posting and reversing payments against loans
+ *
+ * Every function takes the caller's session so the Payment, Loan, Customer,
+ * journal and audit writes commit together (see utils/transaction.js).
+ */
+const Payment = require('../models/Payment');
+const Customer = require('../models/Customer');
+const { nextPaymentId } = require('./sequences');
+const { toSnapshot, recordAudit } = require('./audit');
+const { allocateToSchedule, syncSchedule } = require('./schedule');
+const { roundCurrency } = require('./helpers');
+const { httpError } = require('./errors');
+const { adjustCredit } = require('./customerCredit');
+const { postPaymentEntry, reversePaymentEntries, repostPaymentEntries } = require('./ledger');
+const { ALLOCATION_POLICIES, resolveAllocationPolicy } = require('../config/allocation');
+
+/**
+ * Split an amount across fees, penal interest, interest and principal
+ * The order comes from the allocation policy (config/allocation.js); anything
+ * left once the loan owes nothing is returned as `excessAmount`.
+ */
+const allocatePayment = (loan, amount, paymentDate, policyOverride) => {
+    const outstanding = {
+        fees: loan.getOutstandingFees(paymentDate),
+        penalty: loan.getOutstandingPenalty(paymentDate),
+        interest: loan.getOutstandingInterest(paymentDate),
+        principal: Math.max(0, loan.outstandingPrincipal)
+    };
+
+    const allocationPolicy = resolveAllocationPolicy(loan, policyOverride);
+
+    let remainingAmount = amount;
+    const paid = {};
+    ALLOCATION_POLICIES[allocationPolicy].forEach(component => {
+        paid[component] = roundCurrency(Math.min(remainingAmount, outstanding[component]));
+        remainingAmount -= paid[component];
+    });
+
+    return {
+        allocationPolicy,
+        excessAmount: Math.max(0, roundCurrency(remainingAmount)),
+        feesPaid: paid.fees,
+        penaltyPaid: paid.penalty,
+        interestPaid: paid.interest,
+        principalPaid: paid.principal,
+        outstandingFees: outstanding.fees,
+        outstandingPenalty: outstanding.penalty,
+        outstandingInterest: outstanding.interest
+    };
+};
+
+/**
+ * Outstanding balances recorded on a payment once it is applied
+ */
+const getBalancesAfter = (loan, allocation) => ({
+    outstandingPrincipalAfter: roundCurrency(loan.outstandingPrincipal - allocation.principalPaid),
+    outstandingInterestAfter: roundCurrency(allocation.outstandingInterest - allocation.interestPaid),
+    outstandingPenaltyAfter: roundCurrency(allocation.outstandingPenalty - allocation.penaltyPaid),
+    outstandingFeesAfter: roundCurrency(allocation.outstandingFees - allocation.feesPaid)
+});
+
+/**
+ * Apply an allocated payment to the loan's running totals
+ */
+const applyToLoan = (loan, payment, { excessAmount, feesPaid, penaltyPaid, interestPaid, principalPaid }, valueDate) => {
+    // Only the amount applied to the loan counts as paid; any excess is customer credit
+    const amount = payment.amount - excessAmount;
+
+    // Keep the repayment ledger in date order for the interest engine
+    loan.repayments = [
+        ...loan.repayments.map(repayment => repayment.toObject()),
+        { payment: payment._id, date: valueDate, principal: principalPaid, interest: interestPaid }
+    ].sort((a, b) => a.date - b.date);
+
+    loan.totalAmountPaid += amount;
+    loan.totalFeesPaid += feesPaid;
+    loan.totalPenaltyPaid += penaltyPaid;
+    loan.totalInterestEarned += interestPaid;
+    loan.outstandingPrincipal -= principalPaid;
+    loan.totalPayments += 1;
+    loan.lastPaymentDate = valueDate;
+    loan.updateOutstanding(valueDate);
+};
+
+/**
+ * Save a completed payment: a new record, or a pending one (e.g. a cheque) that has cleared
+ * `origin` (receivedBy, importBatch) only applies to a new record; a cleared
+ * payment keeps its own. Returns the payment and how to describe the change in
+ * the audit trail.
+ */
+const saveCompletedPayment = async ({ pending, loan, fields, origin = {}, user, session }) => {
+    if (pending) {
+        const before = toSnapshot(pending);
+        pending.set({
+            ...fields,
+            status: 'completed',
+            clearedAt: new Date(),
+            clearedBy: user._id
+        });
+        await pending.save({ session });
+        return { payment: pending, audit: { action: 'update', before, reason: 'Payment cleared' } };
+    }
+
+    const [payment] = await Payment.create([{
+        paymentId: await nextPaymentId(session),
+        loan: loan._id,
+        loanId: loan.loanId,
+        customer: loan.customer,
+        customerId: loan.customerId,
+        ...fields,
+        receivedBy: origin.receivedBy || user._id,
+        importBatch: origin.importBatch
+    }], { session });
+    return { payment, audit: { action: 'create' } };
+};
+
+/**
+ * Record money collected on a written-off loan as recovery income
+ * The written-off balances stay frozen; only the amount recovered grows.
+ */
+const postRecovery = async ({ loan, payment: pending, amount, paymentDate, paymentMethod, transactionReference, notes, receivedBy, importBatch, user, session }) => {
+    const valueDate = paymentDate ? new Date(paymentDate) : new Date();
+    const loanBefore = toSnapshot(loan);
+
+    const unrecovered = loan.getUnrecoveredWriteOff();
+    if (amount > unrecovered + 0.01) {
+        throw httpError(400, `Recovery exceeds the unrecovered written-off balance of ${unrecovered}`);
+    }
+
+    const { payment, audit } = await saveCompletedPayment({
+        pending,
+        loan,
+        fields: {
+            type: 'recovery',
+            amount,
+            paymentDate: valueDate,
+            paymentMethod,
+            transactionReference,
+            notes
+        },
+        origin: { receivedBy, importBatch },
+        user,
+        session
+    });
+
+    loan.writeOff.amountRecovered = roundCurrency(loan.writeOff.amountRecovered + amount);
+    loan.totalAmountPaid += amount;
+    loan.totalPayments += 1;
+    loan.lastPaymentDate = valueDate;
+    loan.updateOutstanding(valueDate);
+    await loan.save({ session });
+    await postPaymentEntry({ payment, user, session });
+
+    const customer = await Customer.findById(loan.customer).session(session);
+    if (customer) {
+        customer.totalAmountRepaid += amount;
+        if (paymentMethod === 'credit') {
+            adjustCredit(customer, { type: 'applied', amount: -amount, payment: payment._id, loan: loan._id, user });
+        }
+        await customer.save({ session });
+    }
+
+    await recordAudit({
+        user,
+        action: audit.action,
+        entityType: 'Payment',
+        before: audit.before,
+        after: payment,
+        reason: audit.reason,
+        session
+    });
+    await recordAudit({
+        user,
+        action: 'update',
+        entityType: 'Loan',
+        before: loanBefore,
+        after: loan,
+        reason: `Recovery after write-off ${payment.paymentId}`,
+        session
+    });
+
+    return payment;
+};
+
+/**
+ * Record a payment and apply it to the loan and customer
+ * `loan` must have been loaded with the same session. Pass a pending `payment`
+ * to post it once its funds have cleared. Payments on written-off loans are
+ * recorded as recoveries.
+ */
+const postPayment = async (params) => {
+    if (params.loan.status === 'written-off') {
+        return postRecovery(params);
+    }
+
+    const {
+        loan,
+        payment: pending,
+        amount,
+        paymentDate,
+        paymentMethod,
+        transactionReference,
+        notes,
+        allocationPolicy,
+        receivedBy,
+        importBatch,
+        user,
+        session
+    } = params;
+    const valueDate = paymentDate ? new Date(paymentDate) : new Date();
+    const loanBefore = toSnapshot(loan);
+    const customer = await Customer.findById(loan.customer).session(session);
+
+    if (paymentMethod === 'credit' && (!customer || customer.creditBalance < amount - 0.01)) {
+        throw httpError(400, `Customer credit balance is only ${customer ? customer.creditBalance : 0}`);
+    }
+
+    // Charge late fees for installments missed before this payment
+    await syncSchedule(loan, session);
+    loan.assessLateFees(valueDate);
+
+    const allocation = allocatePayment(loan, amount, valueDate, allocationPolicy);
+
+    const { payment, audit } = await saveCompletedPayment({
+        pending,
+        loan,
+        fields: {
+            amount,
+            principalPaid: allocation.principalPaid,
+            interestPaid: allocation.interestPaid,
+            penaltyPaid: allocation.penaltyPaid,
+            feesPaid: allocation.feesPaid,
+            excessAmount: allocation.excessAmount,
+            allocationPolicy,
+            paymentDate: valueDate,
+            paymentMethod,
+            transactionReference,
+            notes,
+            ...getBalancesAfter(loan, allocation)
+        },
+        origin: { receivedBy, importBatch },
+        user,
+        session
+    });
+
+    // Update loan
+    applyToLoan(loan, payment, allocation, valueDate);
+
+    // Check if loan is fully paid
+    const settled = loan.isSettled();
+    if (settled) {
+        loan.status = 'closed';
+        loan.closedDate = valueDate;
+    }
+
+    await syncSchedule(loan, session);
+    await loan.save({ session });
+    await postPaymentEntry({ payment, user, session });
+
+    // Update customer statistics
+    if (customer) {
+        customer.totalAmountRepaid += amount - allocation.excessAmount;
+        if (settled) {
+            customer.activeLoans = Math.max(0, customer.activeLoans - 1);
+        }
+        if (paymentMethod === 'credit') {
+            adjustCredit(customer, { type: 'applied', amount: -amount, payment: payment._id, loan: loan._id, user });
+        }
+        if (allocation.excessAmount > 0) {
+            adjustCredit(customer, { type: 'excess', amount: allocation.excessAmount, payment: payment._id, loan: loan._id, user });
+        }
+        await customer.save({ session });
+    }
+
+    await recordAudit({
+        user,
+        action: audit.action,
+        entityType: 'Payment',
+        before: audit.before,
+        after: payment,
+        reason: audit.reason,
+        session
+    });
+    await recordAudit({
+        user,
+        action: settled ? 'close' : 'update',
+        entityType: 'Loan',
+        before: loanBefore,
+        after: loan,
+        reason: `Payment ${payment.paymentId}`,
+        session
+    });
+
+    return payment;
+};
+
+/**
+ * Record a payment whose funds have not cleared yet (a cheque or bank transfer)
+ * Nothing is applied to the loan or customer until the payment is cleared.
+ */
+const recordPendingPayment = async ({ loan, amount, paymentDate, paymentMethod, transactionReference, notes, allocationPolicy, receivedBy, importBatch, user, session }) => {
+    const receivedDate = paymentDate ? new Date(paymentDate) : new Date();
+
+    const [payment] = await Payment.create([{
+        paymentId: await nextPaymentId(session),
+        loan: loan._id,
+        loanId: loan.loanId,
+        customer: loan.customer,
+        customerId: loan.customerId,
+        type: loan.status === 'written-off' ? 'recovery' : 'repayment',
+        amount,
+        paymentDate: receivedDate,
+        receivedDate,
+        paymentMethod,
+        transactionReference,
+        notes,
+        allocationPolicy,
+        status: 'pending',
+        receivedBy: receivedBy || user._id,
+        importBatch
+    }], { session });
+
+    await recordAudit({
+        user,
+        action: 'create',
+        entityType: 'Payment',
+        after: payment,
+        reason: 'Awaiting clearance',
+        session
+    });
+
+    return payment;
+};
+
+/**
+ * Post a pending payment now that its funds have cleared
+ * The payment takes effect on the clearing date.
+ */
+const clearPendingPayment = async ({ payment, loan, clearedDate = new Date(), user, session }) => {
+    if (loan.status === 'closed') {
+        throw httpError(400, 'Loan was closed while the payment was pending; bounce it and return the funds');
+    }
+    if (clearedDate < payment.receivedDate) {
+        throw httpError(400, 'Clearing date cannot be before the payment was received');
+    }
+    if (loan.lastPaymentDate && clearedDate < loan.lastPaymentDate) {
+        throw httpError(400, `Clearing date cannot be before the loan's last payment on ${loan.lastPaymentDate.toISOString().slice(0, 10)}`);
+    }
+
+    return postPayment({
+        loan,
+        payment,
+        amount: payment.amount,
+        paymentDate: clearedDate,
+        paymentMethod: payment.paymentMethod,
+        transactionReference: payment.transactionReference,
+        notes: payment.notes,
+        allocationPolicy: payment.allocationPolicy,
+        user,
+        session
+    });
+};
+
+/**
+ * Discard a pending payment whose funds did not clear, optionally charging the loan for it
+ */
+const bouncePendingPayment = async ({ payment, loan, reason, bounceCharge = 0, user, session }) => {
+    const paymentBefore = toSnapshot(payment);
+    const bouncedAt = new Date();
+
+    payment.status = 'failed';
+    payment.bouncedAt = bouncedAt;
+    payment.bouncedBy = user._id;
+    payment.bounceReason = reason;
+    payment.bounceCharge = bounceCharge;
+    await payment.save({ session });
+
+    await recordAudit({
+        user,
+        action: 'update',
+        entityType: 'Payment',
+        before: paymentBefore,
+        after: payment,
+        reason: `Payment bounced: ${reason}`,
+        session
+    });
+
+    if (loan && bounceCharge > 0) {
+        const loanBefore = toSnapshot(loan);
+
+        loan.charges.push({
+            type: 'bounce',
+            amount: bounceCharge,
+            date: bouncedAt,
+            description: `Bounce charge for ${payment.paymentId}`
+        });
+        loan.updateOutstanding(bouncedAt);
+
+        // A bounce charge reopens a loan that was otherwise settled
+        if (loan.status === 'closed') {
+            loan.status = 'active';
+            loan.closedDate = null;
+            await Customer.updateOne({ _id: loan.customer }, { $inc: { activeLoans: 1 } }, { session });
+        }
+        await loan.save({ session });
+
+        await recordAudit({
+            user,
+            action: 'update',
+            entityType: 'Loan',
+            before: loanBefore,
+            after: loan,
+            reason: `Bounce charge for ${payment.paymentId}`,
+            session
+        });
+    }
+
+    return payment;
+};
+
+/**
+ * Undo a completed payment's effect on its loan and customer, keeping the record
+ * The payment is marked reversed so it stays visible in history and statistics.
+ * A pending payment is simply withdrawn, as nothing was applied yet.
+ */
+const reversePostedPayment = async ({ payment, loan, user, reason, session }) => {
+    const customer = await Customer.findById(payment.customer).session(session);
+    const paymentBefore = toSnapshot(payment);
+    const wasPending = payment.status === 'pending';
+
+    payment.status = 'reversed';
+    payment.reversedAt = new Date();
+    payment.reversedBy = user._id;
+    payment.reversalReason = reason;
+    await payment.save({ session });
+
+    await recordAudit({
+        user,
+        action: 'reverse',
+        entityType: 'Payment',
+        before: paymentBefore,
+        after: payment,
+        reason,
+        session
+    });
+
+    // A pending payment never reached the loan, customer or ledger
+    if (wasPending) {
+        return payment;
+    }
+
+    await reversePaymentEntries({ payment, reason, user, session });
+
+    if (loan && payment.type === 'recovery') {
+        const loanBefore = toSnapshot(loan);
+
+        loan.writeOff.amountRecovered = Math.max(0, roundCurrency(loan.writeOff.amountRecovered - payment.amount));
+        loan.totalAmountPaid -= payment.amount;
+        loan.totalPayments = Math.max(0, loan.totalPayments - 1);
+        loan.updateOutstanding();
+
+        const lastPayment = await Payment.findOne({ loan: loan._id, status: 'completed' })
+            .sort({ paymentDate: -1 })
+            .session(session);
+        loan.lastPaymentDate = lastPayment ? lastPayment.paymentDate : undefined;
+        await loan.save({ session });
+
+        await recordAudit({
+            user,
+            action: 'update',
+            entityType: 'Loan',
+            before: loanBefore,
+            after: loan,
+            reason: `Recovery ${payment.paymentId} reversed: ${reason}`,
+            session
+        });
+    } else if (loan) {
+        const loanBefore = toSnapshot(loan);
+        const wasClosed = loan.status === 'closed';
+
+        loan.repayments = loan.repayments.filter(repayment => !payment._id.equals(repayment.payment));
+        loan.totalAmountPaid -= payment.amount - payment.excessAmount;
+        loan.totalFeesPaid -= payment.feesPaid;
+        loan.totalPenaltyPaid -= payment.penaltyPaid;
+        loan.totalInterestEarned -= payment.interestPaid;
+        loan.outstandingPrincipal += payment.principalPaid;
+        loan.totalPayments = Math.max(0, loan.totalPayments - 1);
+        loan.updateOutstanding();
+
+        const lastPayment = await Payment.findOne({ loan: loan._id, status: 'completed' })
+            .sort({ paymentDate: -1 })
+            .session(session);
+        loan.lastPaymentDate = lastPayment ? lastPayment.paymentDate : undefined;
+
+        // Reopen the loan if this payment had settled it
+        if (wasClosed && !loan.isSettled()) {
+            loan.status = 'active';
+            loan.closedDate = null;
+
+            if (customer) {
+                customer.activeLoans += 1;
+            }
+        }
+
+        await syncSchedule(loan, session);
+        await loan.save({ session });
+
+        await recordAudit({
+            user,
+            action: 'update',
+            entityType: 'Loan',
+            before: loanBefore,
+            after: loan,
+            reason: `Payment ${payment.paymentId} reversed: ${reason}`,
+            session
+        });
+    }
+
+    if (customer) {
+        customer.totalAmountRepaid = Math.max(0, customer.totalAmountRepaid - (payment.amount - payment.excessAmount));
+
+        // Undo the payment's effect on the customer's credit
+        const reversal = { type: 'reversal', payment: payment._id, loan: payment.loan, notes: reason, user };
+        if (payment.excessAmount > 0) {
+            adjustCredit(customer, { ...reversal, amount: -payment.excessAmount });
+        }
+        if (payment.paymentMethod === 'credit') {
+            adjustCredit(customer, { ...reversal, amount: payment.amount });
+        }
+        await customer.save({ session });
+    }
+
+    return payment;
+};
+
+/**
+ * Rebuild a loan's balances by re-allocating its completed payments in date order
+ * Used after the loan's terms change. Late fees are charged again against the
+ * new schedule, as each payment would have found it. Payments whose split
+ * changes are updated, audited and reposted to the ledger, and changes in their
+ * excess are settled against the customer's credit. Returns the payments that changed.
+ */
+const replayPayments = async ({ loan, customer, user, reason, session }) => {
+    const payments = await Payment.find({ loan: loan._id, status: 'completed', type: { $ne: 'recovery' } })
+        .sort({ paymentDate: 1, createdAt: 1 })
+        .session(session);
+
+    loan.outstandingPrincipal = loan.principalAmount;
+    loan.totalInterestEarned = 0;
+    loan.totalPenaltyPaid = 0;
+    loan.totalFeesPaid = 0;
+    loan.totalAmountPaid = 0;
+    loan.totalPayments = 0;
+    loan.lastPaymentDate = undefined;
+    loan.repayments = [];
+    loan.charges = loan.charges.filter(charge => charge.type !== 'late-fee');
+
+    const changed = [];
+    const replayed = [];
+    for (const payment of payments) {
+        const before = toSnapshot(payment);
+
+        // Charge late fees for installments missed before this payment
+        allocateToSchedule(loan.schedule, replayed, payment.paymentDate);
+        loan.assessLateFees(payment.paymentDate);
+
+        const allocation = allocatePayment(loan, payment.amount, payment.paymentDate, payment.allocationPolicy);
+
+        const excessChange = roundCurrency(allocation.excessAmount - payment.excessAmount);
+        if (excessChange !== 0 && customer) {
+            customer.totalAmountRepaid -= excessChange;
+            adjustCredit(customer, {
+                type: excessChange > 0 ? 'excess' : 'reversal',
+                amount: excessChange,
+                payment: payment._id,
+                loan: loan._id,
+                notes: reason,
+                user
+            });
+        }
+
+        payment.set({
+            principalPaid: allocation.principalPaid,
+            interestPaid: allocation.interestPaid,
+            penaltyPaid: allocation.penaltyPaid,
+            feesPaid: allocation.feesPaid,
+            excessAmount: allocation.excessAmount,
+            ...getBalancesAfter(loan, allocation)
+        });
+
+        applyToLoan(loan, payment, allocation, payment.paymentDate);
+        replayed.push(payment);
+
+        const splitChanged = ['principalPaid', 'interestPaid', 'penaltyPaid', 'feesPaid', 'excessAmount']
+            .some(field => payment.isModified(field));
+
+        if (payment.isModified()) {
+            await payment.save({ session });
+            if (splitChanged) {
+                await repostPaymentEntries({ payment, reason, user, session });
+            }
+            await recordAudit({
+                user,
+                action: 'update',
+                entityType: 'Payment',
+                before,
+                after: payment,
+                reason,
+                session
+            });
+            changed.push(payment);
+        }
+    }
+
+    loan.updateOutstanding();
+    await syncSchedule(loan, session);
+    return changed;
+};
+
+module.exports = {
+    allocatePayment,
+    postPayment,
+    postRecovery,
+    recordPendingPayment,
+    clearPendingPayment,
+    bouncePendingPayment,
+    reversePostedPayment,
+    replayPayments
+};
@@ -0,0 +1,130 @@
+/**
+ * Payoff quotes: what a borrower must hand over to close a loan on a date
+ *
+ * A quote is valued on its as-of date and can be redeemed by one payment of
+ * exactly its total until the end of that day, provided nothing has been paid
+ * or disbursed on the loan since it was issued.
+ */
+const PayoffQuote = require('../models/PayoffQuote');
+const { syncSchedule } = require('./schedule');
+const { nextPayoffQuoteId } = require('./sequences');
+const { postPayment } = require('./paymentPosting');
+const { roundCurrency } = require('./helpers');
+const { httpError } = require('./errors');
+
+/**
+ * Itemised amount needed to settle a loan on a date
+ * Late fees for installments missed by then are charged on the in-memory loan.
+ */
+const calculatePayoff = async (loan, asOfDate, session) => {
+    await syncSchedule(loan, session, asOfDate);
+    loan.assessLateFees(asOfDate);
+
+    const breakdown = {
+        principal: roundCurrency(Math.max(0, loan.outstandingPrincipal)),
+        interest: loan.getOutstandingInterest(asOfDate),
+        penalty: loan.getOutstandingPenalty(asOfDate),
+        fees: loan.getOutstandingFees(asOfDate),
+        prepaymentCharge: loan.getPrepaymentCharge(asOfDate)
+    };
+
+    return {
+        ...breakdown,
+        total: roundCurrency(Object.values(breakdown).reduce((sum, amount) => sum + amount, 0))
+    };
+};
+
+/**
+ * Compute and store a payoff quote for a loan
+ */
+const createPayoffQuote = async ({ loan, asOfDate, user, session }) => {
+    const payoff = await calculatePayoff(loan, asOfDate, session);
+
+    const validUntil = new Date(asOfDate);
+    validUntil.setHours(23, 59, 59, 999);
+
+    const [quote] = await PayoffQuote.create([{
+        quoteId: await nextPayoffQuoteId(session),
+        loan: loan._id,
+        loanId: loan.loanId,
+        customer: loan.customer,
+        customerId: loan.customerId,
+        asOfDate,
+        validUntil,
+        ...payoff,
+        basis: {
+            totalPayments: loan.totalPayments,
+            principalAmount: loan.principalAmount
+        },
+        createdBy: user._id
+    }], { session });
+
+    return quote;
+};
+
+/**
+ * Settle a loan with one payment against a payoff quote
+ * `loan` must be the quote's loan, loaded with the same session.
+ */
+const redeemPayoffQuote = async ({ quoteId, loan, amount, paymentMethod, transactionReference, notes, user, session }) => {
+    const quote = await PayoffQuote.findOne({ quoteId }).session(session);
+
+    if (!quote || !quote.loan.equals(loan._id)) {
+        throw httpError(404, 'Payoff quote not found for this loan');
+    }
+    if (quote.status !== 'open') {
+        throw httpError(409, 'Payoff quote has already been used');
+    }
+
+    const now = new Date();
+    if (now > quote.validUntil) {
+        throw httpError(409, 'Payoff quote has expired; request a new one');
+    }
+    if (now < quote.asOfDate) {
+        throw httpError(400, `Payoff quote is for ${quote.asOfDate.toISOString().slice(0, 10)} and cannot be used before then`);
+    }
+    if (loan.totalPayments !== quote.basis.totalPayments || loan.principalAmount !== quote.basis.principalAmount) {
+        throw httpError(409, 'Loan has changed since the quote was issued; request a new one');
+    }
+    if (amount !== undefined && Math.abs(amount - quote.total) > 0.01) {
+        throw httpError(400, `Payoff quote requires a payment of exactly ${quote.total}`);
+    }
+
+    // The prepayment charge is collected like any other fee
+    if (quote.prepaymentCharge > 0) {
+        loan.charges.push({
+            type: 'prepayment',
+            amount: quote.prepaymentCharge,
+            date: quote.asOfDate,
+            description: `Prepayment charge (quote ${quote.quoteId})`
+        });
+    }
+
+    const payment = await postPayment({
+        loan,
+        amount: quote.total,
+        paymentDate: quote.asOfDate,
+        paymentMethod,
+        transactionReference,
+        notes: notes || `Payoff quote ${quote.quoteId}`,
+        user,
+        session
+    });
+
+    if (loan.status !== 'closed') {
+        throw httpError(409, 'Payoff quote no longer settles the loan; request a new one');
+    }
+
+    quote.status = 'used';
+    quote.payment = payment._id;
+    quote.usedAt = now;
+    await quote.save({ session });
+
+    return payment;
+};
+
+module.exports = {
+    calculatePayoff,
+    createPayoffQuote,
+    redeemPayoffQuote
+};
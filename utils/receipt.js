@@ -0,0 +1,218 @@
+/**
+ * Printable payment receipts, as PDF or HTML
+ *
+ * Both formats are built from the same receipt content and need nothing beyond
+ * this server: the PDF uses the fonts bundled with pdfkit (or RECEIPT_FONT_PATH)
+ * and the HTML page carries its own styles.
+ */
+const PDFDocument = require('pdfkit');
+const { formatCurrency, formatDate } = require('./helpers');
+const { getReceiptHeader, getReceiptFontPath } = require('../config/receipt');
+
+const METHOD_LABELS = {
+    cash: 'Cash',
+    bank_transfer: 'Bank transfer',
+    upi: 'UPI',
+    cheque: 'Cheque',
+    credit: 'Customer credit',
+    other: 'Other'
+};
+
+/**
+ * Receipt content for a payment populated with its customer and receivedBy
+ * `rupeeSign: false` writes amounts as "Rs. 1,000.00" for fonts without the ₹ glyph.
+ */
+const buildReceipt = (payment, { rupeeSign = true } = {}) => {
+    const money = (amount) => {
+        const formatted = formatCurrency(amount || 0);
+        return rupeeSign ? formatted : formatted.replace('₹', 'Rs. ');
+    };
+
+    const customer = payment.customer || {};
+    const amountRows = [
+        ['Principal', money(payment.principalPaid)],
+        ['Interest', money(payment.interestPaid)]
+    ];
+    if (payment.penaltyPaid > 0) amountRows.push(['Penal interest', money(payment.penaltyPaid)]);
+    if (payment.feesPaid > 0) amountRows.push(['Fees', money(payment.feesPaid)]);
+    if (payment.excessAmount > 0) amountRows.push(['Credited to customer', money(payment.excessAmount)]);
+
+    const notices = {
+        pending: 'Provisional: this payment is awaiting clearance.',
+        failed: `This payment bounced${payment.bounceReason ? `: ${payment.bounceReason}` : ''}.`,
+        reversed: `This payment was reversed${payment.reversedAt ? ` on ${formatDate(payment.reversedAt)}` : ''}${payment.reversalReason ? `: ${payment.reversalReason}` : ''}.`
+    };
+
+    const sections = [
+        {
+            heading: 'Payment',
+            rows: [
+                ['Receipt no.', payment.paymentId],
+                ['Date', formatDate(payment.paymentDate)],
+                ['Loan', payment.loanId],
+                ['Customer', customer.name ? `${customer.name} (${payment.customerId})` : payment.customerId],
+                ['Method', METHOD_LABELS[payment.paymentMethod] || payment.paymentMethod],
+                ['Reference', payment.transactionReference || '-'],
+                ['Received by', (payment.receivedBy && payment.receivedBy.name) || '-']
+            ]
+        },
+        {
+            heading: payment.type === 'recovery' ? 'Recovery on written-off loan' : 'Amount',
+            // A payment is only split across the loan once it has been posted
+            rows: payment.type === 'recovery' || payment.status === 'pending' ? [] : amountRows,
+            total: ['Total received', money(payment.amount)]
+        }
+    ];
+
+    if (payment.type !== 'recovery' && payment.status === 'completed') {
+        sections.push({
+            heading: 'Balance after this payment',
+            rows: [
+                ['Principal outstanding', money(payment.outstandingPrincipalAfter)],
+                ['Interest outstanding', money(payment.outstandingInterestAfter)]
+            ]
+        });
+    }
+
+    return {
+        header: getReceiptHeader(),
+        title: 'Payment Receipt',
+        notice: notices[payment.status],
+        sections,
+        footer: `Computer-generated receipt, printed ${formatDate(new Date())}`
+    };
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+}[char]));
+
+/**
+ * Receipt as a self-contained HTML page
+ */
+const renderReceiptHtml = (payment) => {
+    const receipt = buildReceipt(payment);
+
+    const row = ([label, value], className) => `<tr${className ? ` class="${className}"` : ''}><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+    const sections = receipt.sections.map(section => `
+    <h2>${escapeHtml(section.heading)}</h2>
+    <table>
+      ${section.rows.map(entry => row(entry)).join('\n      ')}
+      ${section.total ? row(section.total, 'total') : ''}
+    </table>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(receipt.title)} ${escapeHtml(payment.paymentId)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 520px; margin: 24px auto; padding: 0 16px; }
+    header { border-bottom: 2px solid #222; padding-bottom: 8px; margin-bottom: 16px; }
+    header h1 { font-size: 20px; margin: 0; }
+    header p { font-size: 12px; margin: 4px 0 0; white-space: pre-line; }
+    h2 { font-size: 14px; margin: 20px 0 6px; text-transform: uppercase; letter-spacing: 0.04em; }
+    .title { font-size: 16px; font-weight: bold; margin: 0; }
+    .notice { border: 1px solid #b00; color: #b00; padding: 6px 10px; margin: 12px 0; font-weight: bold; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th { text-align: left; font-weight: normal; color: #555; padding: 4px 0; }
+    td { text-align: right; padding: 4px 0; }
+    tr.total th, tr.total td { font-weight: bold; color: #222; border-top: 1px solid #222; }
+    footer { margin-top: 24px; font-size: 11px; color: #777; text-align: center; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(receipt.header.name)}</h1>
+    ${receipt.header.address ? `<p>${escapeHtml(receipt.header.address)}</p>` : ''}
+  </header>
+  <p class="title">${escapeHtml(receipt.title)}</p>
+  ${receipt.notice ? `<p class="notice">${escapeHtml(receipt.notice)}</p>` : ''}
+  ${sections}
+  <footer>${escapeHtml(receipt.footer)}</footer>
+</body>
+</html>
+`;
+};
+
+/**
+ * Write the receipt as a PDF to a stream (e.g. the response) and end it
+ */
+const renderReceiptPdf = (payment, stream) => {
+    const fontPath = getReceiptFontPath();
+    const receipt = buildReceipt(payment, { rupeeSign: Boolean(fontPath) });
+
+    const doc = new PDFDocument({
+        size: 'A5',
+        margin: 36,
+        info: { Title: `${receipt.title} ${payment.paymentId}` }
+    });
+    doc.pipe(stream);
+
+    let regular = 'Helvetica';
+    let bold = 'Helvetica-Bold';
+    if (fontPath) {
+        doc.registerFont('Receipt', fontPath);
+        regular = 'Receipt';
+        bold = 'Receipt';
+    }
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    const rule = (thickness) => {
+        doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(thickness).stroke();
+    };
+
+    const line = ([label, value], font = regular) => {
+        const y = doc.y;
+        doc.font(font).fontSize(10).fillColor(font === bold ? '#222222' : '#555555').text(label, left, y, { width: width / 2 });
+        doc.font(font).fillColor('#222222').text(value, left + width / 2, y, { width: width / 2, align: 'right' });
+        doc.moveDown(0.35);
+    };
+
+    doc.font(bold).fontSize(16).fillColor('#222222').text(receipt.header.name);
+    if (receipt.header.address) {
+        doc.font(regular).fontSize(9).text(receipt.header.address);
+    }
+    doc.moveDown(0.4);
+    rule(1.5);
+    doc.moveDown(0.6);
+
+    doc.font(bold).fontSize(13).text(receipt.title);
+
+    if (receipt.notice) {
+        doc.moveDown(0.4);
+        doc.font(bold).fontSize(10).fillColor('#bb0000').text(receipt.notice);
+        doc.fillColor('#222222');
+    }
+
+    receipt.sections.forEach(section => {
+        doc.moveDown(0.9);
+        doc.font(bold).fontSize(10).fillColor('#222222').text(section.heading.toUpperCase(), left);
+        doc.moveDown(0.3);
+
+        section.rows.forEach(entry => line(entry));
+        if (section.total) {
+            rule(0.75);
+            doc.moveDown(0.3);
+            line(section.total, bold);
+        }
+    });
+
+    doc.moveDown(1.5);
+    doc.font(regular).fontSize(8).fillColor('#777777').text(receipt.footer, left, doc.y, { width, align: 'center' });
+
+    doc.end();
+};
+
+module.exports = {
+    buildReceipt,
+    renderReceiptHtml,
+    renderReceiptPdf
+};
@@ -0,0 +1,453 @@
+/**
+ * Bank and UPI statement reconciliation
+ *
+ * An uploaded statement's credit lines are matched to recorded payments that
+ * went through the bank (everything but cash and customer credit): first by
+ * transaction reference and amount, then by amount within a date window
+ * (RECONCILIATION_DATE_WINDOW_DAYS). A match is only made when it is
+ * unambiguous; otherwise the candidates are kept on the line for a user to
+ * confirm. Lines nobody recorded can be turned into payments. A pending payment
+ * (see CLEARING_PAYMENT_METHODS) that shows up on a statement has cleared and is
+ * posted as of the statement date.
+ */
+const BankStatement = require('../models/BankStatement');
+const Payment = require('../models/Payment');
+const Loan = require('../models/Loan');
+const { canAccessCustomer } = require('./access');
+const { withTransaction } = require('./transaction');
+const { nextStatementId } = require('./sequences');
+const { toSnapshot, recordAudit } = require('./audit');
+const { postPayment, clearPendingPayment } = require('./paymentPosting');
+const { pickColumns, parseSheetDate, parseSheetAmount } = require('./csv');
+const { roundCurrency } = require('./helpers');
+const { httpError } = require('./errors');
+const { getReconciliationWindowDays } = require('../config/lending');
+
+const STATEMENT_COLUMNS = ['date', 'amount', 'reference', 'narration'];
+
+// Payment methods whose money passes through a bank or UPI account
+const RECONCILABLE_METHODS = ['bank_transfer', 'upi', 'cheque', 'other'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check and normalise the uploaded statement lines
+ * Returns the lines and any that could not be read.
+ */
+const readStatementLines = (records) => {
+    const lines = [];
+    const invalid = [];
+
+    records.forEach((record, index) => {
+        const input = pickColumns(record, STATEMENT_COLUMNS);
+        const date = parseSheetDate(input.date);
+        const amount = parseSheetAmount(input.amount);
+
+        const issues = [];
+        if (Number.isNaN(date.getTime())) issues.push('Date must be YYYY-MM-DD or DD/MM/YYYY');
+        if (!Number.isFinite(amount) || amount === 0) issues.push('Amount must be a non-zero number');
+
+        if (issues.length > 0) {
+            invalid.push({ line: index + 1, input, issues });
+            return;
+        }
+
+        lines.push({
+            line: index + 1,
+            date,
+            amount: roundCurrency(amount),
+            reference: input.reference || undefined,
+            narration: input.narration || undefined,
+            // Debits are money leaving the account, never a collection
+            ...(amount < 0 && { status: 'ignored', note: 'Debit' })
+        });
+    });
+
+    return { lines, invalid };
+};
+
+const sameAmount = (a, b) => Math.abs(a - b) < 0.01;
+
+const daysApart = (a, b) => Math.abs(a - b) / DAY_MS;
+
+/**
+ * Whether a line carries a payment's transaction reference, in its reference or narration
+ */
+const carriesReference = (line, payment) => {
+    const reference = (payment.transactionReference || '').trim().toLowerCase();
+    if (!reference) return false;
+
+    if ((line.reference || '').trim().toLowerCase() === reference) return true;
+
+    // Short references would match narrations by accident
+    return reference.length >= 6 && (line.narration || '').toLowerCase().includes(reference);
+};
+
+/**
+ * Bank-side payments not yet reconciled, dated within a statement's period and the match window
+ */
+const findUnreconciledPayments = (statement, session) => {
+    const windowMs = getReconciliationWindowDays() * DAY_MS;
+
+    const query = Payment.find({
+        status: { $in: ['completed', 'pending'] },
+        paymentMethod: { $in: RECONCILABLE_METHODS },
+        'reconciliation.statement': { $exists: false },
+        paymentDate: {
+            $gte: new Date(statement.periodFrom.getTime() - windowMs),
+            $lte: new Date(statement.periodTo.getTime() + windowMs)
+        }
+    }).sort({ paymentDate: 1 });
+
+    return session ? query.session(session) : query;
+};
+
+/**
+ * Reconcile a statement line against a payment
+ * A pending payment is cleared as of the line's date first.
+ */
+const linkPayment = async ({ statement, line, payment, matchType, matchRule, user, session }) => {
+    if (payment.status === 'pending') {
+        const loan = await Loan.findById(payment.loan).session(session);
+        if (!loan) {
+            throw httpError(404, 'Loan not found');
+        }
+        await clearPendingPayment({ payment, loan, clearedDate: line.date, user, session });
+    }
+
+    const before = toSnapshot(payment);
+    const matchedAt = new Date();
+
+    payment.reconciliation = {
+        statement: statement._id,
+        statementId: statement.statementId,
+        line: line._id,
+        reconciledAt: matchedAt,
+        reconciledBy: user._id
+    };
+    await payment.save({ session });
+
+    await recordAudit({
+        user,
+        action: 'reconcile',
+        entityType: 'Payment',
+        before,
+        after: payment,
+        reason: `Matched to ${statement.statementId} line ${line.line}`,
+        session
+    });
+
+    line.set({
+        status: 'matched',
+        payment: payment._id,
+        paymentId: payment.paymentId,
+        matchType,
+        matchRule,
+        matchedAt,
+        matchedBy: user._id,
+        candidates: [],
+        note: undefined
+    });
+};
+
+/**
+ * Match a statement's unmatched credit lines to unreconciled payments
+ * References are tried for every line before amounts, so a payment is never
+ * taken by an amount match when another line carries its reference.
+ */
+const autoMatch = async ({ statement, user, session }) => {
+    const payments = await findUnreconciledPayments(statement, session);
+    const taken = new Set();
+    const windowDays = getReconciliationWindowDays();
+    const open = () => statement.lines.filter(line => line.status === 'unmatched' && line.amount > 0);
+    let matched = 0;
+
+    const tryLink = async (line, payment, matchRule) => {
+        try {
+            await linkPayment({ statement, line, payment, matchType: 'auto', matchRule, user, session });
+            taken.add(payment.paymentId);
+            matched += 1;
+        } catch (error) {
+            if (!error.status) throw error;
+            line.note = `${payment.paymentId} could not be cleared: ${error.message}`;
+        }
+    };
+
+    for (const line of open()) {
+        line.candidates = [];
+        line.note = undefined;
+
+        const byReference = payments.filter(payment => !taken.has(payment.paymentId) && carriesReference(line, payment));
+        const exact = byReference.filter(payment => sameAmount(payment.amount, line.amount));
+
+        if (exact.length === 1) {
+            await tryLink(line, exact[0], 'reference');
+        } else if (exact.length > 1) {
+            line.candidates = exact.map(payment => payment.paymentId);
+            line.note = 'Several payments carry this reference and amount';
+        } else if (byReference.length > 0) {
+            line.note = `Reference matches ${byReference.map(payment => payment.paymentId).join(', ')} but the amount differs`;
+        }
+    }
+
+    for (const line of open()) {
+        if (line.candidates.length > 0 || line.note) continue;
+
+        const byAmount = payments
+            .filter(payment => !taken.has(payment.paymentId)
+                && sameAmount(payment.amount, line.amount)
+                && daysApart(payment.paymentDate, line.date) <= windowDays)
+            .sort((a, b) => daysApart(a.paymentDate, line.date) - daysApart(b.paymentDate, line.date));
+
+        // Take the closest payment only when nothing else is as close
+        if (byAmount.length === 1 || (byAmount.length > 1
+            && daysApart(byAmount[0].paymentDate, line.date) < daysApart(byAmount[1].paymentDate, line.date))) {
+            await tryLink(line, byAmount[0], 'amount-date');
+        } else if (byAmount.length > 1) {
+            line.candidates = byAmount.map(payment => payment.paymentId);
+            line.note = 'Several payments match the amount and date';
+        }
+    }
+
+    return matched;
+};
+
+/**
+ * Store an uploaded statement and auto-match its lines
+ */
+const uploadStatement = async ({ records, channel, account, user }) => {
+    const { lines, invalid } = readStatementLines(records);
+
+    if (invalid.length > 0) {
+        const error = httpError(400, `${invalid.length} statement lines could not be read`);
+        error.rows = invalid;
+        throw error;
+    }
+    if (lines.length === 0) {
+        throw httpError(400, 'The statement contains no lines');
+    }
+
+    return withTransaction(async (session) => {
+        const dates = lines.map(line => line.date.getTime());
+
+        const statement = new BankStatement({
+            statementId: await nextStatementId(session),
+            channel,
+            account,
+            periodFrom: new Date(Math.min(...dates)),
+            periodTo: new Date(Math.max(...dates)),
+            lines,
+            uploadedBy: user._id
+        });
+
+        await autoMatch({ statement, user, session });
+        statement.refreshStatus();
+        await statement.save({ session });
+
+        return statement;
+    });
+};
+
+/**
+ * Load a statement and one of its lines, run `work` on the line and save
+ */
+const updateLine = (statementId, lineId, work) => withTransaction(async (session) => {
+    const statement = await BankStatement.findById(statementId).session(session);
+    if (!statement) {
+        throw httpError(404, 'Statement not found');
+    }
+
+    const line = statement.lines.id(lineId);
+    if (!line) {
+        throw httpError(404, 'Statement line not found');
+    }
+
+    await work({ statement, line, session });
+    statement.refreshStatus();
+    await statement.save({ session });
+
+    return { statement, line };
+});
+
+const requireUnmatched = (line) => {
+    if (line.status !== 'unmatched') {
+        throw httpError(409, `Statement line ${line.line} is already ${line.status}`);
+    }
+    if (line.amount <= 0) {
+        throw httpError(400, 'Only credit lines can be matched to payments');
+    }
+};
+
+/**
+ * Re-run auto-matching, e.g. after missing payments have been recorded
+ */
+const rematchStatement = (statementId, user) => withTransaction(async (session) => {
+    const statement = await BankStatement.findById(statementId).session(session);
+    if (!statement) {
+        throw httpError(404, 'Statement not found');
+    }
+
+    const matched = await autoMatch({ statement, user, session });
+    statement.refreshStatus();
+    await statement.save({ session });
+
+    return { statement, matched };
+});
+
+/**
+ * Match an unmatched line to a payment chosen by a user
+ */
+const confirmLine = ({ statementId, lineId, paymentId, user }) => updateLine(statementId, lineId, async ({ statement, line, session }) => {
+    requireUnmatched(line);
+
+    const payment = await Payment.findOne({ paymentId }).session(session);
+    if (!payment) {
+        throw httpError(404, 'Payment not found');
+    }
+    if (!['completed', 'pending'].includes(payment.status)) {
+        throw httpError(400, `Payment ${payment.paymentId} is ${payment.status} and cannot be reconciled`);
+    }
+    if (payment.reconciliation && payment.reconciliation.statement) {
+        throw httpError(409, `Payment ${payment.paymentId} is already reconciled with ${payment.reconciliation.statementId}`);
+    }
+    if (!sameAmount(payment.amount, line.amount)) {
+        throw httpError(400, `Statement line amount ${line.amount} does not match payment amount ${payment.amount}`);
+    }
+
+    await linkPayment({ statement, line, payment, matchType: 'manual', user, session });
+});
+
+/**
+ * Record a payment for an unmatched line that nobody entered, and match it
+ * The money is already in the account, so the payment is posted straight away.
+ */
+const createPaymentFromLine = ({ statementId, lineId, loanId, paymentMethod, allocationPolicy, notes, user }) => updateLine(statementId, lineId, async ({ statement, line, session }) => {
+    requireUnmatched(line);
+
+    const loan = await Loan.findOne({ loanId }).session(session);
+    if (!loan) {
+        throw httpError(404, 'Loan not found');
+    }
+    if (!(await canAccessCustomer(user, loan.customer))) {
+        throw httpError(403, 'Not authorized to record payments for this loan');
+    }
+    if (loan.status === 'closed') {
+        throw httpError(400, 'Cannot add payment to a closed loan');
+    }
+
+    const payment = await postPayment({
+        loan,
+        amount: line.amount,
+        paymentDate: line.date,
+        paymentMethod: paymentMethod || (statement.channel === 'upi' ? 'upi' : 'bank_transfer'),
+        transactionReference: line.reference,
+        notes: notes || line.narration,
+        allocationPolicy,
+        user,
+        session
+    });
+
+    await linkPayment({ statement, line, payment, matchType: 'created', user, session });
+});
+
+/**
+ * Undo a line's match; the payment stays as it is (a cleared cheque stays cleared)
+ */
+const unmatchLine = ({ statementId, lineId, reason, user }) => updateLine(statementId, lineId, async ({ line, session }) => {
+    if (line.status !== 'matched') {
+        throw httpError(409, `Statement line ${line.line} is not matched`);
+    }
+
+    const payment = await Payment.findById(line.payment).session(session);
+    if (payment) {
+        const before = toSnapshot(payment);
+        payment.reconciliation = undefined;
+        await payment.save({ session });
+
+        await recordAudit({
+            user,
+            action: 'reconcile',
+            entityType: 'Payment',
+            before,
+            after: payment,
+            reason: `Unmatched from statement line ${line.line}: ${reason}`,
+            session
+        });
+    }
+
+    line.set({
+        status: 'unmatched',
+        payment: undefined,
+        paymentId: undefined,
+        matchType: undefined,
+        matchRule: undefined,
+        matchedAt: undefined,
+        matchedBy: undefined,
+        note: reason
+    });
+});
+
+/**
+ * Set aside a line that is not a loan collection
+ */
+const ignoreLine = ({ statementId, lineId, reason }) => updateLine(statementId, lineId, async ({ line }) => {
+    if (line.status !== 'unmatched') {
+        throw httpError(409, `Statement line ${line.line} is already ${line.status}`);
+    }
+
+    line.status = 'ignored';
+    line.note = reason;
+});
+
+/**
+ * Reconciliation report: the statement's lines by outcome, and the
+ * bank-side payments from its period that no statement accounts for
+ */
+const buildReport = async (statement) => {
+    const unmatchedPayments = await findUnreconciledPayments(statement)
+        .populate('customer', 'name customerId')
+        .select('paymentId loanId customer amount paymentDate paymentMethod transactionReference status');
+
+    const lines = (status) => statement.lines.filter(line => line.status === status);
+    const matched = lines('matched');
+    const unmatched = lines('unmatched');
+
+    return {
+        statementId: statement.statementId,
+        channel: statement.channel,
+        account: statement.account,
+        periodFrom: statement.periodFrom,
+        periodTo: statement.periodTo,
+        status: statement.status,
+        summary: {
+            lineCount: statement.lineCount,
+            matchedCount: statement.matchedCount,
+            unmatchedCount: statement.unmatchedCount,
+            ignoredCount: statement.ignoredCount,
+            totalCredits: statement.totalCredits,
+            matchedAmount: statement.matchedAmount,
+            unmatchedAmount: roundCurrency(unmatched.reduce((sum, line) => sum + line.amount, 0)),
+            autoMatched: matched.filter(line => line.matchType === 'auto').length,
+            manuallyMatched: matched.filter(line => line.matchType === 'manual').length,
+            paymentsCreated: matched.filter(line => line.matchType === 'created').length,
+            unmatchedPaymentCount: unmatchedPayments.length,
+            unmatchedPaymentAmount: roundCurrency(unmatchedPayments.reduce((sum, payment) => sum + payment.amount, 0))
+        },
+        matchedLines: matched,
+        unmatchedLines: unmatched,
+        ignoredLines: lines('ignored'),
+        unmatchedPayments
+    };
+};
+
+module.exports = {
+    RECONCILABLE_METHODS,
+    readStatementLines,
+    uploadStatement,
+    rematchStatement,
+    confirmLine,
+    createPaymentFromLine,
+    unmatchLine,
+    ignoreLine,
+    buildReport
+};
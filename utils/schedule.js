@@ -0,0 +1,277 @@
+/**
+ * Repayment schedule generation and tracking
+ *
+ * Daily (D) loans repay in equal daily installments of principal plus the day's
+ * interest. Monthly (M) loans repay either by EMI (equal monthly installments) or
+ * interest-only each month with the principal as a bullet at the end.
+ * Flat-rate loans charge interest on the original principal throughout; the other
+ * interest methods charge it on the balance still scheduled to be outstanding.
+ */
+const { addDays, addMonths, differenceInCalendarDays } = require('date-fns');
+const Payment = require('../models/Payment');
+const { roundCurrency } = require('./helpers');
+
+// Amounts below this are treated as fully paid (rounding noise)
+const PAID_TOLERANCE = 0.01;
+
+/**
+ * Repayment plan used when a loan does not set one
+ */
+const getDefaultRepaymentPlan = (interestType) => (interestType === 'daily' ? 'daily' : 'emi');
+
+// Plans each interest type can use
+const PLANS_BY_INTEREST_TYPE = {
+    daily: ['daily'],
+    monthly: ['emi', 'bullet']
+};
+
+/**
+ * Whether a repayment plan fits an interest type
+ */
+const isPlanAllowed = (interestType, plan) => {
+    return (PLANS_BY_INTEREST_TYPE[interestType] || []).includes(plan);
+};
+
+/**
+ * Due dates of the monthly installments between disbursement and the due date
+ * The last installment always falls on the loan's due date.
+ */
+const getMonthlyDueDates = (disbursementDate, dueDate) => {
+    const dates = [];
+    let month = 1;
+    let next = addMonths(disbursementDate, month);
+
+    while (next < dueDate) {
+        dates.push(next);
+        month += 1;
+        next = addMonths(disbursementDate, month);
+    }
+    dates.push(new Date(dueDate));
+
+    return dates;
+};
+
+const buildInstallment = (installmentNumber, dueDate, expectedPrincipal, expectedInterest) => ({
+    installmentNumber,
+    dueDate,
+    expectedPrincipal: roundCurrency(expectedPrincipal),
+    expectedInterest: roundCurrency(expectedInterest),
+    expectedAmount: roundCurrency(expectedPrincipal + expectedInterest),
+    principalPaid: 0,
+    interestPaid: 0,
+    amountPaid: 0,
+    status: 'pending'
+});
+
+/**
+ * Equal daily principal installments plus one day's interest
+ */
+const generateDailySchedule = ({ principalAmount, interestRate, interestMethod, disbursementDate, dueDate }) => {
+    const days = Math.max(1, differenceInCalendarDays(dueDate, disbursementDate));
+    const dailyPrincipal = roundCurrency(principalAmount / days);
+    const rate = interestRate / 100;
+
+    const schedule = [];
+    let balance = principalAmount;
+    for (let day = 1; day <= days; day++) {
+        // The last installment absorbs rounding differences
+        const principal = day === days
+            ? principalAmount - dailyPrincipal * (days - 1)
+            : dailyPrincipal;
+        const interest = (interestMethod === 'flat' ? principalAmount : balance) * rate;
+        balance -= principal;
+        schedule.push(buildInstallment(day, addDays(disbursementDate, day), principal, interest));
+    }
+    return schedule;
+};
+
+/**
+ * Equal monthly installments
+ * Flat: principal / months plus a fixed month's interest on the original principal.
+ * Otherwise: a standard reducing-balance EMI.
+ */
+const generateEmiSchedule = ({ principalAmount, interestRate, interestMethod, disbursementDate, dueDate }) => {
+    const dueDates = getMonthlyDueDates(disbursementDate, dueDate);
+    const months = dueDates.length;
+    const rate = interestRate / 100;
+
+    if (interestMethod === 'flat') {
+        const monthlyPrincipal = roundCurrency(principalAmount / months);
+        return dueDates.map((date, index) => {
+            const principal = index === months - 1
+                ? principalAmount - monthlyPrincipal * (months - 1)
+                : monthlyPrincipal;
+            return buildInstallment(index + 1, date, principal, principalAmount * rate);
+        });
+    }
+
+    const emi = rate === 0
+        ? principalAmount / months
+        : (principalAmount * rate * Math.pow(1 + rate, months)) / (Math.pow(1 + rate, months) - 1);
+
+    let balance = principalAmount;
+    return dueDates.map((date, index) => {
+        const interest = balance * rate;
+        const principal = index === months - 1 ? balance : roundCurrency(emi - interest);
+        balance -= principal;
+        return buildInstallment(index + 1, date, principal, interest);
+    });
+};
+
+/**
+ * Interest-only months with the whole principal due at the end
+ */
+const generateBulletSchedule = ({ principalAmount, interestRate, disbursementDate, dueDate }) => {
+    const dueDates = getMonthlyDueDates(disbursementDate, dueDate);
+    const monthlyInterest = (principalAmount * interestRate) / 100;
+
+    return dueDates.map((date, index) => {
+        const principal = index === dueDates.length - 1 ? principalAmount : 0;
+        return buildInstallment(index + 1, date, principal, monthlyInterest);
+    });
+};
+
+const GENERATORS = {
+    daily: generateDailySchedule,
+    emi: generateEmiSchedule,
+    bullet: generateBulletSchedule
+};
+
+/**
+ * Build a fresh installment plan from the loan's terms
+ */
+const generateSchedule = (loan) => {
+    const plan = loan.repaymentPlan || getDefaultRepaymentPlan(loan.interestType);
+    const generator = GENERATORS[plan];
+
+    if (!generator) {
+        throw new Error(`Unknown repayment plan: ${plan}`);
+    }
+
+    return generator({
+        principalAmount: loan.principalAmount,
+        interestRate: loan.interestRate,
+        interestMethod: loan.interestMethod || 'flat',
+        disbursementDate: new Date(loan.disbursementDate),
+        dueDate: new Date(loan.dueDate)
+    });
+};
+
+/**
+ * Re-plan what is left of a loan after its terms change on `effectiveDate`
+ * Installments with payments against them are kept, trimmed to what was paid;
+ * `openingPrincipal` is spread over new installments under the loan's current
+ * terms, and `carriedInterest` (accrued, not capitalised) joins the first of them.
+ */
+const rescheduleFrom = (loan, effectiveDate, openingPrincipal, carriedInterest = 0) => {
+    const kept = loan.schedule
+        .filter(installment => installment.amountPaid > 0)
+        .map((installment, index) => ({
+            ...(typeof installment.toObject === 'function' ? installment.toObject() : installment),
+            installmentNumber: index + 1,
+            expectedPrincipal: installment.principalPaid,
+            expectedInterest: installment.interestPaid,
+            expectedAmount: installment.amountPaid,
+            status: 'paid'
+        }));
+
+    const upcoming = generateSchedule({
+        repaymentPlan: loan.repaymentPlan,
+        interestType: loan.interestType,
+        interestRate: loan.interestRate,
+        interestMethod: loan.interestMethod,
+        principalAmount: openingPrincipal,
+        disbursementDate: effectiveDate,
+        dueDate: loan.dueDate
+    }).map((installment, index) => ({
+        ...installment,
+        installmentNumber: kept.length + index + 1
+    }));
+
+    if (carriedInterest > 0 && upcoming.length > 0) {
+        const first = upcoming[0];
+        first.expectedInterest = roundCurrency(first.expectedInterest + carriedInterest);
+        first.expectedAmount = roundCurrency(first.expectedPrincipal + first.expectedInterest);
+    }
+
+    return [...kept, ...upcoming];
+};
+
+/**
+ * Status of one installment as of a date
+ */
+const getInstallmentStatus = (installment, asOfDate) => {
+    if (installment.amountPaid >= installment.expectedAmount - PAID_TOLERANCE) return 'paid';
+    if (installment.dueDate < asOfDate) return 'overdue';
+    if (installment.amountPaid > 0) return 'partial';
+    return 'pending';
+};
+
+/**
+ * Spread payments over the installments, oldest installment first
+ * Within an installment interest is covered before principal.
+ */
+const allocateToSchedule = (schedule, payments, asOfDate = new Date()) => {
+    schedule.forEach(installment => {
+        installment.principalPaid = 0;
+        installment.interestPaid = 0;
+        installment.amountPaid = 0;
+    });
+
+    let index = 0;
+    payments.forEach(payment => {
+        let remaining = payment.principalPaid + payment.interestPaid;
+
+        while (remaining > PAID_TOLERANCE && index < schedule.length) {
+            const installment = schedule[index];
+            const interestDue = installment.expectedInterest - installment.interestPaid;
+            const principalDue = installment.expectedPrincipal - installment.principalPaid;
+
+            const toInterest = Math.min(remaining, Math.max(0, interestDue));
+            remaining -= toInterest;
+            const toPrincipal = Math.min(remaining, Math.max(0, principalDue));
+            remaining -= toPrincipal;
+
+            installment.interestPaid = roundCurrency(installment.interestPaid + toInterest);
+            installment.principalPaid = roundCurrency(installment.principalPaid + toPrincipal);
+            installment.amountPaid = roundCurrency(installment.interestPaid + installment.principalPaid);
+
+            if (installment.amountPaid >= installment.expectedAmount - PAID_TOLERANCE) {
+                index += 1;
+            }
+        }
+    });
+
+    schedule.forEach(installment => {
+        installment.status = getInstallmentStatus(installment, asOfDate);
+    });
+
+    return schedule;
+};
+
+/**
+ * Refresh the amounts paid against a loan's stored schedule from its completed payments
+ * Generates the schedule first for loans created before schedules existed.
+ */
+const syncSchedule = async (loan, session, asOfDate = new Date()) => {
+    if (!loan.schedule || loan.schedule.length === 0) {
+        loan.schedule = generateSchedule(loan);
+    }
+
+    const payments = await Payment.find({ loan: loan._id, status: 'completed' })
+        .sort({ paymentDate: 1, createdAt: 1 })
+        .session(session);
+
+    allocateToSchedule(loan.schedule, payments, asOfDate);
+    return loan.schedule;
+};
+
+module.exports = {
+    PLANS_BY_INTEREST_TYPE,
+    getDefaultRepaymentPlan,
+    isPlanAllowed,
+    generateSchedule,
+    rescheduleFrom,
+    allocateToSchedule,
+    syncSchedule
+};
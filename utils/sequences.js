@@ -0,0 +1,107 @@
+/**
+ * Race-free identifiers drawn from the counters collection
+ */
+const Counter = require('../models/Counter');
+const {
+    generateCustomerId,
+    generateLoanId,
+    generatePaymentId,
+    generatePayoffQuoteId,
+    generateImportBatchId,
+    generateStatementId,
+    generateJournalEntryId,
+    getPaymentIdDateKey
+} = require('./helpers');
+
+/**
+ * Counter names, shared with the seeding migration
+ */
+const COUNTERS = {
+    customer: 'customer',
+    loan: 'loan',
+    customerLoan: (customerId) => `customerLoan:${customerId}`,
+    payment: (dateKey) => `payment:${dateKey}`,
+    payoffQuote: (dateKey) => `payoffQuote:${dateKey}`,
+    importBatch: (dateKey) => `importBatch:${dateKey}`,
+    statement: (dateKey) => `statement:${dateKey}`,
+    journalEntry: (dateKey) => `journalEntry:${dateKey}`,
+    firstUser: 'firstUser'
+};
+
+/**
+ * Next customer ID, e.g. CUS-00042
+ */
+const nextCustomerId = async (session) => {
+    const sequenceNumber = await Counter.next(COUNTERS.customer, session);
+    return generateCustomerId(sequenceNumber);
+};
+
+/**
+ * Next loan identifiers for a customer
+ * Returns the global sequence number, the customer's loan number and the formatted loan ID.
+ */
+const nextLoanIdentifiers = async (customer, loanTypeCode, session) => {
+    const sequenceNumber = await Counter.next(COUNTERS.loan, session);
+    const customerLoanNumber = await Counter.next(COUNTERS.customerLoan(customer.customerId), session);
+
+    const customerNumber = parseInt(customer.customerId.split('-')[1], 10) || 1;
+    const loanId = generateLoanId(sequenceNumber, customerNumber, customerLoanNumber, loanTypeCode);
+
+    return { sequenceNumber, customerLoanNumber, loanId };
+};
+
+/**
+ * Next payment ID for today, e.g. PAY-20240115-00007
+ */
+const nextPaymentId = async (session) => {
+    const date = new Date();
+    const sequenceNumber = await Counter.next(COUNTERS.payment(getPaymentIdDateKey(date)), session);
+    return generatePaymentId(sequenceNumber, date);
+};
+
+/**
+ * Next payoff quote ID for today, e.g. PQ-20240115-00003
+ */
+const nextPayoffQuoteId = async (session) => {
+    const date = new Date();
+    const sequenceNumber = await Counter.next(COUNTERS.payoffQuote(getPaymentIdDateKey(date)), session);
+    return generatePayoffQuoteId(sequenceNumber, date);
+};
+
+/**
+ * Next payment import batch ID for today, e.g. IMP-20240115-00002
+ */
+const nextImportBatchId = async (session) => {
+    const date = new Date();
+    const sequenceNumber = await Counter.next(COUNTERS.importBatch(getPaymentIdDateKey(date)), session);
+    return generateImportBatchId(sequenceNumber, date);
+};
+
+/**
+ * Next bank statement ID for today, e.g. STM-20240115-00001
+ */
+const nextStatementId = async (session) => {
+    const date = new Date();
+    const sequenceNumber = await Counter.next(COUNTERS.statement(getPaymentIdDateKey(date)), session);
+    return generateStatementId(sequenceNumber, date);
+};
+
+/**
+ * Next journal entry ID for today, e.g. JE-20240115-00012
+ */
+const nextJournalEntryId = async (session) => {
+    const date = new Date();
+    const sequenceNumber = await Counter.next(COUNTERS.journalEntry(getPaymentIdDateKey(date)), session);
+    return generateJournalEntryId(sequenceNumber, date);
+};
+
+module.exports = {
+    COUNTERS,
+    nextCustomerId,
+    nextLoanIdentifiers,
+    nextPaymentId,
+    nextPayoffQuoteId,
+    nextImportBatchId,
+    nextStatementId,
+    nextJournalEntryId
+};
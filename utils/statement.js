@@ -0,0 +1,541 @@
+/**
+ * Account statements for a loan or for all of a customer's loans
+ *
+ * A statement replays the loan's life as dated entries: disbursements, interest
+ * and penal interest accrued (to each month end and up to every other entry),
+ * fees, capitalised interest, payments, reversals and write-offs. Entries before
+ * the period make up the opening balance; each line in the period carries the
+ * running principal, interest and charges (penal interest and fees) owed.
+ */
+const PDFDocument = require('pdfkit');
+const { endOfMonth, addMonths } = require('date-fns');
+const { roundCurrency, formatCurrency, formatDate } = require('./helpers');
+const { formatCsvLine } = require('./csv');
+const { toDateRange } = require('./export');
+const { httpError } = require('./errors');
+const { getReceiptHeader, getReceiptFontPath } = require('../config/receipt');
+
+const STATEMENT_FORMATS = ['json', 'csv', 'pdf'];
+
+const CHARGE_LABELS = {
+    'late-fee': 'Late fee',
+    prepayment: 'Prepayment charge',
+    bounce: 'Bounce charge'
+};
+
+const METHOD_LABELS = {
+    cash: 'cash',
+    bank_transfer: 'bank transfer',
+    upi: 'UPI',
+    cheque: 'cheque',
+    credit: 'customer credit',
+    other: 'other'
+};
+
+// Order of entries that fall on the same instant: accruals first, money out before money in
+const ENTRY_ORDER = ['interest', 'penalty', 'disbursement', 'fee', 'capitalisation', 'payment', 'recovery', 'reversal', 'write-off'];
+
+// A payment recorded as pending and reversed before it cleared never reached the loan
+const wasPosted = (payment) => !(payment.receivedDate && !payment.clearedAt);
+
+/**
+ * Dated entries that are not accruals: what was paid out, charged, received or written off
+ */
+const collectEvents = (loan, payments) => {
+    const events = [];
+    const base = { loanId: loan.loanId };
+
+    loan.getDisbursements().forEach((tranche, index) => {
+        events.push({
+            ...base,
+            date: tranche.date,
+            type: 'disbursement',
+            description: index === 0 ? 'Loan disbursed' : 'Further tranche disbursed',
+            debit: tranche.amount,
+            principal: tranche.amount
+        });
+    });
+
+    (loan.charges || []).forEach(charge => {
+        events.push({
+            ...base,
+            date: charge.date,
+            type: 'fee',
+            description: charge.description || CHARGE_LABELS[charge.type] || 'Charge',
+            debit: charge.amount,
+            charges: charge.amount
+        });
+    });
+
+    (loan.termVersions || []).forEach(version => {
+        if (!version.capitalisedInterest) return;
+        events.push({
+            ...base,
+            date: version.effectiveDate,
+            type: 'capitalisation',
+            description: 'Interest capitalised on restructure',
+            interest: -version.capitalisedInterest,
+            principal: version.capitalisedInterest
+        });
+    });
+
+    payments.filter(wasPosted).forEach(payment => {
+        const method = METHOD_LABELS[payment.paymentMethod] || payment.paymentMethod;
+
+        // Recoveries are collected against the written-off balance and leave the loan's balances alone
+        if (payment.type === 'recovery') {
+            events.push({
+                ...base,
+                date: payment.paymentDate,
+                type: 'recovery',
+                reference: payment.paymentId,
+                description: `Recovery on written-off loan (${method})`,
+                credit: payment.amount
+            });
+        } else {
+            const excess = payment.excessAmount > 0 ? `; ${formatCurrency(payment.excessAmount)} credited to customer` : '';
+            events.push({
+                ...base,
+                date: payment.paymentDate,
+                type: 'payment',
+                reference: payment.paymentId,
+                description: `Payment received (${method})${excess}`,
+                credit: payment.amount,
+                principal: -payment.principalPaid,
+                interest: -payment.interestPaid,
+                charges: -(payment.penaltyPaid + payment.feesPaid)
+            });
+        }
+
+        if (payment.status === 'reversed') {
+            const recovery = payment.type === 'recovery';
+            events.push({
+                ...base,
+                date: payment.reversedAt,
+                type: 'reversal',
+                reference: payment.paymentId,
+                description: `Payment reversed${payment.reversalReason ? `: ${payment.reversalReason}` : ''}`,
+                debit: payment.amount,
+                principal: recovery ? 0 : payment.principalPaid,
+                interest: recovery ? 0 : payment.interestPaid,
+                charges: recovery ? 0 : payment.penaltyPaid + payment.feesPaid
+            });
+        }
+    });
+
+    if (loan.writeOff) {
+        const { date, principal, interest, penalty, fees, reason } = loan.writeOff;
+        events.push({
+            ...base,
+            date,
+            type: 'write-off',
+            description: `Written off: ${reason}`,
+            principal: -principal,
+            interest: -interest,
+            charges: -(penalty + fees)
+        });
+    }
+
+    return events;
+};
+
+/**
+ * Interest and penal interest accrued between consecutive points in time
+ * Points are every event, every month end and the period bounds, so interest
+ * due shows up just before each payment and at least once a month.
+ */
+const collectAccruals = (loan, events, { from, to }) => {
+    const start = loan.disbursementDate;
+    const points = new Set(events.map(event => event.date.getTime()).filter(time => time <= to.getTime()));
+    for (let month = endOfMonth(start); month < to; month = endOfMonth(addMonths(month, 1))) {
+        points.add(month.getTime());
+    }
+    if (from && from > start) points.add(from.getTime());
+    points.add(to.getTime());
+
+    const accruals = [];
+    let interestSoFar = 0;
+    let penaltySoFar = 0;
+
+    [...points].sort((a, b) => a - b).forEach(time => {
+        const date = new Date(time);
+        // What accrued up to the start of the period belongs to the opening balance
+        const beforePeriod = Boolean(from) && time === from.getTime();
+        const interest = loan.calculateInterest(date);
+        const penalty = loan.calculatePenalInterest(date);
+        const interestDelta = roundCurrency(interest - interestSoFar);
+        const penaltyDelta = roundCurrency(penalty - penaltySoFar);
+
+        if (interestDelta > 0) {
+            accruals.push({
+                loanId: loan.loanId,
+                date,
+                type: 'interest',
+                description: `Interest to ${formatDate(date)}`,
+                debit: interestDelta,
+                interest: interestDelta,
+                beforePeriod
+            });
+        }
+        if (penaltyDelta > 0) {
+            accruals.push({
+                loanId: loan.loanId,
+                date,
+                type: 'penalty',
+                description: `Penal interest to ${formatDate(date)}`,
+                debit: penaltyDelta,
+                charges: penaltyDelta,
+                beforePeriod
+            });
+        }
+
+        interestSoFar = interest;
+        penaltySoFar = penalty;
+    });
+
+    return accruals;
+};
+
+/**
+ * Statement period from `from`/`to` query values
+ * `to` defaults to now and is never later than now; a date-only `to` covers the whole day.
+ */
+const toStatementPeriod = (from, to) => {
+    const range = toDateRange(from, to) || {};
+    const now = new Date();
+    const period = {
+        from: range.$gte,
+        to: range.$lte && range.$lte < now ? range.$lte : now
+    };
+
+    if (period.from && period.from > period.to) {
+        throw httpError(400, 'From cannot be in the future');
+    }
+    return period;
+};
+
+const toBalance = ({ principal, interest, charges }) => ({
+    principal: roundCurrency(principal),
+    interest: roundCurrency(interest),
+    charges: roundCurrency(charges),
+    total: roundCurrency(principal + interest + charges)
+});
+
+/**
+ * Statement across one or more loans, each given as { loan, payments }
+ * `from` is optional (the statement then starts at the first disbursement);
+ * `to` is the end of the period. Entries dated exactly `from` fall in the period,
+ * interest accrued up to that instant does not.
+ */
+const buildStatement = (accounts, { from, to }) => {
+    const entries = accounts.flatMap(({ loan, payments }) => {
+        const events = collectEvents(loan, payments).filter(event => event.date <= to);
+        return [...events, ...collectAccruals(loan, events, { from, to })];
+    });
+
+    entries.sort((a, b) => (a.date - b.date) || (ENTRY_ORDER.indexOf(a.type) - ENTRY_ORDER.indexOf(b.type)));
+
+    const running = { principal: 0, interest: 0, charges: 0 };
+    const totals = {
+        disbursed: 0,
+        interest: 0,
+        penalty: 0,
+        fees: 0,
+        paid: 0,
+        reversed: 0,
+        writtenOff: 0
+    };
+    let opening = toBalance(running);
+    const lines = [];
+
+    entries.forEach(entry => {
+        running.principal += entry.principal || 0;
+        running.interest += entry.interest || 0;
+        running.charges += entry.charges || 0;
+
+        if (from && (entry.date < from || entry.beforePeriod)) {
+            opening = toBalance(running);
+            return;
+        }
+
+        const balance = toBalance(running);
+        lines.push({
+            date: entry.date,
+            loanId: entry.loanId,
+            type: entry.type,
+            reference: entry.reference || null,
+            description: entry.description,
+            debit: roundCurrency(entry.debit || 0),
+            credit: roundCurrency(entry.credit || 0),
+            principalBalance: balance.principal,
+            interestBalance: balance.interest,
+            chargesBalance: balance.charges,
+            balance: balance.total
+        });
+
+        if (entry.type === 'disbursement') totals.disbursed += entry.debit;
+        if (entry.type === 'interest') totals.interest += entry.debit;
+        if (entry.type === 'penalty') totals.penalty += entry.debit;
+        if (entry.type === 'fee') totals.fees += entry.debit;
+        if (entry.type === 'payment' || entry.type === 'recovery') totals.paid += entry.credit;
+        if (entry.type === 'reversal') totals.reversed += entry.debit;
+        if (entry.type === 'write-off') {
+            totals.writtenOff -= (entry.principal || 0) + (entry.interest || 0) + (entry.charges || 0);
+        }
+    });
+
+    Object.keys(totals).forEach(key => {
+        totals[key] = roundCurrency(totals[key]);
+    });
+
+    return {
+        period: {
+            from: from || (entries.length > 0 ? entries[0].date : to),
+            to
+        },
+        openingBalance: opening,
+        closingBalance: toBalance(running),
+        totals,
+        lines
+    };
+};
+
+/**
+ * Statement for one loan and its payments
+ */
+const buildLoanStatement = (loan, payments, period) => ({
+    account: {
+        loanId: loan.loanId,
+        customerId: loan.customerId,
+        status: loan.status,
+        principalAmount: loan.principalAmount,
+        interestRate: loan.interestRate,
+        interestType: loan.interestType,
+        disbursementDate: loan.disbursementDate,
+        dueDate: loan.dueDate
+    },
+    ...buildStatement([{ loan, payments }], period)
+});
+
+/**
+ * Statement across all of a customer's loans, with running balances for the customer as a whole
+ */
+const buildCustomerStatement = (customer, loans, payments, period) => ({
+    account: {
+        customerId: customer.customerId,
+        name: customer.name,
+        phone: customer.phone,
+        loans: loans.map(loan => loan.loanId)
+    },
+    ...buildStatement(loans.map(loan => ({
+        loan,
+        payments: payments.filter(payment => payment.loan.equals(loan._id))
+    })), period)
+});
+
+const CSV_HEADERS = [
+    'date',
+    'loanId',
+    'type',
+    'reference',
+    'description',
+    'debit',
+    'credit',
+    'principalBalance',
+    'interestBalance',
+    'chargesBalance',
+    'balance'
+];
+
+/**
+ * Statement as CSV, with the opening and closing balances as the first and last rows
+ */
+const renderStatementCsv = (statement) => {
+    const balanceRow = (date, type, description, balance) => [
+        date, '', type, '', description, '', '',
+        balance.principal, balance.interest, balance.charges, balance.total
+    ];
+
+    return [
+        CSV_HEADERS,
+        balanceRow(statement.period.from, 'opening', 'Opening balance', statement.openingBalance),
+        ...statement.lines.map(line => CSV_HEADERS.map(header => line[header])),
+        balanceRow(statement.period.to, 'closing', 'Closing balance', statement.closingBalance)
+    ].map(formatCsvLine).join('');
+};
+
+/**
+ * Write the statement as a PDF to a stream (e.g. the response) and end it
+ */
+const renderStatementPdf = (statement, stream) => {
+    const fontPath = getReceiptFontPath();
+    const header = getReceiptHeader();
+    const { account } = statement;
+    const multiLoan = Array.isArray(account.loans);
+    const title = multiLoan ? `Statement of account: ${account.name} (${account.customerId})` : `Loan statement: ${account.loanId}`;
+
+    // Amounts in the table carry no currency sign; the totals use "Rs." when the font lacks ₹
+    const amount = (value) => (value ? formatCurrency(value).replace('₹', '') : '');
+    const money = (value) => {
+        const formatted = formatCurrency(value || 0);
+        return fontPath ? formatted : formatted.replace('₹', 'Rs. ');
+    };
+
+    const doc = new PDFDocument({
+        size: 'A4',
+        layout: 'landscape',
+        margin: 36,
+        info: { Title: title }
+    });
+    doc.pipe(stream);
+
+    let regular = 'Helvetica';
+    let bold = 'Helvetica-Bold';
+    if (fontPath) {
+        doc.registerFont('Statement', fontPath);
+        regular = 'Statement';
+        bold = 'Statement';
+    }
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    const columns = [
+        { label: 'Date', width: 62, value: line => formatDate(line.date) },
+        ...(multiLoan ? [{ label: 'Loan', width: 88, value: line => line.loanId }] : []),
+        { label: 'Reference', width: 96, value: line => line.reference || '' },
+        { label: 'Description', width: null, value: line => line.description },
+        { label: 'Debit', width: 62, align: 'right', value: line => amount(line.debit) },
+        { label: 'Credit', width: 62, align: 'right', value: line => amount(line.credit) },
+        { label: 'Principal', width: 66, align: 'right', value: line => amount(line.principalBalance) || '0.00' },
+        { label: 'Interest', width: 58, align: 'right', value: line => amount(line.interestBalance) || '0.00' },
+        { label: 'Charges', width: 54, align: 'right', value: line => amount(line.chargesBalance) || '0.00' },
+        { label: 'Balance', width: 66, align: 'right', value: line => amount(line.balance) || '0.00' }
+    ];
+    const fixed = columns.reduce((total, column) => total + (column.width || 0), 0);
+    columns.forEach(column => {
+        if (column.width === null) column.width = width - fixed;
+    });
+
+    const row = (values, font, color = '#222222') => {
+        const y = doc.y;
+        let x = left;
+        doc.font(font).fontSize(8).fillColor(color);
+        columns.forEach((column, index) => {
+            doc.text(values[index], x + 2, y, {
+                width: column.width - 4,
+                align: column.align || 'left',
+                height: 10,
+                ellipsis: true,
+                lineBreak: false
+            });
+            x += column.width;
+        });
+        doc.x = left;
+        doc.y = y + 13;
+    };
+
+    const rule = (thickness) => {
+        doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(thickness).stroke();
+    };
+
+    const tableHeader = () => {
+        row(columns.map(column => column.label), bold);
+        rule(0.75);
+        doc.y += 3;
+    };
+
+    const balanceRow = (description, balance) => {
+        const values = columns.map(() => '');
+        values[columns.findIndex(column => column.label === 'Description')] = description;
+        values[columns.length - 4] = amount(balance.principal) || '0.00';
+        values[columns.length - 3] = amount(balance.interest) || '0.00';
+        values[columns.length - 2] = amount(balance.charges) || '0.00';
+        values[columns.length - 1] = amount(balance.total) || '0.00';
+        row(values, bold);
+    };
+
+    doc.font(bold).fontSize(16).fillColor('#222222').text(header.name);
+    if (header.address) {
+        doc.font(regular).fontSize(9).text(header.address);
+    }
+    doc.moveDown(0.4);
+    rule(1.5);
+    doc.moveDown(0.6);
+
+    doc.font(bold).fontSize(13).text(title);
+    doc.font(regular).fontSize(9).fillColor('#555555')
+        .text(`Period ${formatDate(statement.period.from)} to ${formatDate(statement.period.to)}`);
+    if (multiLoan) {
+        doc.text(`Loans: ${account.loans.join(', ') || 'none'}`);
+    } else {
+        doc.text(`Customer ${account.customerId} · ${account.interestRate}% ${account.interestType} · disbursed ${formatDate(account.disbursementDate)} · due ${formatDate(account.dueDate)}`);
+    }
+    doc.moveDown(0.8);
+
+    tableHeader();
+    balanceRow('Opening balance', statement.openingBalance);
+    statement.lines.forEach(line => {
+        if (doc.y + 13 > bottom - 40) {
+            doc.addPage();
+            tableHeader();
+        }
+        row(columns.map(column => column.value(line)), regular);
+    });
+    rule(0.75);
+    doc.y += 3;
+    balanceRow('Closing balance', statement.closingBalance);
+
+    const { totals } = statement;
+    doc.moveDown(1);
+    doc.font(regular).fontSize(9).fillColor('#222222').text([
+        `Disbursed ${money(totals.disbursed)}`,
+        `Interest ${money(totals.interest)}`,
+        `Penal interest ${money(totals.penalty)}`,
+        `Fees ${money(totals.fees)}`,
+        `Received ${money(totals.paid)}`,
+        `Reversed ${money(totals.reversed)}`,
+        ...(totals.writtenOff > 0 ? [`Written off ${money(totals.writtenOff)}`] : [])
+    ].join('   '), left, doc.y, { width });
+
+    doc.moveDown(1.5);
+    doc.font(regular).fontSize(8).fillColor('#777777')
+        .text(`Computer-generated statement, printed ${formatDate(new Date())}`, left, doc.y, { width, align: 'center' });
+
+    doc.end();
+};
+
+/**
+ * Send a statement as JSON, a CSV download or an inline PDF
+ */
+const sendStatement = (res, statement, { format = 'json', name }) => {
+    if (format === 'csv') {
+        res.status(200);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="statement-${name}.csv"`);
+        return res.send(renderStatementCsv(statement));
+    }
+
+    if (format === 'pdf') {
+        res.status(200);
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `inline; filename="statement-${name}.pdf"`);
+        return renderStatementPdf(statement, res);
+    }
+
+    res.status(200).json({
+        success: true,
+        data: statement
+    });
+};
+
+module.exports = {
+    STATEMENT_FORMATS,
+    toStatementPeriod,
+    buildLoanStatement,
+    buildCustomerStatement,
+    renderStatementCsv,
+    renderStatementPdf,
+    sendStatement
+};
@@ -0,0 +1,57 @@
+/**
+ * JWT helpers for access and refresh tokens
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Sign a short-lived access token for a user
+ */
+const generateAccessToken = (user) => {
+    return jwt.sign(
+        { id: user._id.toString() },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_EXPIRE || '1h' }
+    );
+};
+
+/**
+ * Sign a long-lived refresh token for a user
+ * The random jti makes every issued token unique so it can be revoked on its own.
+ */
+const generateRefreshToken = (user) => {
+    return jwt.sign(
+        { id: user._id.toString(), jti: crypto.randomBytes(16).toString('hex') },
+        process.env.JWT_REFRESH_SECRET,
+        { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
+    );
+};
+
+/**
+ * Verify an access token and return its payload
+ */
+const verifyAccessToken = (token) => {
+    return jwt.verify(token, process.env.JWT_SECRET);
+};
+
+/**
+ * Verify a refresh token and return its payload
+ */
+const verifyRefreshToken = (token) => {
+    return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+};
+
+/**
+ * Hash a token for storage so a database leak does not expose live tokens
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+    generateAccessToken,
+    generateRefreshToken,
+    verifyAccessToken,
+    verifyRefreshToken,
+    hashToken
+};
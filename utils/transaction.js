@@ -0,0 +1,28 @@
+/**
+ * MongoDB transaction helper
+ * Transactions need a replica set (Atlas, or a local mongod started with --replSet).
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Run `work(session)` inside a transaction and return its result
+ * Either every write made with the session is committed or none is.
+ * Transient errors (write conflicts, failovers) are retried by the driver,
+ * so `work` must re-read whatever it changes through the session.
+ */
+const withTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = {
+    withTransaction
+};
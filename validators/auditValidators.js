@@ -0,0 +1,29 @@
+/**
+ * Validation rules for the audit log and entity history routes
+ */
+const { query } = require('express-validator');
+const { idParam } = require('../middleware/validate');
+
+const historyRules = [
+    idParam()
+];
+
+const auditLogRules = [
+    query('entityId')
+        .optional()
+        .isMongoId().withMessage('Entity ID must be a valid id'),
+    query('actor')
+        .optional()
+        .isMongoId().withMessage('Actor must be a valid user id'),
+    query('from')
+        .optional()
+        .isISO8601().withMessage('From must be a valid date'),
+    query('to')
+        .optional()
+        .isISO8601().withMessage('To must be a valid date')
+];
+
+module.exports = {
+    historyRules,
+    auditLogRules
+};
@@ -0,0 +1,56 @@
+/**
+ * Validation rules for the authentication routes
+ */
+const { body } = require('express-validator');
+const { ROLES } = require('../config/permissions');
+
+const emailRule = () => body('email')
+    .isString().withMessage('Email is required')
+    .bail()
+    .trim()
+    .isEmail().withMessage('Email must be valid')
+    .toLowerCase();
+
+const refreshTokenRule = () => body('refreshToken')
+    .isString().withMessage('Refresh token is required')
+    .notEmpty().withMessage('Refresh token is required');
+
+const registerRules = [
+    body('name')
+        .isString().withMessage('Name is required')
+        .trim()
+        .notEmpty().withMessage('Name is required'),
+    emailRule(),
+    body('phone')
+        .optional({ values: 'falsy' })
+        .isString().withMessage('Phone must be a string')
+        .trim(),
+    body('password')
+        .isString().withMessage('Password is required')
+        .isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('role')
+        .optional()
+        .isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+const loginRules = [
+    emailRule(),
+    body('password')
+        .isString().withMessage('Password is required')
+        .notEmpty().withMessage('Password is required')
+];
+
+const refreshRules = [
+    refreshTokenRule()
+];
+
+const logoutRules = [
+    refreshTokenRule()
+];
+
+module.exports = {
+    registerRules,
+    loginRules,
+    refreshRules,
+    logoutRules
+};
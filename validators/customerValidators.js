@@ -0,0 +1,110 @@
+/**
+ * Validation rules for customer routes
+ */
+const { body } = require('express-validator');
+const { idParam } = require('../middleware/validate');
+const { validatePhone, validatePAN, validateAadhar } = require('../utils/helpers');
+const { ALLOCATION_POLICIES } = require('../config/allocation');
+
+const CUSTOMER_STATUSES = ['active', 'inactive', 'blocked'];
+
+/**
+ * Rules shared by create and update; `optional` makes required fields optional
+ */
+const customerFields = (optional) => {
+    const required = (chain) => (optional ? chain.optional() : chain);
+
+    return [
+        required(body('name'))
+            .isString().withMessage('Name must be a string')
+            .trim()
+            .notEmpty().withMessage('Customer name is required'),
+        required(body('phone'))
+            .trim()
+            .custom(validatePhone).withMessage('Phone must be a valid 10-digit Indian mobile number'),
+        body('email')
+            .optional({ values: 'falsy' })
+            .trim()
+            .isEmail().withMessage('Email must be valid')
+            .normalizeEmail(),
+        body('address')
+            .optional()
+            .isObject().withMessage('Address must be an object'),
+        body('address.pincode')
+            .optional({ values: 'falsy' })
+            .matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+        body('aadharNumber')
+            .optional({ values: 'falsy' })
+            .trim()
+            .custom(validateAadhar).withMessage('Aadhar number must be 12 digits'),
+        body('panNumber')
+            .optional({ values: 'falsy' })
+            .trim()
+            .toUpperCase()
+            .custom(validatePAN).withMessage('PAN must be in the format ABCDE1234F'),
+        body('assignedCollector')
+            .optional({ values: 'null' })
+            .isMongoId().withMessage('Assigned collector must be a user id')
+    ];
+};
+
+const createCustomerRules = customerFields(false);
+
+const updateCustomerRules = [
+    idParam(),
+    ...customerFields(true),
+    body('status')
+        .optional()
+        .isIn(CUSTOMER_STATUSES).withMessage(`Status must be one of: ${CUSTOMER_STATUSES.join(', ')}`),
+    body('reason')
+        .optional()
+        .isString().withMessage('Reason must be a string')
+        .trim()
+];
+
+const REFUND_METHODS = ['cash', 'bank_transfer', 'upi', 'cheque', 'other'];
+
+const refundCreditRules = [
+    idParam(),
+    body('amount')
+        .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0')
+        .toFloat(),
+    body('paymentMethod')
+        .optional()
+        .isIn(REFUND_METHODS).withMessage(`Payment method must be one of: ${REFUND_METHODS.join(', ')}`),
+    body('reference')
+        .optional()
+        .isString().withMessage('Reference must be a string')
+        .trim(),
+    body('reason')
+        .isString().withMessage('A reason is required to refund credit')
+        .trim()
+        .notEmpty().withMessage('A reason is required to refund credit')
+];
+
+const applyCreditRules = [
+    idParam(),
+    body('loanId')
+        .isString().withMessage('Loan ID is required')
+        .trim()
+        .notEmpty().withMessage('Loan ID is required'),
+    body('amount')
+        .optional()
+        .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0')
+        .toFloat(),
+    body('allocationPolicy')
+        .optional()
+        .isIn(Object.keys(ALLOCATION_POLICIES))
+        .withMessage(`Allocation policy must be one of: ${Object.keys(ALLOCATION_POLICIES).join(', ')}`),
+    body('notes')
+        .optional()
+        .isString().withMessage('Notes must be a string')
+        .trim()
+];
+
+module.exports = {
+    createCustomerRules,
+    updateCustomerRules,
+    refundCreditRules,
+    applyCreditRules
+};
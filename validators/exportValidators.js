@@ -0,0 +1,28 @@
+/**
+ * Validation rules for the CSV/NDJSON export routes
+ */
+const { query } = require('express-validator');
+const { EXPORT_FORMATS } = require('../utils/export');
+
+const exportRules = [
+    query('format')
+        .optional()
+        .isIn(Object.keys(EXPORT_FORMATS))
+        .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+    query('from')
+        .optional()
+        .isISO8601().withMessage('From must be a valid date'),
+    query('to')
+        .optional()
+        .isISO8601().withMessage('To must be a valid date')
+        .custom((to, { req }) => {
+            if (req.query.from && new Date(to) < new Date(req.query.from)) {
+                throw new Error('To cannot be before from');
+            }
+            return true;
+        })
+];
+
+module.exports = {
+    exportRules
+};
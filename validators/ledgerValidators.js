@@ -0,0 +1,123 @@
+/**
+ * Validation rules for the general ledger routes
+ */
+const { body, query } = require('express-validator');
+const { idParam } = require('../middleware/validate');
+const { ACCOUNT_TYPES, JOURNAL_SOURCES } = require('../config/accounts');
+
+const createAccountRules = [
+    body('code')
+        .isString().withMessage('Account code is required')
+        .trim()
+        .matches(/^\d{4}$/).withMessage('Account code must be four digits'),
+    body('name')
+        .isString().withMessage('Account name is required')
+        .trim()
+        .notEmpty().withMessage('Account name is required'),
+    body('type')
+        .isIn(ACCOUNT_TYPES).withMessage(`Type must be one of: ${ACCOUNT_TYPES.join(', ')}`),
+    body('description')
+        .optional()
+        .isString().withMessage('Description must be a string')
+        .trim()
+];
+
+const updateAccountRules = [
+    idParam(),
+    body(['code', 'type', 'isSystem'])
+        .not().exists()
+        .withMessage('Code, type and isSystem cannot be changed'),
+    body('name')
+        .optional()
+        .isString().withMessage('Account name must be a string')
+        .trim()
+        .notEmpty().withMessage('Account name cannot be empty'),
+    body('description')
+        .optional()
+        .isString().withMessage('Description must be a string')
+        .trim(),
+    body('isActive')
+        .optional()
+        .isBoolean().withMessage('isActive must be true or false')
+        .toBoolean()
+];
+
+const journalQueryRules = [
+    query('source')
+        .optional()
+        .isIn(JOURNAL_SOURCES).withMessage(`Source must be one of: ${JOURNAL_SOURCES.join(', ')}`),
+    query('from')
+        .optional()
+        .isISO8601().withMessage('From must be a valid date'),
+    query('to')
+        .optional()
+        .isISO8601().withMessage('To must be a valid date')
+];
+
+const createJournalEntryRules = [
+    body('date')
+        .optional()
+        .isISO8601().withMessage('Date must be a valid date')
+        .toDate(),
+    body('description')
+        .isString().withMessage('A description is required')
+        .trim()
+        .notEmpty().withMessage('A description is required'),
+    body('lines')
+        .isArray({ min: 2 }).withMessage('An entry needs at least two lines'),
+    body('lines.*.accountCode')
+        .isString().withMessage('Each line needs an account code')
+        .trim(),
+    body('lines.*.debit')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Debit must be 0 or more')
+        .toFloat(),
+    body('lines.*.credit')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Credit must be 0 or more')
+        .toFloat(),
+    body('lines.*')
+        .custom(line => {
+            if ((line.debit > 0) === (line.credit > 0)) {
+                throw new Error('Each line must have either a debit or a credit');
+            }
+            return true;
+        }),
+    body('lines.*.memo')
+        .optional()
+        .isString().withMessage('Memo must be a string')
+        .trim()
+];
+
+const reverseJournalEntryRules = [
+    idParam(),
+    body('reason')
+        .isString().withMessage('A reason is required to reverse an entry')
+        .trim()
+        .notEmpty().withMessage('A reason is required to reverse an entry')
+];
+
+const asOfRules = [
+    query('asOf')
+        .optional()
+        .isISO8601().withMessage('As-of date must be a valid date')
+];
+
+const periodRules = [
+    query('from')
+        .optional()
+        .isISO8601().withMessage('From must be a valid date'),
+    query('to')
+        .optional()
+        .isISO8601().withMessage('To must be a valid date')
+];
+
+module.exports = {
+    createAccountRules,
+    updateAccountRules,
+    journalQueryRules,
+    createJournalEntryRules,
+    reverseJournalEntryRules,
+    asOfRules,
+    periodRules
+};
@@ -0,0 +1,278 @@
+/**
+ * Validation rules for loan routes
+ */
+const { body, query } = require('express-validator');
+const { idParam } = require('../middleware/validate');
+
+const { PLANS_BY_INTEREST_TYPE } = require('../utils/schedule');
+const { INTEREST_METHODS } = require('../utils/interest');
+const { ALLOCATION_POLICIES } = require('../config/allocation');
+
+const INTEREST_TYPES = ['daily', 'monthly'];
+const DISBURSEMENT_METHODS = ['cash', 'bank_transfer', 'upi', 'cheque', 'other'];
+const REPAYMENT_PLANS = ['daily', 'emi', 'bullet'];
+
+/**
+ * repaymentPlan must fit interestType when both are sent
+ */
+const planFitsInterestType = (plan, { req }) => {
+    const plans = PLANS_BY_INTEREST_TYPE[req.body.interestType];
+    if (plans && !plans.includes(plan)) {
+        throw new Error(`Repayment plan for ${req.body.interestType} loans must be one of: ${plans.join(', ')}`);
+    }
+    return true;
+};
+
+/**
+ * Overdue flags, penal interest and late fees are only charged for days that have passed
+ */
+const notInFuture = (value) => {
+    if (new Date(value) > new Date()) {
+        throw new Error('As-of date cannot be in the future');
+    }
+    return true;
+};
+
+const interestMethodRule = body('interestMethod')
+    .optional()
+    .isIn(Object.keys(INTEREST_METHODS))
+    .withMessage(`Interest method must be one of: ${Object.keys(INTEREST_METHODS).join(', ')}`);
+
+const repaymentPlanRule = body('repaymentPlan')
+    .optional()
+    .isIn(REPAYMENT_PLANS).withMessage(`Repayment plan must be one of: ${REPAYMENT_PLANS.join(', ')}`)
+    .custom(planFitsInterestType);
+
+const disbursementMethodRule = body('disbursementMethod')
+    .optional()
+    .isIn(DISBURSEMENT_METHODS)
+    .withMessage(`Disbursement method must be one of: ${DISBURSEMENT_METHODS.join(', ')}`);
+
+const overdueTermRules = [
+    body('penalInterestRate')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Penal interest rate must be a non-negative number')
+        .toFloat(),
+    body('gracePeriodDays')
+        .optional()
+        .isInt({ min: 0 }).withMessage('Grace period must be a non-negative whole number of days')
+        .toInt(),
+    body('lateFeeAmount')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Late fee must be a non-negative number')
+        .toFloat(),
+    body('prepaymentChargeRate')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Prepayment charge must be a non-negative number')
+        .toFloat(),
+    body('allocationPolicy')
+        .optional()
+        .isIn(Object.keys(ALLOCATION_POLICIES))
+        .withMessage(`Allocation policy must be one of: ${Object.keys(ALLOCATION_POLICIES).join(', ')}`)
+];
+
+/**
+ * dueDate must fall after disbursementDate when both are sent
+ */
+const dueDateAfterDisbursement = (dueDate, { req }) => {
+    if (!req.body.disbursementDate) return true;
+    if (new Date(dueDate) <= new Date(req.body.disbursementDate)) {
+        throw new Error('Due date must be after the disbursement date');
+    }
+    return true;
+};
+
+const reasonRule = body('reason')
+    .optional()
+    .isString().withMessage('Reason must be a string')
+    .trim();
+
+const createLoanRules = [
+    body('customerId')
+        .isString().withMessage('Customer ID is required')
+        .trim()
+        .notEmpty().withMessage('Customer ID is required'),
+    body('principalAmount')
+        .isFloat({ gt: 0 }).withMessage('Principal amount must be greater than 0')
+        .toFloat(),
+    body('interestType')
+        .isIn(INTEREST_TYPES).withMessage(`Interest type must be one of: ${INTEREST_TYPES.join(', ')}`),
+    body('interestRate')
+        .isFloat({ min: 0 }).withMessage('Interest rate must be a non-negative number')
+        .toFloat(),
+    interestMethodRule,
+    repaymentPlanRule,
+    ...overdueTermRules,
+    body('disbursementDate')
+        .isISO8601().withMessage('Disbursement date must be a valid date')
+        .toDate(),
+    disbursementMethodRule,
+    body('dueDate')
+        .isISO8601().withMessage('Due date must be a valid date')
+        .custom(dueDateAfterDisbursement)
+        .toDate(),
+    body('notes')
+        .optional()
+        .isString().withMessage('Notes must be a string')
+        .trim()
+];
+
+const termRules = [
+    interestMethodRule,
+    repaymentPlanRule,
+    ...overdueTermRules,
+    body('principalAmount')
+        .optional()
+        .isFloat({ gt: 0 }).withMessage('Principal amount must be greater than 0')
+        .toFloat(),
+    body('interestType')
+        .optional()
+        .isIn(INTEREST_TYPES).withMessage(`Interest type must be one of: ${INTEREST_TYPES.join(', ')}`),
+    body('interestRate')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Interest rate must be a non-negative number')
+        .toFloat(),
+    body('disbursementDate')
+        .optional()
+        .isISO8601().withMessage('Disbursement date must be a valid date')
+        .toDate(),
+    body('dueDate')
+        .optional()
+        .isISO8601().withMessage('Due date must be a valid date')
+        .custom(dueDateAfterDisbursement)
+        .toDate()
+];
+
+const updateLoanRules = [
+    idParam(),
+    ...termRules,
+    body('notes')
+        .optional()
+        .isString().withMessage('Notes must be a string')
+        .trim(),
+    reasonRule
+];
+
+const amendLoanTermsRules = [
+    idParam(),
+    ...termRules,
+    body('reason')
+        .isString().withMessage('A reason is required to amend loan terms')
+        .trim()
+        .notEmpty().withMessage('A reason is required to amend loan terms')
+];
+
+const closeLoanRules = [
+    idParam(),
+    reasonRule
+];
+
+const writeOffLoanRules = [
+    idParam(),
+    body('approvedBy')
+        .optional()
+        .isMongoId().withMessage('Approver must be a valid user id'),
+    body('reason')
+        .isString().withMessage('A reason is required to write off a loan')
+        .trim()
+        .notEmpty().withMessage('A reason is required to write off a loan')
+];
+
+const approveWriteOffRules = [
+    idParam()
+];
+
+const rejectWriteOffRules = [
+    idParam(),
+    body('reason')
+        .isString().withMessage('A reason is required to reject a write-off')
+        .trim()
+        .notEmpty().withMessage('A reason is required to reject a write-off')
+];
+
+const restructureLoanRules = [
+    idParam(),
+    interestMethodRule,
+    repaymentPlanRule,
+    body('interestType')
+        .optional()
+        .isIn(INTEREST_TYPES).withMessage(`Interest type must be one of: ${INTEREST_TYPES.join(', ')}`),
+    body('interestRate')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Interest rate must be a non-negative number')
+        .toFloat(),
+    body('dueDate')
+        .optional()
+        .isISO8601().withMessage('Due date must be a valid date')
+        .toDate(),
+    body('effectiveDate')
+        .optional()
+        .isISO8601().withMessage('Effective date must be a valid date')
+        .toDate(),
+    body('capitaliseInterest')
+        .optional()
+        .isBoolean().withMessage('capitaliseInterest must be true or false')
+        .toBoolean(),
+    body('reason')
+        .isString().withMessage('A reason is required to restructure a loan')
+        .trim()
+        .notEmpty().withMessage('A reason is required to restructure a loan')
+];
+
+const addDisbursementRules = [
+    idParam(),
+    body('amount')
+        .isFloat({ gt: 0 }).withMessage('Disbursement amount must be greater than 0')
+        .toFloat(),
+    body('date')
+        .optional()
+        .isISO8601().withMessage('Disbursement date must be a valid date')
+        .toDate(),
+    disbursementMethodRule,
+    body('reference')
+        .optional()
+        .isString().withMessage('Reference must be a string')
+        .trim(),
+    body('notes')
+        .optional()
+        .isString().withMessage('Notes must be a string')
+        .trim()
+];
+
+const calculateLoanRules = [
+    idParam(),
+    body('asOfDate')
+        .optional()
+        .isISO8601().withMessage('As-of date must be a valid date')
+        .toDate()
+];
+
+const payoffQuoteRules = [
+    idParam(),
+    query('asOf')
+        .optional()
+        .isISO8601().withMessage('As-of date must be a valid date')
+];
+
+const evaluateOverdueRules = [
+    body('asOfDate')
+        .optional()
+        .isISO8601().withMessage('As-of date must be a valid date')
+        .custom(notInFuture)
+        .toDate()
+];
+
+module.exports = {
+    createLoanRules,
+    updateLoanRules,
+    amendLoanTermsRules,
+    closeLoanRules,
+    writeOffLoanRules,
+    approveWriteOffRules,
+    rejectWriteOffRules,
+    restructureLoanRules,
+    addDisbursementRules,
+    calculateLoanRules,
+    payoffQuoteRules,
+    evaluateOverdueRules
+};
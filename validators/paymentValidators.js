@@ -0,0 +1,147 @@
+/**
+ * Validation rules for payment routes
+ */
+const { body, query, param } = require('express-validator');
+const { idParam } = require('../middleware/validate');
+const { ALLOCATION_POLICIES } = require('../config/allocation');
+
+const PAYMENT_METHODS = ['cash', 'bank_transfer', 'upi', 'cheque', 'other'];
+
+const notInFuture = (value) => {
+    if (new Date(value) > new Date()) {
+        throw new Error('Payment date cannot be in the future');
+    }
+    return true;
+};
+
+const paymentDetailRules = [
+    body('paymentMethod')
+        .optional()
+        .isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+    body('transactionReference')
+        .optional()
+        .isString().withMessage('Transaction reference must be a string')
+        .trim(),
+    body('notes')
+        .optional()
+        .isString().withMessage('Notes must be a string')
+        .trim()
+];
+
+const createPaymentRules = [
+    body('loanId')
+        .isString().withMessage('Loan ID is required')
+        .trim()
+        .notEmpty().withMessage('Loan ID is required'),
+    // A payoff quote fixes the amount, so it may be left out
+    body('amount')
+        .if((value, { req }) => value !== undefined || !req.body.payoffQuoteId)
+        .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0')
+        .toFloat(),
+    body('paymentDate')
+        .optional()
+        .isISO8601().withMessage('Payment date must be a valid date')
+        .custom(notInFuture)
+        .toDate(),
+    body('allocationPolicy')
+        .optional()
+        .isIn(Object.keys(ALLOCATION_POLICIES))
+        .withMessage(`Allocation policy must be one of: ${Object.keys(ALLOCATION_POLICIES).join(', ')}`),
+    body('payoffQuoteId')
+        .optional()
+        .isString().withMessage('Payoff quote ID must be a string')
+        .trim(),
+    body('paymentDate')
+        .if(body('payoffQuoteId').exists())
+        .not().exists().withMessage('A payment against a payoff quote is dated on the quote\'s as-of date'),
+    ...paymentDetailRules
+];
+
+// Which fields may be edited at all is decided by config/paymentEditing.js
+const updatePaymentRules = [
+    idParam(),
+    ...paymentDetailRules,
+    body('reason')
+        .optional()
+        .isString().withMessage('Reason must be a string')
+        .trim()
+];
+
+const reversePaymentRules = [
+    idParam(),
+    body('reason')
+        .isString().withMessage('A reason is required')
+        .trim()
+        .notEmpty().withMessage('A reason is required')
+];
+
+const clearPaymentRules = [
+    idParam(),
+    body('clearedDate')
+        .optional()
+        .isISO8601().withMessage('Cleared date must be a valid date')
+        .custom(notInFuture)
+        .toDate()
+];
+
+const bouncePaymentRules = [
+    idParam(),
+    body('reason')
+        .isString().withMessage('A reason is required')
+        .trim()
+        .notEmpty().withMessage('A reason is required'),
+    body('applyCharge')
+        .optional()
+        .isBoolean().withMessage('applyCharge must be true or false')
+        .toBoolean(),
+    body('chargeAmount')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Charge amount cannot be negative')
+        .toFloat()
+];
+
+const importPaymentRules = [
+    query('dryRun')
+        .optional()
+        .isBoolean().withMessage('dryRun must be true or false')
+        .toBoolean(),
+    body('rows')
+        .optional()
+        .isArray({ min: 1 }).withMessage('Rows must be a non-empty array'),
+    body('rows.*')
+        .optional()
+        .isObject().withMessage('Each row must be an object'),
+    body('csv')
+        .optional()
+        .isString().withMessage('CSV must be a string')
+];
+
+const receiptRules = [
+    idParam(),
+    query('format')
+        .optional()
+        .isIn(['pdf', 'html']).withMessage('Format must be pdf or html')
+];
+
+const rollbackImportRules = [
+    param('batchId')
+        .isString()
+        .trim()
+        .notEmpty().withMessage('Batch ID is required'),
+    body('reason')
+        .isString().withMessage('A reason is required')
+        .trim()
+        .notEmpty().withMessage('A reason is required')
+];
+
+module.exports = {
+    PAYMENT_METHODS,
+    createPaymentRules,
+    updatePaymentRules,
+    reversePaymentRules,
+    clearPaymentRules,
+    bouncePaymentRules,
+    importPaymentRules,
+    rollbackImportRules,
+    receiptRules
+};
@@ -0,0 +1,89 @@
+/**
+ * Validation rules for statement reconciliation routes
+ */
+const { body, query } = require('express-validator');
+const { idParam } = require('../middleware/validate');
+const { ALLOCATION_POLICIES } = require('../config/allocation');
+const { PAYMENT_METHODS } = require('./paymentValidators');
+const { RECONCILABLE_METHODS } = require('../utils/reconciliation');
+
+const CHANNELS = ['bank', 'upi'];
+
+const uploadStatementRules = [
+    query('channel')
+        .optional()
+        .isIn(CHANNELS).withMessage(`Channel must be one of: ${CHANNELS.join(', ')}`),
+    query('account')
+        .optional()
+        .isString().withMessage('Account must be a string')
+        .trim(),
+    body('channel')
+        .optional()
+        .isIn(CHANNELS).withMessage(`Channel must be one of: ${CHANNELS.join(', ')}`),
+    body('account')
+        .optional()
+        .isString().withMessage('Account must be a string')
+        .trim(),
+    body('lines')
+        .optional()
+        .isArray({ min: 1 }).withMessage('Lines must be a non-empty array'),
+    body('lines.*')
+        .optional()
+        .isObject().withMessage('Each line must be an object'),
+    body('csv')
+        .optional()
+        .isString().withMessage('CSV must be a string')
+];
+
+const rematchStatementRules = [
+    idParam()
+];
+
+const lineParams = [
+    idParam(),
+    idParam('lineId')
+];
+
+const confirmLineRules = [
+    ...lineParams,
+    body('paymentId')
+        .isString().withMessage('Payment ID is required')
+        .trim()
+        .notEmpty().withMessage('Payment ID is required')
+];
+
+const createLinePaymentRules = [
+    ...lineParams,
+    body('loanId')
+        .isString().withMessage('Loan ID is required')
+        .trim()
+        .notEmpty().withMessage('Loan ID is required'),
+    body('paymentMethod')
+        .optional()
+        .isIn(PAYMENT_METHODS.filter(method => RECONCILABLE_METHODS.includes(method)))
+        .withMessage(`Payment method must be one of: ${RECONCILABLE_METHODS.join(', ')}`),
+    body('allocationPolicy')
+        .optional()
+        .isIn(Object.keys(ALLOCATION_POLICIES))
+        .withMessage(`Allocation policy must be one of: ${Object.keys(ALLOCATION_POLICIES).join(', ')}`),
+    body('notes')
+        .optional()
+        .isString().withMessage('Notes must be a string')
+        .trim()
+];
+
+const lineReasonRules = [
+    ...lineParams,
+    body('reason')
+        .isString().withMessage('A reason is required')
+        .trim()
+        .notEmpty().withMessage('A reason is required')
+];
+
+module.exports = {
+    uploadStatementRules,
+    rematchStatementRules,
+    confirmLineRules,
+    createLinePaymentRules,
+    lineReasonRules
+};
@@ -0,0 +1,15 @@
+/**
+ * Validation rules for the report routes
+ */
+const { query } = require('express-validator');
+
+const daybookRules = [
+    query('date')
+        .optional()
+        .isISO8601({ strict: true }).withMessage('Date must be a valid date')
+        .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be given as YYYY-MM-DD')
+];
+
+module.exports = {
+    daybookRules
+};
@@ -0,0 +1,28 @@
+/**
+ * Validation rules for the loan and customer statement routes
+ */
+const { query } = require('express-validator');
+const { STATEMENT_FORMATS } = require('../utils/statement');
+
+const statementRules = [
+    query('format')
+        .optional()
+        .isIn(STATEMENT_FORMATS)
+        .withMessage(`Format must be one of: ${STATEMENT_FORMATS.join(', ')}`),
+    query('from')
+        .optional()
+        .isISO8601().withMessage('From must be a valid date'),
+    query('to')
+        .optional()
+        .isISO8601().withMessage('To must be a valid date')
+        .custom((to, { req }) => {
+            if (req.query.from && new Date(to) < new Date(req.query.from)) {
+                throw new Error('To cannot be before from');
+            }
+            return true;
+        })
+];
+
+module.exports = {
+    statementRules
+};